@@ -1,46 +1,233 @@
 /**
- * Post processor to alphabetically sort all elements in XML files 
- * 
- * This can be useful if you are trying to compare XML generated by different systems
- * for QA purposes.
+ * Post processor to normalize XML files so that XML generated by different systems can be
+ * compared for QA purposes.
+ *
+ * MODE = 'canonical' writes a canonical form in which two semantically equal documents
+ * always serialize identically:
+ * - Elements are sorted by namespace and local name. Repeated elements, such as several
+ *   <OrganizationAddress>, keep their document order unless SORT_KEYS gives them a key
+ * - Attributes are sorted by namespace and local name
+ * - Namespace declarations move to the root element and prefixes are renamed: the root
+ *   element's namespace becomes the default namespace and the others become ns1, ns2...
+ *   in order of first use. Prefixes in xsi:type values are renamed with them
+ * - Whitespace between elements is dropped, element text is trimmed, CDATA sections are
+ *   written as text and the output is indented
+ * - Comments stay in front of the element they precede (see KEEP_COMMENTS). Processing
+ *   instructions and DOCTYPEs are dropped
+ * - Mixed content (text next to child elements) is written as it is, without sorting or
+ *   indenting its children
+ *
+ * MODE = 'sort' only sorts elements by name, as earlier versions of this script did, and
+ * keeps names, attributes and namespace declarations as they are written.
+ *
+ * To have two documents compared for you, see compare_xml_with_previous_execution.js
  */
-const sortXmlElements = (xmlString) => {
-  const doc = (new xmldom.DOMParser()).parseFromString(xmlString, 'text/xml');
 
-  // Function to recursively sort XML nodes
-  function recursiveSort(node) {
-      if (!node.hasChildNodes()) {
-          return;
-      }
+// 'canonical' or 'sort'
+const MODE = 'canonical'
 
-      const children = Array.from(node.childNodes).filter(n => n.nodeType === 1); // Element nodes only
-      if (children.length > 1) {
-          children.sort((a, b) => a.nodeName.localeCompare(b.nodeName));
-          // Detach existing child nodes
-          children.forEach(child => node.removeChild(child));
-          // Reattach sorted nodes
-          children.forEach(child => {
-              recursiveSort(child); // Sort child nodes
-              node.appendChild(child);
-          });
-      } else {
-          // Sort single children recursively
-          children.forEach(recursiveSort);
-      }
+// Canonical mode: sort keys for repeated elements, by local name. A key is the path of a
+// child element ('AddressType', 'Port/Code') or an attribute ('@code'); with a list of keys,
+// elements are sorted by the first key, then the second...
+const SORT_KEYS = {
+  OrganizationAddress: 'AddressType'
+}
+
+// Set to false to make documents that only differ in their comments identical
+const KEEP_COMMENTS = true
+
+const INDENT = '  '
+
+const XML_NS = 'http://www.w3.org/XML/1998/namespace'
+const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance'
+
+const isText = (node) => node.nodeType === 3 || node.nodeType === 4
+const isNamespaceDeclaration = (attr) => attr.name === 'xmlns' || attr.name.startsWith('xmlns:')
+const localName = (node) => node.localName || node.nodeName
+
+// the value of a SORT_KEYS key for an element, '' when it is missing
+const sortValue = (element, key) => {
+  let node = element
+  for (const step of key.split('/')) {
+    if (step.startsWith('@')) return node.getAttribute(step.slice(1)) || ''
+    node = Array.from(node.childNodes).find(n => n.nodeType === 1 && localName(n) === step)
+    if (!node) return ''
   }
+  return node.textContent.trim()
+}
 
-  // Start sorting from the document element
-  recursiveSort(doc.documentElement);
+// the keys an element is sorted by among its siblings
+const siblingOrder = (element) => MODE === 'canonical'
+  ? [element.namespaceURI || '', localName(element),
+      ...lodash.castArray(SORT_KEYS[localName(element)] || []).map(key => sortValue(element, key))]
+  : [element.nodeName]
 
-  return (new xmldom.XMLSerializer()).serializeToString(doc).split('\n').filter(line => line.trim() !== '').join('\n').replaceAll('><', '>\n<');
+const compareOrder = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue
+    if (MODE === 'sort') return a[i].localeCompare(b[i])
+    return a[i] < b[i] ? -1 : 1
+  }
+  return 0
 }
 
+const readAttributes = (element) => {
+  if (MODE === 'sort') return Array.from(element.attributes).map(attr => ({ name: attr.name, value: attr.value }))
+  const attributes = Array.from(element.attributes)
+    .filter(attr => !isNamespaceDeclaration(attr))
+    .map(attr => {
+      const attribute = { ns: attr.namespaceURI || null, name: localName(attr), value: attr.value }
+      // xsi:type="cw:Shipment" names a type in the namespace bound to cw, or in the default
+      // namespace when it has no prefix
+      const qname = attr.value.match(/^(?:([\w.-]+):)?([\w.-]+)$/)
+      const ns = qname && attribute.ns === XSI_NS && attribute.name === 'type' && element.lookupNamespaceURI(qname[1] || null)
+      if (ns) attribute.qname = { ns, name: qname[2] }
+      return attribute
+    })
+  return lodash.sortBy(attributes, [attr => attr.ns || '', attr => attr.name])
+}
+
+/**
+ * Reads an element into a plain tree of { ns, name, attributes, children, mixed } elements,
+ * { text } and { comment } nodes, with its children in output order.
+ *
+ * @param {object} element - The DOM element
+ * @returns {object} - The element node
+ */
+const readElement = (element) => {
+  const nodes = Array.from(element.childNodes)
+  const mixed = nodes.some(n => n.nodeType === 1) && nodes.some(n => isText(n) && n.nodeValue.trim())
+  const node = {
+    ns: element.namespaceURI || null,
+    name: MODE === 'canonical' ? localName(element) : element.nodeName,
+    attributes: readAttributes(element),
+    mixed
+  }
+
+  if (mixed) {
+    node.children = nodes.flatMap(n => {
+      if (n.nodeType === 1) return [readElement(n)]
+      if (isText(n)) return [{ text: n.nodeValue }]
+      return n.nodeType === 8 && KEEP_COMMENTS ? [{ comment: n.nodeValue }] : []
+    })
+    return node
+  }
+
+  // each element is sorted together with the comments in front of it
+  const units = []
+  let comments = []
+  let text = ''
+  nodes.forEach(n => {
+    if (n.nodeType === 1) {
+      units.push({ order: siblingOrder(n), nodes: [...comments, readElement(n)] })
+      comments = []
+    } else if (isText(n)) {
+      text += n.nodeValue
+    } else if (n.nodeType === 8 && KEEP_COMMENTS) {
+      comments.push({ comment: n.nodeValue })
+    }
+  })
+  units.sort((a, b) => compareOrder(a.order, b.order))
+  node.children = [
+    ...(text.trim() ? [{ text: text.trim() }] : []),
+    ...units.flatMap(unit => unit.nodes),
+    ...comments
+  ]
+  return node
+}
+
+// canonical mode: the default namespace and the prefix of every other namespace, in order of first use
+const namespacePrefixes = (root) => {
+  const elements = []
+  const walk = (node) => {
+    if (!node.children) return
+    elements.push(node)
+    node.children.forEach(walk)
+  }
+  walk(root)
+  const defaultNs = root.ns && elements.every(element => element.ns) ? root.ns : null
+  const prefixes = { [XML_NS]: 'xml' }
+  let count = 0
+  const use = (ns) => {
+    if (ns && !prefixes[ns]) prefixes[ns] = `ns${++count}`
+  }
+  elements.forEach(element => {
+    if (element.ns !== defaultNs) use(element.ns)
+    element.attributes.forEach(attr => {
+      use(attr.ns)
+      if (attr.qname?.ns !== defaultNs) use(attr.qname?.ns)
+    })
+  })
+  return { defaultNs, prefixes }
+}
+
+const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+const escapeAttribute = (value) => escapeText(value)
+  .replace(/"/g, '&quot;').replace(/\t/g, '&#9;').replace(/\n/g, '&#10;').replace(/\r/g, '&#13;')
+
+/**
+ * Writes a tree read by readElement, one element per line unless it holds only text or
+ * mixed content.
+ *
+ * @param {Array<object>} topLevel - The root element node and any comments around it
+ * @returns {string} - The XML document
+ */
+const serialize = (topLevel) => {
+  const root = topLevel.find(node => node.children)
+  const { defaultNs, prefixes } = MODE === 'canonical' ? namespacePrefixes(root) : {}
+  const qualify = (ns, name, isAttribute) =>
+    MODE === 'sort' || !ns || (!isAttribute && ns === defaultNs) ? name : `${prefixes[ns]}:${name}`
+
+  const startTag = (node) => {
+    const attributes = node.attributes.map(attr => [
+      qualify(attr.ns, attr.name, true),
+      attr.qname ? qualify(attr.qname.ns, attr.qname.name) : attr.value
+    ])
+    if (node === root && MODE === 'canonical') {
+      const declarations = Object.entries(prefixes)
+        .filter(([ns]) => ns !== XML_NS)
+        .map(([ns, prefix]) => [`xmlns:${prefix}`, ns])
+      attributes.unshift(...(defaultNs ? [['xmlns', defaultNs]] : []), ...declarations)
+    }
+    return `<${qualify(node.ns, node.name)}${attributes.map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('')}`
+  }
+  const inline = (node) => {
+    if (node.text !== undefined) return escapeText(node.text)
+    if (node.comment !== undefined) return `<!--${node.comment}-->`
+    if (!node.children.length) return `${startTag(node)}/>`
+    return `${startTag(node)}>${node.children.map(inline).join('')}</${qualify(node.ns, node.name)}>`
+  }
+  const lines = (node, depth) => {
+    const pad = INDENT.repeat(depth)
+    if (!node.children || node.mixed || node.children.every(child => child.text !== undefined)) return [pad + inline(node)]
+    return [
+      `${pad}${startTag(node)}>`,
+      ...node.children.flatMap(child => lines(child, depth + 1)),
+      `${pad}</${qualify(node.ns, node.name)}>`
+    ]
+  }
+  return ['<?xml version="1.0" encoding="UTF-8"?>', ...topLevel.flatMap(node => lines(node, 0))].join('\n')
+}
+
+const normalizeXml = (xmlString) => {
+  const doc = (new xmldom.DOMParser()).parseFromString(xmlString, 'text/xml')
+  if (!doc?.documentElement) throw new Error('No root element found')
+  const topLevel = Array.from(doc.childNodes).flatMap(n => {
+    if (n.nodeType === 1) return [readElement(n)]
+    return n.nodeType === 8 && KEEP_COMMENTS ? [{ comment: n.nodeValue }] : []
+  })
+  return serialize(topLevel)
+}
 
 userLog.info('running custom post processor')
-const myFiles = destinationFiles.map((f) => { 
-  const newBody = sortXmlElements(f.body)
-  f.body = newBody
-  return f
+const myFiles = destinationFiles.map((f) => {
+  if (!(f.file_name?.match(/\.xml$/i) || f.format === 'xml')) return f
+  try {
+    return { ...f, body: normalizeXml(f.body) }
+  } catch (err) {
+    userLog.warning(`${f.file_name} could not be read as XML and is returned unchanged: ${err.message}`)
+    return f
+  }
 })
 
 returnSuccess(myFiles)
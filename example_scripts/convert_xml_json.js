@@ -0,0 +1,189 @@
+/**
+ * Chain.io Processor that converts XML files to JSON and JSON files back to XML with the
+ * shared XmlJson converter (shared/xml_json.js)
+ *
+ * - A file whose body starts with '<' becomes a .json file, one whose body starts with '{'
+ *   becomes an .xml file; any other file is passed on unchanged
+ * - ARRAY_PATHS keeps repeating elements as arrays even when there is only one of them.
+ *   The default makes every child of a CargoWise collection (OrganizationAddressCollection,
+ *   SubShipmentCollection, DateCollection...) an array
+ * - TYPES reads chosen values as numbers, dates or booleans, the way xml.integer,
+ *   xml.decimal, xml.date and xml.boolean do. It is empty by default so a Universal
+ *   Shipment converted to JSON and back is equivalent to the original
+ * - Elements are keyed by local name and namespaces are kept as '@xmlns' attributes; set
+ *   NAMESPACES to 'qualified' to key them by prefixed name instead
+ * - A file that cannot be converted is logged as an error and passed on unchanged, and the
+ *   execution ends with returnError
+ */
+
+const ARRAY_PATHS = ['*Collection/*']
+
+const TYPES = {
+  // 'TotalWeight': 'decimal',
+  // 'TotalNoOfPacks': 'integer',
+  // 'DateCollection/Date/Value': 'date',
+  // 'IsCancelled': 'boolean'
+}
+
+// 'local' or 'qualified'
+const NAMESPACES = 'local'
+
+// ---- BEGIN shared/xml_json.js (generated: edit shared/xml_json.js, then run node tools/sync_shared.js) ----
+const XmlJson = (() => {
+  const DEFAULTS = { arrays: [], types: {}, namespaces: 'local', attributePrefix: '@', textKey: '#text', pretty: true }
+  const READERS = {
+    integer: (node, expression) => xml.integer(node, expression),
+    decimal: (node, expression) => xml.decimal(node, expression)?.toNumber(),
+    date: (node, expression) => xml.date(node, expression)?.toISO(),
+    boolean: (node, expression) => xml.boolean(node, expression)
+  }
+  const compile = (pattern) => {
+    const steps = pattern.replace(/^\//, '').split('/').map(step => lodash.escapeRegExp(step).replace(/\\\*/g, '[^/]*'))
+    return new RegExp(`${pattern.startsWith('/') ? '^' : '(^|/)'}${steps.join('/')}$`)
+  }
+  const prepare = (options) => {
+    const settings = { ...DEFAULTS, ...options }
+    if (!['local', 'qualified'].includes(settings.namespaces)) throw new Error(`Unknown namespaces option "${settings.namespaces}"`)
+    if (!settings.attributePrefix) throw new Error('attributePrefix cannot be empty')
+    const arrays = settings.arrays.map(compile)
+    const types = Object.entries(settings.types).map(([pattern, type]) => {
+      if (!READERS[type]) throw new Error(`Unknown type "${type}" for ${pattern}`)
+      return [compile(pattern), READERS[type]]
+    })
+    return {
+      ...settings,
+      isArray: (path) => arrays.some(re => re.test(path)),
+      readerFor: (path) => types.find(([re]) => re.test(path))?.[1]
+    }
+  }
+  const stringOf = (node, expression) => xml.evaluate(node, expression).stringValue()
+  const coerce = (settings, path, node, expression, text) => {
+    const reader = settings.readerFor(path)
+    const value = reader ? reader(node, expression) : null
+    return value === null || value === undefined ? text : value
+  }
+  const readElement = (settings, element, parentPath, scope) => {
+    const qualifiedName = stringOf(element, 'name()')
+    const name = settings.namespaces === 'qualified' ? qualifiedName : element.localName()
+    const path = parentPath ? `${parentPath}/${name}` : name
+    const value = {}
+    const inScope = { ...scope }
+    const declare = (prefix, uri) => {
+      if (prefix === 'xml' || (inScope[prefix] || '') === uri) return
+      inScope[prefix] = uri
+      value[`${settings.attributePrefix}${prefix ? `xmlns:${prefix}` : 'xmlns'}`] = uri
+    }
+    const elementPrefix = settings.namespaces === 'qualified' && qualifiedName.includes(':') ? qualifiedName.split(':')[0] : ''
+    declare(elementPrefix, stringOf(element, 'namespace-uri()'))
+    const attributeCount = xml.evaluate(element, 'count(@*)').numberValue()
+    for (let i = 1; i <= attributeCount; i++) {
+      const attribute = `@*[${i}]`
+      const attributeName = stringOf(element, `name(${attribute})`)
+      if (attributeName === 'xmlns' || attributeName.startsWith('xmlns:')) continue
+      if (attributeName.includes(':')) declare(attributeName.split(':')[0], stringOf(element, `namespace-uri(${attribute})`))
+      value[`${settings.attributePrefix}${attributeName}`] =
+        coerce(settings, `${path}/@${attributeName}`, element, attribute, stringOf(element, `string(${attribute})`))
+    }
+    const children = xml.elements(element, '*')
+    if (!children.length) {
+      const text = coerce(settings, path, element, '.', stringOf(element, 'string(.)'))
+      if (lodash.isEmpty(value)) return { name, path, value: text }
+      if (text !== '') value[settings.textKey] = text
+      return { name, path, value }
+    }
+    const textCount = xml.evaluate(element, 'count(text())').numberValue()
+    const ownText = lodash.range(1, textCount + 1).map(i => stringOf(element, `string(text()[${i}])`)).join('').trim()
+    if (ownText) value[settings.textKey] = ownText
+    children.forEach(child => {
+      const read = readElement(settings, child, path, inScope)
+      if (Array.isArray(value[read.name])) value[read.name].push(read.value)
+      else if (read.name in value) value[read.name] = [value[read.name], read.value]
+      else value[read.name] = settings.isArray(read.path) ? [read.value] : read.value
+    })
+    return { name, path, value }
+  }
+  const writeElement = (settings, element, value) => {
+    if (value === null || value === undefined) return
+    if (typeof value !== 'object') {
+      element.setTextContent(String(value))
+      return
+    }
+    if (Array.isArray(value)) throw new Error('An array must be the value of an element name')
+    const entries = Object.entries(value)
+    const isAttribute = (key) => key.startsWith(settings.attributePrefix)
+    entries.filter(([key]) => isAttribute(key))
+      .forEach(([key, attribute]) => element.setAttribute(key.slice(settings.attributePrefix.length), String(attribute)))
+    if (value[settings.textKey] !== undefined && value[settings.textKey] !== null) element.setTextContent(String(value[settings.textKey]))
+    entries.filter(([key]) => key !== settings.textKey && !isAttribute(key)).forEach(([key, child]) => {
+      lodash.castArray(child).forEach(item => writeElement(settings, element.appendChild(key), item))
+    })
+  }
+  const toJson = (body, options = {}) => {
+    const settings = prepare(options)
+    const document = xml.XmlParser.parseFromString(body, { strip_namespaces: false })
+    const { name, value } = readElement(settings, document.rootElement(), '', {})
+    return { [name]: value }
+  }
+  const toXml = (json, options = {}) => {
+    const settings = prepare(options)
+    const names = Object.keys(json || {})
+    if (names.length !== 1) throw new Error(`Expected one root element, found ${names.length}`)
+    const document = xml.Document.createDocument(names[0])
+    writeElement(settings, document.rootElement(), json[names[0]])
+    return new xml.XmlSerializer(settings.pretty ? { format: {} } : undefined).serializeToString(document)
+  }
+  return { toJson, toXml }
+})()
+// ---- END shared/xml_json.js ----
+
+const OPTIONS = { arrays: ARRAY_PATHS, types: TYPES, namespaces: NAMESPACES }
+
+/**
+ * Converts one file.
+ *
+ * @param {object} file - The source file
+ * @returns {object} - The converted file, or the file itself when it is neither XML nor JSON
+ */
+const convertFile = (file) => {
+  const body = file.body.replace(/^\uFEFF/, '').trimStart()
+  const baseName = file.file_name.replace(/\.[^.]*$/, '')
+  if (body.startsWith('<')) {
+    return {
+      ...file,
+      file_name: `${baseName}.json`,
+      format: 'json',
+      mime_type: 'application/json',
+      body: JSON.stringify(XmlJson.toJson(body, OPTIONS), null, 2)
+    }
+  }
+  if (body.startsWith('{')) {
+    return {
+      ...file,
+      file_name: `${baseName}.xml`,
+      format: 'xml',
+      mime_type: 'application/xml',
+      body: XmlJson.toXml(JSON.parse(body), OPTIONS)
+    }
+  }
+  userLog.info(`${file.file_name} is neither XML nor JSON, passing it on unchanged`)
+  return file
+}
+
+let failed = 0
+const files = sourceFiles.map(file => {
+  try {
+    const converted = convertFile(file)
+    if (converted !== file) userLog.info(`Converted ${file.file_name} to ${converted.file_name}`)
+    return converted
+  } catch (err) {
+    failed++
+    userLog.error(`Could not convert ${file.file_name}, passing it on unchanged: ${err.message}`)
+    return file
+  }
+})
+
+if (failed > 0) {
+  returnError(files)
+} else {
+  returnSuccess(files)
+}
@@ -0,0 +1,162 @@
+/**
+ * Chain.io Post-Processor that delivers CSV and JSON output as an Excel workbook
+ *
+ * - Every CSV file and every JSON file holding an array of records becomes one sheet of a
+ *   single .xlsx workbook, named after the file. Other files, and files without records
+ *   (an empty JSON array or a CSV with only a header row), are passed on unchanged
+ * - JSON records can be nested in a document (e.g. { shipments: [...] }): set RECORDS_PATH
+ * - COLUMNS picks, orders, renames and types the columns, and its fields can be lodash
+ *   paths such as 'dates.ship'. Without it every top-level field is written under its own
+ *   name, with nested objects written as JSON text
+ * - Cells are typed: numbers become numeric cells and ISO dates (2024-01-15 or
+ *   2024-01-15T10:30:00Z) become date cells shown with DATE_FORMAT. Text such as "00123"
+ *   keeps its leading zeros
+ * - Column widths fit the content (or use the configured width), and the header row gets
+ *   an AutoFilter. The built-in SheetJS library does not write fonts or fills, so header
+ *   cells cannot be made bold
+ */
+
+// Name of the workbook to create
+const WORKBOOK_NAME = 'report.xlsx'
+
+// For JSON documents that are not an array, the lodash path of the array of records
+const RECORDS_PATH = null // e.g. 'shipments'
+
+// Columns to write, in order. null writes every field found in the records
+const COLUMNS = null
+// e.g. [
+//   { header: 'Shipment', field: 'shipment_id', width: 18 },
+//   { header: 'Ship Date', field: 'dates.ship', type: 'date' },
+//   { header: 'Weight (kg)', field: 'weight', type: 'number', format: '#,##0.00' },
+//   { header: 'Reference', field: 'ref', type: 'string' }
+// ]
+
+// Excel number format for date cells
+const DATE_FORMAT = 'yyyy-mm-dd'
+
+const MAX_AUTO_WIDTH = 50
+
+/**
+ * Reads the records of a CSV or JSON file.
+ *
+ * @param {object} file - A destination file
+ * @returns {Array<object>|null} - The records, or null if the file is not CSV or JSON records
+ */
+const readRecords = (file) => {
+  if (file.file_name?.match(/\.csv$/i) || file.format === 'csv') {
+    // raw keeps every value as the text in the file; cells are typed later
+    const workbook = XLSX.read(file.body, { type: 'string', raw: true })
+    return XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { raw: true, defval: '' })
+  }
+  if (file.file_name?.match(/\.json$/i) || file.format === 'json') {
+    const doc = typeof file.body === 'string' ? JSON.parse(file.body) : file.body
+    const records = RECORDS_PATH ? lodash.get(doc, RECORDS_PATH) : doc
+    return Array.isArray(records) ? records : null
+  }
+  return null
+}
+
+/**
+ * Converts a value to a typed cell value: a number, a Date or a string.
+ *
+ * @param {*} value - The value from the record
+ * @param {string} [type] - 'number', 'date' or 'string'; guessed from the value if omitted
+ * @returns {*} - The cell value
+ */
+const typedValue = (value, type) => {
+  if (value === undefined || value === null || value === '') return ''
+  if (type === 'string') return String(value)
+  if (typeof value === 'number' || typeof value === 'boolean') return value
+  if (typeof value === 'object') return JSON.stringify(value)
+
+  const text = String(value).trim()
+  if (type === 'number' || (!type && /^-?(0|[1-9]\d*)(\.\d+)?$/.test(text))) {
+    const number = Number(text.replace(/,/g, ''))
+    return Number.isNaN(number) ? text : number
+  }
+  if (type === 'date' || (!type && /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(text))) {
+    const date = DateTime.fromISO(text.replace(' ', 'T'), { zone: 'utc' })
+    return date.isValid ? date.toJSDate() : text
+  }
+  return text
+}
+
+/**
+ * Builds a worksheet from records.
+ *
+ * @param {Array<object>} records - The records
+ * @returns {object} - The worksheet
+ */
+const buildSheet = (records) => {
+  const columns = COLUMNS || lodash.uniq(records.flatMap(record => Object.keys(record)))
+    .map(field => ({ header: field, field }))
+  const rows = [
+    columns.map(column => column.header),
+    ...records.map(record => columns.map(column => typedValue(lodash.get(record, column.field), column.type)))
+  ]
+  const worksheet = XLSX.utils.aoa_to_sheet(rows, { cellDates: true, dateNF: DATE_FORMAT })
+
+  columns.forEach((column, c) => {
+    if (!column.format) return
+    for (let r = 1; r < rows.length; r++) {
+      const cell = worksheet[XLSX.utils.encode_cell({ r, c })]
+      if (cell && cell.t === 'n') cell.z = column.format
+    }
+  })
+  worksheet['!cols'] = columns.map((column, c) => {
+    if (column.width) return { wch: column.width }
+    const longest = Math.max(...rows.map(row => lodash.isDate(row[c]) ? DATE_FORMAT.length : String(row[c]).length))
+    return { wch: Math.min(longest, MAX_AUTO_WIDTH) + 2 }
+  })
+  worksheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length - 1, c: columns.length - 1 } }) }
+  return worksheet
+}
+
+// Excel sheet names are at most 31 characters, unique, and cannot contain : \ / ? * [ ]
+const sheetName = (fileName, used) => {
+  const base = fileName.replace(/\.[^.]*$/, '').replace(/[:\\/?*[\]]/g, '_').slice(0, 31) || 'Sheet'
+  let name = base
+  for (let n = 2; used.includes(name.toLowerCase()); n++) name = `${base.slice(0, 31 - String(n).length - 1)}_${n}`
+  used.push(name.toLowerCase())
+  return name
+}
+
+const workbook = XLSX.utils.book_new()
+const usedNames = []
+const passThrough = []
+for (const file of destinationFiles) {
+  let records = null
+  try {
+    records = readRecords(file)
+  } catch (err) {
+    userLog.warning(`${file.file_name} could not be read, passing it on unchanged: ${err.message}`)
+  }
+  if (!records) {
+    passThrough.push(file)
+    continue
+  }
+  if (records.length === 0) {
+    userLog.info(`${file.file_name} has no records, passing it on unchanged`)
+    passThrough.push(file)
+    continue
+  }
+  const name = sheetName(file.file_name, usedNames)
+  XLSX.utils.book_append_sheet(workbook, buildSheet(records), name)
+  userLog.info(`Added ${records.length} record(s) from ${file.file_name} as sheet "${name}"`)
+}
+
+if (workbook.SheetNames.length === 0) {
+  returnSkipped(destinationFiles)
+} else {
+  returnSuccess([
+    {
+      uuid: uuid(),
+      type: 'file',
+      file_name: WORKBOOK_NAME,
+      format: 'xlsx',
+      mime_type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      body: XLSX.write(workbook, { type: 'base64', bookType: 'xlsx' })
+    },
+    ...passThrough
+  ])
+}
@@ -0,0 +1,333 @@
+/**
+ * Chain.io Pre-Processor that drops source files this integration already processed
+ *
+ * - Each file gets a key: the MD5 of its content, or of the business key returned by
+ *   businessKey(file), such as an order number
+ * - The keys of the files that go through are published as data tags, packed many to a
+ *   tag, next to a marker tag. One executionSearchByIntegration with the marker as dataTag
+ *   then finds every earlier execution that recorded keys, however many files it had. The
+ *   shared ExecutionHistory helper pages through the results and stops before the 10
+ *   searches allowed per execution run out
+ * - Files whose key was recorded by a successful execution within WINDOW, or that repeat an
+ *   earlier file of this execution, are dropped and logged
+ * - With COMPARE_FILE_HASHES, the search also covers executions that recorded no keys, and
+ *   the file_hash values listExecutionFiles returns for the newest of them are compared
+ *   with the MD5 of each file's content. This only works if your platform's file_hash is an
+ *   MD5 hex digest (as in the local runner), so check a known file first
+ * - If the history cannot be searched, every file goes through and an error is logged
+ * - Returns Skipped when every file was a duplicate
+ */
+(async () => {
+  // This flow's integration (the segment after /tp/ in the execution URL)
+  const INTEGRATION_ID = '00000000-0000-0000-0000-000000000000'
+
+  // How far back to look for earlier processing
+  const WINDOW = { days: 7 }
+
+  // null keys files by their content; a function keys them by a business key instead.
+  // Return null for a file that should never be treated as a duplicate
+  const businessKey = null // e.g. (file) => JSON.parse(file.body).order_id
+
+  // Executions with these statuses count as having processed their files, so a file from
+  // a failed execution can be sent again
+  const COUNTED_STATUSES = ['success']
+
+  const COMPARE_FILE_HASHES = false
+
+  // Marker tag value that earlier executions of this script published; keep it unique
+  const MARKER = 'duplicate-check-keys'
+  const MARKER_LABEL = 'Duplicate Check'
+  const KEYS_LABEL = 'Duplicate Check Keys'
+
+  // Keys are the first 16 hex digits of the MD5; key tags leave room for 10 other tags
+  const KEY_LENGTH = 16
+  const MAX_KEY_TAGS = 88
+
+  // ---- BEGIN shared/md5.js (generated: edit shared/md5.js, then run node tools/sync_shared.js) ----
+  const md5 = (() => {
+    const SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21]
+    const CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) | 0)
+    const utf8 = (text) => {
+      const bytes = []
+      for (const char of text) {
+        const c = char.codePointAt(0)
+        if (c < 0x80) bytes.push(c)
+        else if (c < 0x800) bytes.push(0xc0 | c >> 6, 0x80 | c & 63)
+        else if (c < 0x10000) bytes.push(0xe0 | c >> 12, 0x80 | c >> 6 & 63, 0x80 | c & 63)
+        else bytes.push(0xf0 | c >> 18, 0x80 | c >> 12 & 63, 0x80 | c >> 6 & 63, 0x80 | c & 63)
+      }
+      return bytes
+    }
+    return (input) => {
+      const bytes = typeof input === 'string' ? utf8(input) : Array.from(input)
+      const bits = bytes.length * 8
+      bytes.push(0x80)
+      while (bytes.length % 64 !== 56) bytes.push(0)
+      for (let i = 0; i < 8; i++) bytes.push(Math.floor(bits / 2 ** (8 * i)) & 255)
+      const state = [0x67452301, 0xefcdab89 | 0, 0x98badcfe | 0, 0x10325476]
+      for (let offset = 0; offset < bytes.length; offset += 64) {
+        const words = Array.from({ length: 16 }, (_, j) => {
+          const at = offset + j * 4
+          return bytes[at] | bytes[at + 1] << 8 | bytes[at + 2] << 16 | bytes[at + 3] << 24
+        })
+        let [a, b, c, d] = state
+        for (let i = 0; i < 64; i++) {
+          let f, g
+          if (i < 16) [f, g] = [(b & c) | (~b & d), i]
+          else if (i < 32) [f, g] = [(d & b) | (~d & c), (5 * i + 1) % 16]
+          else if (i < 48) [f, g] = [b ^ c ^ d, (3 * i + 5) % 16]
+          else [f, g] = [c ^ (b | ~d), (7 * i) % 16]
+          const shift = SHIFTS[(i >> 4) * 4 + i % 4]
+          const sum = (a + f + CONSTANTS[i] + words[g]) | 0
+          ;[a, d, c] = [d, c, b]
+          b = (b + (sum << shift | sum >>> (32 - shift))) | 0
+        }
+        ;[a, b, c, d].forEach((value, i) => { state[i] = (state[i] + value) | 0 })
+      }
+      return state.map(word => [0, 8, 16, 24].map(shift => (word >>> shift & 255).toString(16).padStart(2, '0')).join('')).join('')
+    }
+  })()
+  // ---- END shared/md5.js ----
+  // ---- BEGIN shared/execution_history.js (generated: edit shared/execution_history.js, then run node tools/sync_shared.js) ----
+  const ExecutionHistory = (() => {
+    const CALL_LIMIT = 10
+    const started = Date.now()
+    const settings = { timeBudgetMs: 45 * 1000 }
+    const calls = { executionSearchByIntegration: 0, listExecutionFiles: 0, getExecutionFile: 0 }
+    const cache = {}
+    const canCall = (name) => calls[name] < CALL_LIMIT && Date.now() - started < settings.timeBudgetMs
+    const call = (name, fn, ...args) => {
+      const key = `${name}:${JSON.stringify(args)}`
+      if (cache[key]) return cache[key]
+      if (!canCall(name)) return Promise.resolve(null)
+      calls[name]++
+      cache[key] = fn(...args)
+      cache[key].catch(() => delete cache[key])
+      return cache[key]
+    }
+    const matcher = (pattern) => {
+      if (typeof pattern === 'function') return pattern
+      if (pattern instanceof RegExp) return (name) => pattern.test(name)
+      return (name) => name === pattern
+    }
+    const search = async (integrationId, args = {}, { maxPages = CALL_LIMIT, maxResults = Infinity } = {}) => {
+      const data = []
+      let cursor
+      for (let page = 0; page < maxPages; page++) {
+        const results = await call('executionSearchByIntegration', executionSearchByIntegration,
+          integrationId, cursor ? { ...args, cursor } : args)
+        if (!results) return { data, partial: true }
+        data.push(...results.data)
+        if (data.length >= maxResults) return { data: data.slice(0, maxResults), partial: results.hasMoreRecords || data.length > maxResults }
+        if (!results.hasMoreRecords) return { data, partial: false }
+        cursor = results.cursor
+      }
+      return { data, partial: true }
+    }
+    const listFiles = (invocationId) => call('listExecutionFiles', listExecutionFiles, invocationId)
+    const getFile = (meta) => call('getExecutionFile', getExecutionFile,
+      { invocationId: meta.invocation_id, fileId: meta.file_id })
+    const newestFile = async (integrationId, { pattern = () => true, executions = CALL_LIMIT, search: args = {} } = {}) => {
+      const matches = matcher(pattern)
+      const found = await search(integrationId, args, { maxResults: executions })
+      let best = null
+      let partial = found.partial && found.data.length < executions
+      for (const execution of found.data) {
+        if (best && execution.ended_date && execution.ended_date < best.file.created_time) break
+        const files = await listFiles(execution.invocation_id)
+        if (!files) {
+          partial = true
+          break
+        }
+        files.filter(meta => matches(meta.file_name)).forEach(meta => {
+          if (!best || meta.created_time > best.file.created_time) best = { file: meta, execution }
+        })
+      }
+      return { file: best?.file || null, execution: best?.execution || null, partial }
+    }
+    return {
+      search,
+      listFiles,
+      getFile,
+      newestFile,
+      remaining: () => lodash.mapValues(calls, count => CALL_LIMIT - count),
+      configure: (options) => Object.assign(settings, options)
+    }
+  })()
+  // ---- END shared/execution_history.js ----
+  // ---- BEGIN shared/utf8.js (generated: edit shared/utf8.js, then run node tools/sync_shared.js) ----
+  const Utf8 = (() => {
+    const byteLength = (text) => {
+      let bytes = 0
+      for (const char of text) {
+        const c = char.codePointAt(0)
+        bytes += c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4
+      }
+      return bytes
+    }
+    const truncate = (text, maxBytes, marker = '') => {
+      if (byteLength(text) <= maxBytes) return text
+      let out = ''
+      let bytes = byteLength(marker)
+      for (const char of text) {
+        bytes += byteLength(char)
+        if (bytes > maxBytes) break
+        out += char
+      }
+      return out + marker
+    }
+    return { byteLength, truncate }
+  })()
+  // ---- END shared/utf8.js ----
+  // ---- BEGIN shared/data_tags.js (generated: edit shared/data_tags.js, then run node tools/sync_shared.js) ----
+  const DataTags = (() => {
+    const MAX_TAGS = 100
+    const queued = []
+    let published = 0
+    const add = (label, value, { priority = 0 } = {}) => {
+      if ([label, value].some(text => text === undefined || text === null || String(text).trim() === '')) {
+        userLog.warning(`Data tag "${label}" has no label or value and is not published`)
+        return false
+      }
+      const tag = { label: Utf8.truncate(String(label), 50), value: Utf8.truncate(String(value), 255) }
+      if (tag.label !== String(label) || tag.value !== String(value)) userLog.warning(`Data tag "${tag.label}" was cut to fit the byte limits`)
+      if (lodash.some(queued, tag)) return false
+      queued.push({ ...tag, priority })
+      return true
+    }
+    const publish = () => {
+      const sorted = lodash.sortBy(queued, tag => -tag.priority)
+      const room = Math.max(MAX_TAGS - published, 0)
+      const kept = sorted.slice(0, room).map(({ label, value }) => ({ label, value }))
+      if (sorted.length > room) {
+        const left = lodash.uniq(sorted.slice(room).map(tag => tag.label)).join(', ')
+        userLog.warning(`${sorted.length - room} data tag(s) over the ${MAX_TAGS} tag limit were not published: ${left}`)
+      }
+      if (kept.length) publishDataTags(kept)
+      published += kept.length
+      queued.length = 0
+      return kept
+    }
+    return { add, publish, room: () => MAX_TAGS - published - queued.length }
+  })()
+  // ---- END shared/data_tags.js ----
+
+  const BINARY_FORMATS = ['xlsx', 'xlsm', 'xlsb', 'xls', 'ods', 'pdf', 'zip', 'png', 'jpg', 'gif']
+  const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+  // the bytes of a base64 body
+  const decodeBase64 = (text) => {
+    const bytes = []
+    let buffer = 0
+    let bits = 0
+    for (const char of text.replace(/[^A-Za-z0-9+/]/g, '')) {
+      buffer = (buffer << 6 | BASE64.indexOf(char)) & 0xffffff
+      bits += 6
+      if (bits >= 8) {
+        bits -= 8
+        bytes.push(buffer >> bits & 255)
+      }
+    }
+    return bytes
+  }
+
+  const isBinary = (file) => BINARY_FORMATS.includes((file.format || file.file_name?.split('.').pop() || '').toLowerCase())
+
+  // MD5 of the file's bytes, as the platform stores them
+  const contentHash = (file) => {
+    const body = typeof file.body === 'string' ? file.body : JSON.stringify(file.body)
+    return md5(isBinary(file) && typeof file.body === 'string' ? decodeBase64(body) : body)
+  }
+
+  // packs keys into as few tag values of at most 255 bytes as possible
+  const keyTags = (keys) => lodash.chunk(keys, Math.floor(256 / (KEY_LENGTH + 1)))
+    .map(chunk => ({ label: KEYS_LABEL, value: chunk.join(' ') }))
+
+  /**
+   * Searches the window for executions that processed files, newest first.
+   *
+   * @returns {Promise<object>} - { keys: { key: invocation_id }, executions, partial }
+   */
+  const searchHistory = async () => {
+    const { data, partial } = await ExecutionHistory.search(INTEGRATION_ID, {
+      startDateAfter: DateTime.now().minus(WINDOW).toISO(),
+      ...(COMPARE_FILE_HASHES ? {} : { dataTag: MARKER })
+    })
+    const keys = {}
+    const executions = data.filter(execution => COUNTED_STATUSES.includes(execution.status))
+    executions.forEach(execution => {
+      const keyValues = (execution.data_tags || []).filter(tag => tag.label === KEYS_LABEL).map(tag => tag.value)
+      keyValues.join(' ').split(' ').filter(Boolean).forEach(key => { keys[key] = keys[key] || execution.invocation_id })
+    })
+    return { keys, executions, partial }
+  }
+
+  // file_hash -> invocation_id for the files of the newest executions the budget allows
+  const listFileHashes = async (executions) => {
+    const hashes = {}
+    for (const execution of executions) {
+      const files = await ExecutionHistory.listFiles(execution.invocation_id)
+      if (!files) break
+      files.forEach(meta => { hashes[meta.file_hash] = hashes[meta.file_hash] || execution.invocation_id })
+    }
+    return hashes
+  }
+
+  const files = sourceFiles.map(file => {
+    const hash = contentHash(file)
+    let key = hash
+    if (businessKey) {
+      try {
+        const value = businessKey(file)
+        key = value === null || value === undefined ? null : md5(String(value))
+      } catch (err) {
+        userLog.warning(`${file.file_name}: no business key (${err.message}), checking its content instead`)
+      }
+    }
+    return { file, hash, key: key && key.slice(0, KEY_LENGTH) }
+  })
+
+  let history = { keys: {}, executions: [] }
+  let fileHashes = {}
+  try {
+    history = await searchHistory()
+    if (history.partial) {
+      userLog.warning(`Only the newest ${history.executions.length} executions within the window were checked; shorten WINDOW`)
+    }
+    if (COMPARE_FILE_HASHES) fileHashes = await listFileHashes(history.executions)
+  } catch (err) {
+    userLog.error(`Could not search the execution history, duplicates were not checked: ${err.message}`)
+  }
+
+  const seen = {}
+  const kept = files.filter(({ file, hash, key }) => {
+    const earlier = (key && history.keys[key]) || fileHashes[hash]
+    const repeated = key && seen[key]
+    if (earlier || repeated) {
+      userLog.warning(earlier
+        ? `Dropping ${file.file_name}, already processed by execution ${earlier}`
+        : `Dropping ${file.file_name}, a duplicate of ${repeated} in this execution`)
+      return false
+    }
+    if (key) seen[key] = file.file_name
+    return true
+  })
+
+  const keys = lodash.uniq(kept.map(({ key }) => key).filter(Boolean))
+  const tags = keyTags(keys)
+  if (tags.length > MAX_KEY_TAGS) {
+    userLog.warning(`Only ${MAX_KEY_TAGS} of ${tags.length} key tags can be published; later executions will not recognize the remaining files`)
+  }
+  // the marker goes first so a later search finds this execution even if key tags are cut
+  DataTags.add(MARKER_LABEL, MARKER, { priority: 1 })
+  DataTags.add('Duplicate Files Dropped', String(files.length - kept.length), { priority: 1 })
+  tags.slice(0, MAX_KEY_TAGS).forEach(tag => DataTags.add(tag.label, tag.value))
+  DataTags.publish()
+
+  if (!kept.length) {
+    userLog.info('Every file was already processed')
+    return returnSkipped([])
+  }
+  userLog.info(`Processing ${kept.length} of ${files.length} file(s)`)
+  return returnSuccess(kept.map(({ file }) => file))
+})()
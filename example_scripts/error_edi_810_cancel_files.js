@@ -1,31 +1,307 @@
 /**
- * This pre-processor looks for EDI 810 files with a (3) cancel status in the BIG09 Element
- * and causes them to error while writing a data tag with the order number from the BIG02
- * 
+ * This pre-processor looks for invoices in EDI 810 files with a (3) cancel status in the
+ * BIG09 element, removes them and writes a data tag with the order number from the BIG02
+ * of each one, while the rest of the invoices are passed on
+ *
  * Use this along with a notifier to alert your operations when a customer attempts to 
  * cancel an invoice instead of sending it into your TMS so they can take action offline
+ *
+ * - Every BIG segment of every transaction set is checked, so an interchange with several
+ *   ST/SE sets (or several groups) is handled one invoice at a time
+ * - Only the cancelled transaction sets are removed. GE01 and IEA01 are updated to match,
+ *   groups and interchanges left empty are dropped, and a file left empty is not returned
+ * - One "Cancelled Order" data tag is published per cancelled order number through the
+ *   shared DataTags publisher, which leaves out blank and repeated order numbers. When
+ *   there are more than the free tags, they are rolled up into one tag listing as many as
+ *   fit, and with RETURN_ORDER_LIST the full list is returned as cancelled_order.json
+ *   along with the invoices. Every cancelled order is in the user log either way
+ * - When anything was cancelled, a "Cancel Result" data tag says whether the execution was
+ *   "Partial" (some invoices passed on) or "All Cancelled", and the remaining files are
+ *   returned with returnError so the execution is flagged for operations. Without cancels
+ *   every file is returned with returnSuccess
+ * - Files that are not X12 are passed on untouched
+ *
+ * The files are read with the shared X12 reader (shared/x12.js), so the delimiters are
+ * taken from each file's ISA segment instead of assuming '*' and '~'.
  */
 
-function isCancel(body) {
-  return !!body.match(/BIG\*.*\*3~/g)
+// Return cancelled_order.json with the invoices when the cancelled orders are rolled up
+// into one tag; turn this off when the destination should only get invoices
+const RETURN_ORDER_LIST = true
+
+// ---- BEGIN shared/x12.js (generated: edit shared/x12.js, then run node tools/sync_shared.js) ----
+const X12 = (() => {
+  const parseDelimiters = (body, isaStart = body.indexOf('ISA')) => {
+    if (isaStart === -1) return null
+    const isa = body.slice(isaStart).split(body[isaStart + 3], 17)
+    if (isa.length < 17 || isa[16].length < 2) return null
+    return {
+      element: body[isaStart + 3],
+      component: isa[16][0],
+      repetition: isa[12] >= '00402' && /^[^\w\s]$/.test(isa[11]) ? isa[11] : null,
+      segment: isa[16][1],
+      lineEnding: isa[16].slice(2).match(/^[\r\n]*/)[0]
+    }
+  }
+  const makeSegment = (elements, delimiters, suffix = delimiters.lineEnding) => ({
+    id: elements[0],
+    elements,
+    suffix,
+    terminated: true,
+    element (n, component, repetition) {
+      let value = this.elements[n] || ''
+      if (repetition && delimiters.repetition) value = value.split(delimiters.repetition)[repetition - 1] || ''
+      return component ? value.split(delimiters.component)[component - 1] || '' : value
+    },
+    setElement (n, value, component) {
+      while (this.elements.length <= n) this.elements.push('')
+      if (component) {
+        const parts = this.elements[n].split(delimiters.component)
+        while (parts.length < component) parts.push('')
+        parts[component - 1] = value
+        value = parts.join(delimiters.component)
+      }
+      this.elements[n] = value
+    },
+    toString () {
+      return this.elements.join(delimiters.element)
+    }
+  })
+  const tokenize = (body) => {
+    const isaStart = body.indexOf('ISA')
+    const delimiters = parseDelimiters(body, isaStart)
+    if (!delimiters) throw new Error('No valid ISA segment found')
+    const segments = []
+    body.slice(isaStart).split(delimiters.segment).forEach((chunk, idx, chunks) => {
+      const prev = segments[segments.length - 1]
+      const text = prev ? chunk.trimStart() : chunk
+      const last = idx === chunks.length - 1
+      if (prev) prev.suffix += chunk.slice(0, chunk.length - text.length) + (text || last ? '' : delimiters.segment)
+      if (!text) return
+      const segment = makeSegment(text.split(delimiters.element), delimiters, '')
+      segment.terminated = !last
+      segments.push(segment)
+    })
+    return { delimiters, prefix: body.slice(0, isaStart), segments }
+  }
+  const parse = (body) => {
+    const { delimiters, prefix, segments } = tokenize(body)
+    const doc = { delimiters, prefix, interchanges: [] }
+    let interchange = null
+    let group = null
+    let transaction = null
+    segments.forEach((seg, idx) => {
+      seg.position = idx + 1
+      const inside = (parent, what) => {
+        if (!parent) throw new Error(`${seg.id} segment at position ${idx + 1} is outside ${what}`)
+      }
+      if (seg.id !== 'ISA') inside(interchange, 'an interchange')
+      if (['GE', 'ST'].includes(seg.id)) inside(group, 'a functional group')
+      if (seg.id === 'ISA') {
+        interchange = { isa: seg, iea: null, extra: [], groups: [] }
+        doc.interchanges.push(interchange)
+        group = transaction = null
+      } else if (seg.id === 'IEA') {
+        interchange.iea = seg
+        interchange = group = transaction = null
+      } else if (seg.id === 'GS') {
+        group = { gs: seg, ge: null, extra: [], transactions: [] }
+        interchange.groups.push(group)
+        transaction = null
+      } else if (seg.id === 'GE') {
+        group.ge = seg
+        group = transaction = null
+      } else if (seg.id === 'ST') {
+        transaction = { st: seg, se: null, segments: [seg] }
+        group.transactions.push(transaction)
+      } else if (transaction) {
+        transaction.segments.push(seg)
+        if (seg.id === 'SE') {
+          transaction.se = seg
+          transaction = null
+        }
+      } else {
+        (group || interchange).extra.push(seg)
+      }
+    })
+    return doc
+  }
+  const transactions = (doc) => doc.interchanges.flatMap(interchange =>
+    interchange.groups.flatMap(group =>
+      group.transactions.map(transaction => ({ interchange, group, transaction }))))
+  return {
+    parseDelimiters,
+    parse,
+    transactions,
+    segment: (doc, elements) => makeSegment(elements, doc.delimiters)
+  }
+})()
+// ---- END shared/x12.js ----
+// ---- BEGIN shared/x12_writer.js (generated: edit shared/x12_writer.js, then run node tools/sync_shared.js) ----
+X12.serialize = (doc) => {
+  const out = [doc.prefix]
+  const write = (seg) => {
+    if (seg) out.push(seg.toString() + (seg.terminated ? doc.delimiters.segment : '') + seg.suffix)
+  }
+  doc.interchanges.forEach(interchange => {
+    write(interchange.isa)
+    interchange.extra.forEach(write)
+    interchange.groups.forEach(group => {
+      write(group.gs)
+      group.extra.forEach(write)
+      group.transactions.forEach(transaction => transaction.segments.forEach(write))
+      write(group.ge)
+    })
+    write(interchange.iea)
+  })
+  return out.join('')
+}
+// ---- END shared/x12_writer.js ----
+// ---- BEGIN shared/utf8.js (generated: edit shared/utf8.js, then run node tools/sync_shared.js) ----
+const Utf8 = (() => {
+  const byteLength = (text) => {
+    let bytes = 0
+    for (const char of text) {
+      const c = char.codePointAt(0)
+      bytes += c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4
+    }
+    return bytes
+  }
+  const truncate = (text, maxBytes, marker = '') => {
+    if (byteLength(text) <= maxBytes) return text
+    let out = ''
+    let bytes = byteLength(marker)
+    for (const char of text) {
+      bytes += byteLength(char)
+      if (bytes > maxBytes) break
+      out += char
+    }
+    return out + marker
+  }
+  return { byteLength, truncate }
+})()
+// ---- END shared/utf8.js ----
+// ---- BEGIN shared/data_tags.js (generated: edit shared/data_tags.js, then run node tools/sync_shared.js) ----
+const DataTags = (() => {
+  const MAX_TAGS = 100
+  const queued = []
+  let published = 0
+  const add = (label, value, { priority = 0 } = {}) => {
+    if ([label, value].some(text => text === undefined || text === null || String(text).trim() === '')) {
+      userLog.warning(`Data tag "${label}" has no label or value and is not published`)
+      return false
+    }
+    const tag = { label: Utf8.truncate(String(label), 50), value: Utf8.truncate(String(value), 255) }
+    if (tag.label !== String(label) || tag.value !== String(value)) userLog.warning(`Data tag "${tag.label}" was cut to fit the byte limits`)
+    if (lodash.some(queued, tag)) return false
+    queued.push({ ...tag, priority })
+    return true
+  }
+  const publish = () => {
+    const sorted = lodash.sortBy(queued, tag => -tag.priority)
+    const room = Math.max(MAX_TAGS - published, 0)
+    const kept = sorted.slice(0, room).map(({ label, value }) => ({ label, value }))
+    if (sorted.length > room) {
+      const left = lodash.uniq(sorted.slice(room).map(tag => tag.label)).join(', ')
+      userLog.warning(`${sorted.length - room} data tag(s) over the ${MAX_TAGS} tag limit were not published: ${left}`)
+    }
+    if (kept.length) publishDataTags(kept)
+    published += kept.length
+    queued.length = 0
+    return kept
+  }
+  return { add, publish, room: () => MAX_TAGS - published - queued.length }
+})()
+// ---- END shared/data_tags.js ----
+// ---- BEGIN shared/data_tag_rollup.js (generated: edit shared/data_tag_rollup.js, then run node tools/sync_shared.js) ----
+DataTags.addAll = (label, list, { max = DataTags.room(), priority = 0, fileName = `${lodash.snakeCase(label)}.json` } = {}) => {
+  const distinct = lodash.uniq(list.filter(value => value !== undefined && value !== null && String(value).trim() !== '').map(String))
+  if (distinct.length <= max) {
+    distinct.forEach(value => DataTags.add(label, value, { priority }))
+    return null
+  }
+  const shown = []
+  for (const value of distinct) {
+    if (Utf8.byteLength(`${distinct.length} values: ${[...shown, value].join(', ')}, ...`) > 255) break
+    shown.push(value)
+  }
+  DataTags.add(label, `${distinct.length} values: ${shown.join(', ')}, ...`, { priority })
+  return {
+    uuid: uuid(),
+    type: 'file',
+    file_name: fileName,
+    format: 'json',
+    mime_type: 'application/json',
+    body: JSON.stringify({ label, values: distinct }, null, 2)
+  }
 }
+// ---- END shared/data_tag_rollup.js ----
 
-function getOrderNumber(body) {
-  return body.match(/BIG\*[0-9]*\*[a-zA-Z0-9]*/).toString().split('*')[2]
+/**
+ * Returns the order number (BIG02) if the transaction set is a cancelled invoice.
+ *
+ * @param {object} transaction - A transaction set from X12.parse
+ * @returns {string|null} - The order number, or null if it is not cancelled
+ */
+const findCancel = (transaction) => {
+  const big = transaction.segments.find(seg => seg.id === 'BIG' && seg.element(9) === '3')
+  return big ? big.element(2) : null
+}
+
+/**
+ * Removes the cancelled invoices from a file.
+ *
+ * @param {object} file - The source file
+ * @returns {object} - { file, cancelled } where file is null if nothing is left in it
+ */
+const removeCancels = (file) => {
+  if (!X12.parseDelimiters(file.body)) return { file, cancelled: [] }
+  const doc = X12.parse(file.body)
+  const cancelled = []
+  doc.interchanges.forEach(interchange => {
+    interchange.groups.forEach(group => {
+      group.transactions = group.transactions.filter(transaction => {
+        const orderNumber = findCancel(transaction)
+        if (orderNumber !== null) cancelled.push(orderNumber)
+        return orderNumber === null
+      })
+      if (group.ge) group.ge.setElement(1, String(group.transactions.length))
+    })
+    interchange.groups = interchange.groups.filter(group => group.transactions.length > 0)
+    if (interchange.iea) interchange.iea.setElement(1, String(interchange.groups.length))
+  })
+  if (cancelled.length === 0) return { file, cancelled }
+
+  doc.interchanges = doc.interchanges.filter(interchange => interchange.groups.length > 0)
+  return {
+    file: doc.interchanges.length ? { ...file, body: X12.serialize(doc) } : null,
+    cancelled
+  }
 }
 
-const cancelFound = sourceFiles.find(file => {
-  const { body } = file
-  if (isCancel(body)) {
-    return body
+const passed = []
+const cancelledOrders = []
+sourceFiles.forEach(sourceFile => {
+  try {
+    const { file, cancelled } = removeCancels(sourceFile)
+    if (file) passed.push(file)
+    cancelled.forEach(orderNumber => {
+      userLog.info(`Cancel found for order ${orderNumber} in ${sourceFile.file_name}, removing it`)
+      cancelledOrders.push(orderNumber)
+    })
+  } catch (err) {
+    userLog.warning(`Could not parse ${sourceFile.file_name} as X12, passing it on unchanged: ${err.message}`)
+    passed.push(sourceFile)
   }
 })
 
-if (cancelFound) {
-  const orderNumber = getOrderNumber(cancelFound.body)
-  publishDataTags({ label: 'Cancelled Order', value: orderNumber })
-  userLog.info(`Cancel found for order ${orderNumber}, failing preprocessor`)
-  returnError()
+if (cancelledOrders.length > 0) {
+  const result = passed.length > 0 ? 'Partial' : 'All Cancelled'
+  DataTags.add('Cancel Result', result, { priority: 1 })
+  const orderList = DataTags.addAll('Cancelled Order', cancelledOrders)
+  DataTags.publish()
+  userLog.warning(`Removed ${cancelledOrders.length} cancelled invoice(s), passing on ${passed.length} file(s)`)
+  returnError(orderList && RETURN_ORDER_LIST ? [...passed, orderList] : passed)
 } else {
   returnSuccess(sourceFiles)
 }
@@ -1,31 +1,124 @@
-const doWork = (f, idx) => {
-  // skip non-excel files
-  if (!f.file_name?.match(/\.xls[xbm]$/)) return null;
+/**
+ * Converts every sheet of each Excel workbook into its own file named <workbook>_<sheet>.csv
+ * (or .json), so a workbook with one sheet per PO or a header sheet plus a detail sheet
+ * keeps all of its data.
+ *
+ * - Reads .xlsx, .xlsm, .xlsb, .xls and .ods workbooks. Other files are dropped
+ * - Converts every sheet, or only the sheets matching SHEETS
+ * - Blank rows above the data are skipped
+ * - Date cells are written with DATE_FORMAT through DateTime, whatever their Excel format
+ * - With OUTPUT_FORMAT = 'json' each sheet becomes an array of row objects keyed by the
+ *   header row (the first non-blank row), with numbers and booleans kept as JSON values
+ * - A password-protected, unreadable or empty workbook is logged as an error and the
+ *   execution ends with returnError, while the files converted from other workbooks are
+ *   still returned
+ */
+
+// Sheets to convert: null for every sheet, or a list of sheet names and regular expressions
+const SHEETS = null // e.g. ['Header', /^PO /]
+
+// 'csv' for one CSV file per sheet, 'json' for one JSON file of row objects per sheet
+const OUTPUT_FORMAT = 'csv'
+
+// Luxon format used for every date cell
+const DATE_FORMAT = 'yyyy-MM-dd'
+
+const isWanted = (sheetName) => !SHEETS || SHEETS.some(pattern =>
+  pattern instanceof RegExp ? pattern.test(sheetName) : pattern === sheetName)
 
-  // read the workbook and get the first sheet
-  const workbook = XLSX.read(f.body, { type: 'base64' })
-  const sheetNames = workbook.SheetNames
-  if (!sheetNames || !sheetNames.length) {
-    throw new Error('No sheets found in Excel file')
+// the displayed text for CSV, the typed value for JSON
+const cellValue = (cell, typed) => {
+  if (!cell || cell.v === undefined || cell.v === null) return ''
+  if (cell.t === 'd') return DateTime.fromJSDate(cell.v).toFormat(DATE_FORMAT)
+  if (typed) return cell.v
+  return cell.w !== undefined ? cell.w : String(cell.v)
+}
+
+// reads a sheet into rows of cell values, without the blank rows above the data
+const readRows = (worksheet, typed) => {
+  if (!worksheet['!ref']) return []
+  const range = XLSX.utils.decode_range(worksheet['!ref'])
+  const rows = []
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const row = []
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      row.push(cellValue(worksheet[XLSX.utils.encode_cell({ r, c })], typed))
+    }
+    rows.push(row)
   }
-  const worksheet = workbook.Sheets[sheetNames[0]]
-
-  // use the built in CSV converter
-  const body = XLSX.utils.sheet_to_csv(worksheet, { defval: null }).toString()
-
-  // fix the file name
-  const fName = f.file_name.split('.')
-  fName.pop()
-  fName.push('csv')
-  return {
-    uuid: uuid(),
-    type: 'file',
-    file_name: fName.join('.'),
-    format: 'csv',
-    mime_type: 'text/csv',
-    body 
+  const isBlank = (row) => row.every(value => value === '')
+  const first = rows.findIndex(row => !isBlank(row))
+  return first === -1 ? [] : rows.slice(first)
+}
+
+// turns rows into objects keyed by the header row; blank or repeated headers get a suffix
+const toObjects = (rows) => {
+  const seen = {}
+  const headers = rows[0].map((value, idx) => {
+    const name = String(value).trim() || `Column ${idx + 1}`
+    seen[name] = (seen[name] || 0) + 1
+    return seen[name] > 1 ? `${name}_${seen[name]}` : name
+  })
+  return rows.slice(1)
+    .filter(row => row.some(value => value !== ''))
+    .map(row => Object.fromEntries(headers.map((header, idx) => [header, row[idx]])))
+}
+
+const doWork = (f) => {
+  // read the workbook; SheetJS throws for password-protected and corrupt files
+  let workbook
+  try {
+    workbook = XLSX.read(f.body, { type: 'base64', cellDates: true })
+  } catch (err) {
+    throw new Error(`Could not read workbook (password-protected or damaged): ${err.message}`)
   }
+  const sheetNames = (workbook.SheetNames || []).filter(isWanted)
+  if (!sheetNames.length) {
+    throw new Error(SHEETS ? 'No sheets match SHEETS' : 'No sheets found in Excel file')
+  }
+
+  const workbookName = f.file_name.replace(/\.[^.]*$/, '')
+  const files = []
+  sheetNames.forEach(sheetName => {
+    const rows = readRows(workbook.Sheets[sheetName], OUTPUT_FORMAT === 'json')
+    if (!rows.length) {
+      userLog.info(`Skipping empty sheet "${sheetName}" in ${f.file_name}`)
+      return
+    }
+    const body = OUTPUT_FORMAT === 'json'
+      ? JSON.stringify(toObjects(rows))
+      : XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(rows))
+    files.push({
+      uuid: uuid(),
+      type: 'file',
+      // characters that are not allowed in file names become underscores
+      file_name: `${workbookName}_${sheetName.replace(/[\\/:*?"<>|]/g, '_')}.${OUTPUT_FORMAT}`,
+      format: OUTPUT_FORMAT,
+      mime_type: OUTPUT_FORMAT === 'json' ? 'application/json' : 'text/csv',
+      body
+    })
+  })
+  if (!files.length) throw new Error('Workbook is empty')
+  return files
 }
 
-const files = sourceFiles.map(doWork).filter(x => x)
-returnSuccess(files)
+const files = []
+let failed = 0
+sourceFiles.forEach(f => {
+  // skip non-excel files
+  if (!f.file_name?.match(/\.(xlsx|xlsm|xlsb|xls|ods)$/i)) return
+  try {
+    const converted = doWork(f)
+    userLog.info(`Converted ${converted.length} sheet(s) from ${f.file_name}`)
+    files.push(...converted)
+  } catch (err) {
+    failed++
+    userLog.error(`${f.file_name}: ${err.message}`)
+  }
+})
+
+if (failed) {
+  returnError(files)
+} else {
+  returnSuccess(files)
+}
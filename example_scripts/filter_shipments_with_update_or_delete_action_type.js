@@ -1,26 +1,169 @@
 /**
- * This script will filter out files with action_type update or delete and return
- * a Skipped status if no files remain.  
- * 
+ * This script filters the shipments in each file against FILTERS: by default it removes
+ * shipments with action_type update or delete. Every entry of shipments[] is checked on
+ * its own, so a file that mixes create and update shipments keeps its creates.
+ *
+ * - A file is rewritten with only its matching shipments, and dropped if none match
+ * - Files whose shipments all match, files without a shipments array and files that are
+ *   not valid JSON are returned as they are
+ * - The numbers of kept and removed shipments are published as data tags through the
+ *   shared DataTags publisher
+ * - A Skipped status is returned only if no files remain at all
+ *
  * It assumes the input files will be Chain.io standard shipment JSON.
- * 
+ *
  * https://docs.chain.io/specs/shipment_json
  */
+
+// A shipment is kept when it passes every filter. `path` is a lodash path into the
+// shipment; '[]' looks into every entry of an array, e.g. 'parties[].identifiers[].value'
+// or 'tags[]'. A filter passes when every condition it lists holds:
+// - { path, exists: true }      the path has a value (false: it has none)
+// - { path, notIn: [...] }      no value is in the list (a missing value passes)
+// and one value at the path meets all of these:
+// - { path, in: [...] }         the value is one of the list
+// - { path, matches: /regex/ }  the value matches
+// - { path, after, before }     the value is an ISO date after and/or before a date, given
+//                               as an ISO string or as a duration from now such as { days: -30 }
+// - { path, test: (value, shipment) => boolean }
+const FILTERS = [
+  { path: 'action_type', notIn: ['update', 'delete'] }
+  // { path: 'mode', in: ['ocean'] },
+  // { path: 'parties[].identifiers[].value', in: ['ACME01', 'ACME02'] },
+  // { path: 'estimated_departure_date', after: { days: -30 } }
+]
+
+// ---- BEGIN shared/utf8.js (generated: edit shared/utf8.js, then run node tools/sync_shared.js) ----
+const Utf8 = (() => {
+  const byteLength = (text) => {
+    let bytes = 0
+    for (const char of text) {
+      const c = char.codePointAt(0)
+      bytes += c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4
+    }
+    return bytes
+  }
+  const truncate = (text, maxBytes, marker = '') => {
+    if (byteLength(text) <= maxBytes) return text
+    let out = ''
+    let bytes = byteLength(marker)
+    for (const char of text) {
+      bytes += byteLength(char)
+      if (bytes > maxBytes) break
+      out += char
+    }
+    return out + marker
+  }
+  return { byteLength, truncate }
+})()
+// ---- END shared/utf8.js ----
+// ---- BEGIN shared/data_tags.js (generated: edit shared/data_tags.js, then run node tools/sync_shared.js) ----
+const DataTags = (() => {
+  const MAX_TAGS = 100
+  const queued = []
+  let published = 0
+  const add = (label, value, { priority = 0 } = {}) => {
+    if ([label, value].some(text => text === undefined || text === null || String(text).trim() === '')) {
+      userLog.warning(`Data tag "${label}" has no label or value and is not published`)
+      return false
+    }
+    const tag = { label: Utf8.truncate(String(label), 50), value: Utf8.truncate(String(value), 255) }
+    if (tag.label !== String(label) || tag.value !== String(value)) userLog.warning(`Data tag "${tag.label}" was cut to fit the byte limits`)
+    if (lodash.some(queued, tag)) return false
+    queued.push({ ...tag, priority })
+    return true
+  }
+  const publish = () => {
+    const sorted = lodash.sortBy(queued, tag => -tag.priority)
+    const room = Math.max(MAX_TAGS - published, 0)
+    const kept = sorted.slice(0, room).map(({ label, value }) => ({ label, value }))
+    if (sorted.length > room) {
+      const left = lodash.uniq(sorted.slice(room).map(tag => tag.label)).join(', ')
+      userLog.warning(`${sorted.length - room} data tag(s) over the ${MAX_TAGS} tag limit were not published: ${left}`)
+    }
+    if (kept.length) publishDataTags(kept)
+    published += kept.length
+    queued.length = 0
+    return kept
+  }
+  return { add, publish, room: () => MAX_TAGS - published - queued.length }
+})()
+// ---- END shared/data_tags.js ----
+
+// the values at a path, looking into every entry of the arrays marked with '[]'
+const valuesAt = (value, path) => {
+  const [head, ...rest] = path.split('[]')
+  const key = head.replace(/^\./, '')
+  const found = key === '' ? value : lodash.get(value, key)
+  if (!rest.length) return found === undefined || found === null || found === '' ? [] : [found]
+  return lodash.castArray(found ?? []).flatMap(entry => valuesAt(entry, rest.join('[]')))
+}
+
+const toDateTime = (value) => {
+  if (lodash.isPlainObject(value)) return DateTime.now().plus(value)
+  return value instanceof DateTime ? value : DateTime.fromISO(String(value))
+}
+
+// the conditions one value at the path has to meet together
+const VALUE_CONDITIONS = ['in', 'matches', 'after', 'before', 'test']
+
+const passes = (filter, shipment) => {
+  const values = valuesAt(shipment, filter.path)
+  if ('exists' in filter && (values.length > 0) !== filter.exists) return false
+  if ('notIn' in filter && values.some(value => filter.notIn.includes(value))) return false
+  if (!VALUE_CONDITIONS.some(condition => condition in filter)) return true
+  return values.some(value => {
+    if ('in' in filter && !filter.in.includes(value)) return false
+    if ('matches' in filter && !filter.matches.test(String(value))) return false
+    if ('after' in filter || 'before' in filter) {
+      const date = DateTime.fromISO(String(value))
+      if (!date.isValid) return false
+      if ('after' in filter && !(date > toDateTime(filter.after))) return false
+      if ('before' in filter && !(date < toDateTime(filter.before))) return false
+    }
+    return !filter.test || filter.test(value, shipment)
+  })
+}
+
+let kept = 0
+let removed = 0
 const remainingFiles = sourceFiles.map((sf) => {
+  let body
   try {
-    const body = JSON.parse(sf.body)
-    const actionType = lodash.get(body, 'shipments[0].action_type')
-    if (actionType === 'update' || actionType === 'delete') {
-      userLog.info(`skipping file ${sf.name} with action_type ${actionType}`)
-      return null
-    }
-    return sf
+    body = JSON.parse(sf.body)
   } catch (err) {
-    userLog.error(`unexpected error parsing json ${err.message}, returning file as is`)
+    userLog.error(`unexpected error parsing json in ${sf.file_name}: ${err.message}, returning file as is`)
     return sf
   }
+  if (!Array.isArray(body?.shipments)) {
+    userLog.info(`${sf.file_name} has no shipments array, returning file as is`)
+    return sf
+  }
+
+  // count the removed shipments by the first filter they fail
+  const reasons = {}
+  const shipments = body.shipments.filter(shipment => {
+    const failed = FILTERS.find(filter => !passes(filter, shipment))
+    if (failed) reasons[failed.name || failed.path] = (reasons[failed.name || failed.path] || 0) + 1
+    return !failed
+  })
+  kept += shipments.length
+  removed += body.shipments.length - shipments.length
+
+  if (shipments.length === body.shipments.length) return sf
+  const why = Object.entries(reasons).map(([name, count]) => `${name}: ${count}`).join(', ')
+  if (!shipments.length) {
+    userLog.info(`skipping file ${sf.file_name}, all ${body.shipments.length} shipment(s) were removed (${why})`)
+    return null
+  }
+  userLog.info(`${sf.file_name}: kept ${shipments.length} of ${body.shipments.length} shipment(s) (removed by ${why})`)
+  return { ...sf, body: JSON.stringify({ ...body, shipments }) }
 }).filter(x => x)
 
+DataTags.add('Shipments Kept', String(kept))
+DataTags.add('Shipments Removed', String(removed))
+DataTags.publish()
+
 if (remainingFiles.length === 0) {
   returnSkipped([])
 } else {
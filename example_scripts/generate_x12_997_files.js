@@ -0,0 +1,403 @@
+/**
+ * Chain.io Pre-Processor that generates X12 997 Functional Acknowledgments
+ *
+ * Features:
+ * - Reads each inbound interchange (810, 856 or any other transaction set) with the shared
+ *   X12 reader (shared/x12.js) and writes the 997s with the shared writer (shared/x12_writer.js)
+ * - Builds one 997 per functional group, enveloped in an interchange addressed back to the
+ *   sender: ISA and GS sender/receiver swapped, same version, same delimiters
+ * - AK1/AK2 echo the original GS01/GS06 and ST01/ST02 control numbers
+ * - Reports structural problems with the same code lists process_x12_997_files.js reads
+ *   (shared/x12_codes.js):
+ *     - Missing mandatory segments (AK3 code 3)
+ *     - Missing mandatory elements and elements that are too short or too long (AK3 code 8 + AK4)
+ *     - SE01 segment count and ST02/SE02 control number mismatches (AK502-AK506)
+ *     - GE01 transaction set count and GS06/GE02 control number mismatches (AK905-AK909)
+ * - AK501 is 'A' for a clean transaction set and 'R' otherwise; AK901 is 'A', 'P' or 'R'
+ * - Inbound 997s (GS01 = 'FA') are not acknowledged
+ * - Returns the inbound files followed by one <file name>_997.edi per inbound interchange
+ *   file, so the flow still processes what was acknowledged; set PASS_SOURCE_FILES to false
+ *   to return only the 997s. Skips if there is nothing to return
+ *
+ * ISA13 and GS06 are taken from a counter seeded with the current time, which keeps them
+ * unique between executions. Replace nextControlNumber if your partner expects a strict sequence.
+ */
+
+// Return the inbound files along with their 997s
+const PASS_SOURCE_FILES = true
+
+/**
+ * Mandatory segments of each checked transaction set, in the order they appear after ST.
+ * Transaction sets that are not listed are still checked for envelope and element errors.
+ */
+const MANDATORY_SEGMENTS = {
+  810: ['BIG', 'TDS'],
+  850: ['BEG'],
+  856: ['BSN', 'HL']
+}
+
+/**
+ * [minimum length, maximum length, 'M' if mandatory] for each element of a segment, starting
+ * with element 01. Segments and elements without a rule are not checked.
+ */
+const ELEMENT_RULES = {
+  ST: [[3, 3, 'M'], [4, 9, 'M']],
+  SE: [[1, 10, 'M'], [4, 9, 'M']],
+  BIG: [[8, 8, 'M'], [1, 22, 'M'], [8, 8], [1, 22]],
+  BEG: [[2, 2, 'M'], [2, 2, 'M'], [1, 22, 'M'], [1, 30], [8, 8, 'M']],
+  BSN: [[2, 2, 'M'], [2, 30, 'M'], [8, 8, 'M'], [4, 8, 'M']],
+  HL: [[1, 12, 'M'], [1, 12], [1, 2, 'M']],
+  TDS: [[1, 15, 'M']],
+  N1: [[2, 3, 'M'], [1, 60], [1, 2], [2, 80]],
+  REF: [[2, 3, 'M'], [1, 30], [1, 80]]
+}
+
+/**
+ * AK3/AK4/AK5/AK9 code lists, shared with process_x12_997_files.js so the errors we
+ * send are described the same way as the errors we receive.
+ */
+// ---- BEGIN shared/x12_codes.js [AK5_CODE_ENUM, AK5_ERROR_ENUM, AK9_CODE_ENUM] (generated: edit shared/x12_codes.js, then run node tools/sync_shared.js) ----
+const AK5_CODE_ENUM = {
+  A: 'Accepted',
+  E: 'Accepted but errors were noted',
+  M: 'Rejected, message authentication code (MAC) failed',
+  R: 'Rejected',
+  W: 'Rejected, assurance failed validity tests',
+  X: 'Rejected, content after decryption could not be analyzed'
+}
+const AK5_ERROR_ENUM = {
+  1: 'Transaction set not supported',
+  2: 'Transaction set trailer missing',
+  3: 'Transaction set control number in header and trailer do not match',
+  4: 'Number of included segments does not match actual count',
+  5: 'One or more segments in error',
+  6: 'Missing or invalid transaction set identifier',
+  7: 'Missing or invalid transaction set control number'
+}
+const AK9_CODE_ENUM = {
+  A: 'Accepted',
+  E: 'Accepted but errors were noted',
+  P: 'Partially accepted',
+  R: 'Rejected'
+}
+// ---- END shared/x12_codes.js ----
+
+// ---- BEGIN shared/x12.js (generated: edit shared/x12.js, then run node tools/sync_shared.js) ----
+const X12 = (() => {
+  const parseDelimiters = (body, isaStart = body.indexOf('ISA')) => {
+    if (isaStart === -1) return null
+    const isa = body.slice(isaStart).split(body[isaStart + 3], 17)
+    if (isa.length < 17 || isa[16].length < 2) return null
+    return {
+      element: body[isaStart + 3],
+      component: isa[16][0],
+      repetition: isa[12] >= '00402' && /^[^\w\s]$/.test(isa[11]) ? isa[11] : null,
+      segment: isa[16][1],
+      lineEnding: isa[16].slice(2).match(/^[\r\n]*/)[0]
+    }
+  }
+  const makeSegment = (elements, delimiters, suffix = delimiters.lineEnding) => ({
+    id: elements[0],
+    elements,
+    suffix,
+    terminated: true,
+    element (n, component, repetition) {
+      let value = this.elements[n] || ''
+      if (repetition && delimiters.repetition) value = value.split(delimiters.repetition)[repetition - 1] || ''
+      return component ? value.split(delimiters.component)[component - 1] || '' : value
+    },
+    setElement (n, value, component) {
+      while (this.elements.length <= n) this.elements.push('')
+      if (component) {
+        const parts = this.elements[n].split(delimiters.component)
+        while (parts.length < component) parts.push('')
+        parts[component - 1] = value
+        value = parts.join(delimiters.component)
+      }
+      this.elements[n] = value
+    },
+    toString () {
+      return this.elements.join(delimiters.element)
+    }
+  })
+  const tokenize = (body) => {
+    const isaStart = body.indexOf('ISA')
+    const delimiters = parseDelimiters(body, isaStart)
+    if (!delimiters) throw new Error('No valid ISA segment found')
+    const segments = []
+    body.slice(isaStart).split(delimiters.segment).forEach((chunk, idx, chunks) => {
+      const prev = segments[segments.length - 1]
+      const text = prev ? chunk.trimStart() : chunk
+      const last = idx === chunks.length - 1
+      if (prev) prev.suffix += chunk.slice(0, chunk.length - text.length) + (text || last ? '' : delimiters.segment)
+      if (!text) return
+      const segment = makeSegment(text.split(delimiters.element), delimiters, '')
+      segment.terminated = !last
+      segments.push(segment)
+    })
+    return { delimiters, prefix: body.slice(0, isaStart), segments }
+  }
+  const parse = (body) => {
+    const { delimiters, prefix, segments } = tokenize(body)
+    const doc = { delimiters, prefix, interchanges: [] }
+    let interchange = null
+    let group = null
+    let transaction = null
+    segments.forEach((seg, idx) => {
+      seg.position = idx + 1
+      const inside = (parent, what) => {
+        if (!parent) throw new Error(`${seg.id} segment at position ${idx + 1} is outside ${what}`)
+      }
+      if (seg.id !== 'ISA') inside(interchange, 'an interchange')
+      if (['GE', 'ST'].includes(seg.id)) inside(group, 'a functional group')
+      if (seg.id === 'ISA') {
+        interchange = { isa: seg, iea: null, extra: [], groups: [] }
+        doc.interchanges.push(interchange)
+        group = transaction = null
+      } else if (seg.id === 'IEA') {
+        interchange.iea = seg
+        interchange = group = transaction = null
+      } else if (seg.id === 'GS') {
+        group = { gs: seg, ge: null, extra: [], transactions: [] }
+        interchange.groups.push(group)
+        transaction = null
+      } else if (seg.id === 'GE') {
+        group.ge = seg
+        group = transaction = null
+      } else if (seg.id === 'ST') {
+        transaction = { st: seg, se: null, segments: [seg] }
+        group.transactions.push(transaction)
+      } else if (transaction) {
+        transaction.segments.push(seg)
+        if (seg.id === 'SE') {
+          transaction.se = seg
+          transaction = null
+        }
+      } else {
+        (group || interchange).extra.push(seg)
+      }
+    })
+    return doc
+  }
+  const transactions = (doc) => doc.interchanges.flatMap(interchange =>
+    interchange.groups.flatMap(group =>
+      group.transactions.map(transaction => ({ interchange, group, transaction }))))
+  return {
+    parseDelimiters,
+    parse,
+    transactions,
+    segment: (doc, elements) => makeSegment(elements, doc.delimiters)
+  }
+})()
+// ---- END shared/x12.js ----
+// ---- BEGIN shared/x12_writer.js (generated: edit shared/x12_writer.js, then run node tools/sync_shared.js) ----
+X12.serialize = (doc) => {
+  const out = [doc.prefix]
+  const write = (seg) => {
+    if (seg) out.push(seg.toString() + (seg.terminated ? doc.delimiters.segment : '') + seg.suffix)
+  }
+  doc.interchanges.forEach(interchange => {
+    write(interchange.isa)
+    interchange.extra.forEach(write)
+    interchange.groups.forEach(group => {
+      write(group.gs)
+      group.extra.forEach(write)
+      group.transactions.forEach(transaction => transaction.segments.forEach(write))
+      write(group.ge)
+    })
+    write(interchange.iea)
+  })
+  return out.join('')
+}
+// ---- END shared/x12_writer.js ----
+
+let controlNumber = Math.floor(DateTime.utc().toMillis() / 100) % 1000000000
+const nextControlNumber = () => {
+  controlNumber = (controlNumber + 1) % 1000000000 || 1
+  return controlNumber
+}
+
+/**
+ * Checks the elements of a segment against ELEMENT_RULES.
+ *
+ * @param {object} seg - The parsed segment
+ * @returns {Array} - AK4 details: { position, code, value }
+ */
+const checkElements = (seg) => (ELEMENT_RULES[seg.id] || []).flatMap(([min, max, usage], idx) => {
+  const position = idx + 1
+  const value = seg.element(position)
+  if (!value) return usage === 'M' ? [{ position, code: 1, value: '' }] : []
+  if (value.length < min) return [{ position, code: 4, value }]
+  if (value.length > max) return [{ position, code: 5, value }]
+  return []
+})
+
+/**
+ * Checks one transaction set.
+ *
+ * @param {object} transaction - A transaction from X12.parse
+ * @returns {object} - { segmentErrors: [{ id, position, code, elementErrors }], setErrors: [AK502 codes] }
+ */
+const checkTransaction = ({ st, se, segments }) => {
+  const segmentErrors = []
+  segments.forEach((seg, idx) => {
+    const elementErrors = checkElements(seg)
+    if (elementErrors.length) segmentErrors.push({ id: seg.id, position: idx + 1, code: 8, elementErrors })
+  })
+
+  // a missing segment is reported at the position it should have been found
+  const mandatory = MANDATORY_SEGMENTS[st.element(1)] || []
+  let expected = 2
+  mandatory.forEach(id => {
+    const idx = segments.findIndex(seg => seg.id === id)
+    if (idx === -1) {
+      segmentErrors.push({ id, position: expected, code: 3, elementErrors: [] })
+    } else {
+      expected = idx + 2
+    }
+  })
+  segmentErrors.sort((a, b) => a.position - b.position)
+
+  const setErrors = []
+  if (!se) {
+    setErrors.push(2)
+  } else {
+    if (se.element(2) !== st.element(2)) setErrors.push(3)
+    if (Number(se.element(1)) !== segments.length) setErrors.push(4)
+  }
+  if (segmentErrors.length) setErrors.push(5)
+  return { segmentErrors, setErrors }
+}
+
+/**
+ * Builds the 997 transaction set acknowledging one functional group.
+ *
+ * @param {object} group - The functional group to acknowledge
+ * @param {function} make - Creates a segment from its elements
+ * @returns {object} - { transaction, status } where status is the AK901 code
+ */
+const acknowledgeGroup = (group, make) => {
+  const { gs, ge, transactions } = group
+  const version = gs.element(8)
+  const ak1 = ['AK1', gs.element(1), gs.element(6)]
+  if (version >= '005010') ak1.push(version)
+  const segments = [make(['ST', '997', '0001']), make(ak1)]
+
+  let accepted = 0
+  transactions.forEach(transaction => {
+    const { st } = transaction
+    const { segmentErrors, setErrors } = checkTransaction(transaction)
+    segments.push(make(['AK2', st.element(1), st.element(2), st.element(3)]))
+    segmentErrors.forEach(segErr => {
+      segments.push(make(['AK3', segErr.id, String(segErr.position), '', String(segErr.code)]))
+      segErr.elementErrors.forEach(elemErr => {
+        segments.push(make(['AK4', String(elemErr.position), '', String(elemErr.code), elemErr.value]))
+      })
+    })
+    const ak501 = setErrors.length ? 'R' : 'A'
+    if (ak501 === 'A') accepted++
+    segments.push(make(['AK5', ak501, ...setErrors.slice(0, 5).map(String)]))
+
+    const reasons = setErrors.map(code => AK5_ERROR_ENUM[code]).join('; ')
+    const message = `Transaction ${st.element(1)} #${st.element(2)}: ${AK5_CODE_ENUM[ak501]}${reasons ? ` (${reasons})` : ''}`
+    if (ak501 === 'A') {
+      userLog.info(message)
+    } else {
+      userLog.warning(message)
+    }
+  })
+
+  const groupErrors = []
+  if (!ge) {
+    groupErrors.push(3)
+  } else {
+    if (ge.element(2) !== gs.element(6)) groupErrors.push(4)
+    if (Number(ge.element(1)) !== transactions.length) groupErrors.push(5)
+  }
+  let status = 'R'
+  if (groupErrors.length === 0 && accepted === transactions.length) status = 'A'
+  else if (groupErrors.length === 0 && accepted > 0) status = 'P'
+  segments.push(make([
+    'AK9', status, ge?.element(1) || String(transactions.length), String(transactions.length), String(accepted),
+    ...groupErrors.map(String)
+  ]))
+  segments.push(make(['SE', String(segments.length + 1), '0001']))
+
+  userLog.info(`Functional Group ${gs.element(6)}: ${AK9_CODE_ENUM[status]} - ${accepted}/${transactions.length} transactions accepted`)
+  return { transaction: { st: segments[0], se: segments[segments.length - 1], segments }, status }
+}
+
+/**
+ * Builds a 997 document for an inbound file.
+ *
+ * @param {object} file - The inbound file
+ * @returns {string|null} - The 997 interchange(s), or null if there is nothing to acknowledge
+ */
+const generate997 = (file) => {
+  const doc = X12.parse(file.body)
+  // X12 does not allow trailing empty elements
+  const make = (elements) => {
+    const trimmed = elements.map(value => value || '')
+    while (trimmed.length > 1 && trimmed[trimmed.length - 1] === '') trimmed.pop()
+    return X12.segment(doc, trimmed)
+  }
+  const now = DateTime.utc()
+  const ack = { delimiters: doc.delimiters, prefix: '', interchanges: [] }
+
+  doc.interchanges.forEach(interchange => {
+    const { isa } = interchange
+    const groups = interchange.groups.filter(group => group.gs.element(1) !== 'FA')
+    if (groups.length === 0) return
+    const isa13 = String(nextControlNumber()).padStart(9, '0')
+    const ackGroups = groups.map(group => {
+      const gs06 = String(nextControlNumber())
+      const { transaction } = acknowledgeGroup(group, make)
+      return {
+        gs: make(['GS', 'FA', group.gs.element(3), group.gs.element(2), now.toFormat('yyyyMMdd'), now.toFormat('HHmm'), gs06, 'X', group.gs.element(8)]),
+        ge: make(['GE', '1', gs06]),
+        extra: [],
+        transactions: [transaction]
+      }
+    })
+    ack.interchanges.push({
+      // ISA elements are fixed width and never trimmed
+      isa: X12.segment(doc, [
+        'ISA', '00', ''.padEnd(10), '00', ''.padEnd(10),
+        isa.element(7), isa.element(8), isa.element(5), isa.element(6),
+        now.toFormat('yyMMdd'), now.toFormat('HHmm'), isa.element(11), isa.element(12),
+        isa13, '0', isa.element(15), doc.delimiters.component
+      ]),
+      iea: make(['IEA', String(ackGroups.length), isa13]),
+      extra: [],
+      groups: ackGroups
+    })
+  })
+
+  return ack.interchanges.length ? X12.serialize(ack) : null
+}
+
+const acks = []
+for (const sourceFile of sourceFiles) {
+  try {
+    if (!X12.parseDelimiters(sourceFile.body || '')) continue
+    const body = generate997(sourceFile)
+    if (!body) continue
+    acks.push({
+      uuid: uuid(),
+      type: 'file',
+      file_name: `${sourceFile.file_name.replace(/\.[^.]*$/, '')}_997.edi`,
+      format: 'edi',
+      mime_type: 'application/edi-x12',
+      body
+    })
+  } catch (err) {
+    userLog.error(`Error generating 997 for file ${sourceFile.file_name}: ${err.message}`)
+  }
+}
+
+const output = [...(PASS_SOURCE_FILES ? sourceFiles : []), ...acks]
+if (output.length === 0) {
+  returnSkipped([])
+} else {
+  returnSuccess(output)
+}
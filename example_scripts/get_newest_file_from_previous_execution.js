@@ -1,43 +1,102 @@
-// Example: Retrieve the newest file from an integration's most recent execution
+// Example: Retrieve the newest file from an integration's most recent executions
 // tagged with "EXAMPLETAG" and return it as the processor output.
 //
-// Uses: executionSearchByIntegration, listExecutionFiles, getExecutionFile
+// Uses: executionSearchByIntegration, listExecutionFiles, getExecutionFile, through the
+// shared ExecutionHistory helper that keeps the calls within their per-execution budget
 // Requires the async IIFE wrapper pattern.
 
 (async () => {
-  // 1. Search for executions with the "EXAMPLETAG" data tag
-  const results = await executionSearchByIntegration('YOUR-INTEGRATION-ID', {
-    dataTag: 'EXAMPLETAG'
-  })
-
-  if (!results.data.length) {
-    userLog.warning('No executions found with dataTag "EXAMPLETAG"')
-    return returnSkipped([])
-  }
+  // ---- BEGIN shared/execution_history.js (generated: edit shared/execution_history.js, then run node tools/sync_shared.js) ----
+  const ExecutionHistory = (() => {
+    const CALL_LIMIT = 10
+    const started = Date.now()
+    const settings = { timeBudgetMs: 45 * 1000 }
+    const calls = { executionSearchByIntegration: 0, listExecutionFiles: 0, getExecutionFile: 0 }
+    const cache = {}
+    const canCall = (name) => calls[name] < CALL_LIMIT && Date.now() - started < settings.timeBudgetMs
+    const call = (name, fn, ...args) => {
+      const key = `${name}:${JSON.stringify(args)}`
+      if (cache[key]) return cache[key]
+      if (!canCall(name)) return Promise.resolve(null)
+      calls[name]++
+      cache[key] = fn(...args)
+      cache[key].catch(() => delete cache[key])
+      return cache[key]
+    }
+    const matcher = (pattern) => {
+      if (typeof pattern === 'function') return pattern
+      if (pattern instanceof RegExp) return (name) => pattern.test(name)
+      return (name) => name === pattern
+    }
+    const search = async (integrationId, args = {}, { maxPages = CALL_LIMIT, maxResults = Infinity } = {}) => {
+      const data = []
+      let cursor
+      for (let page = 0; page < maxPages; page++) {
+        const results = await call('executionSearchByIntegration', executionSearchByIntegration,
+          integrationId, cursor ? { ...args, cursor } : args)
+        if (!results) return { data, partial: true }
+        data.push(...results.data)
+        if (data.length >= maxResults) return { data: data.slice(0, maxResults), partial: results.hasMoreRecords || data.length > maxResults }
+        if (!results.hasMoreRecords) return { data, partial: false }
+        cursor = results.cursor
+      }
+      return { data, partial: true }
+    }
+    const listFiles = (invocationId) => call('listExecutionFiles', listExecutionFiles, invocationId)
+    const getFile = (meta) => call('getExecutionFile', getExecutionFile,
+      { invocationId: meta.invocation_id, fileId: meta.file_id })
+    const newestFile = async (integrationId, { pattern = () => true, executions = CALL_LIMIT, search: args = {} } = {}) => {
+      const matches = matcher(pattern)
+      const found = await search(integrationId, args, { maxResults: executions })
+      let best = null
+      let partial = found.partial && found.data.length < executions
+      for (const execution of found.data) {
+        if (best && execution.ended_date && execution.ended_date < best.file.created_time) break
+        const files = await listFiles(execution.invocation_id)
+        if (!files) {
+          partial = true
+          break
+        }
+        files.filter(meta => matches(meta.file_name)).forEach(meta => {
+          if (!best || meta.created_time > best.file.created_time) best = { file: meta, execution }
+        })
+      }
+      return { file: best?.file || null, execution: best?.execution || null, partial }
+    }
+    return {
+      search,
+      listFiles,
+      getFile,
+      newestFile,
+      remaining: () => lodash.mapValues(calls, count => CALL_LIMIT - count),
+      configure: (options) => Object.assign(settings, options)
+    }
+  })()
+  // ---- END shared/execution_history.js ----
 
-  // 2. Get the first (most recent) invocation
-  const invocation = results.data[0]
-  userLog.info(`Found invocation: ${invocation.invocation_uuid}`)
+  // Files to consider, and how many of the newest executions to look through
+  const FILE_PATTERN = /.*/ // e.g. /^orders_.*\.xml$/
+  const EXECUTIONS = 1
 
-  // 3. List all files attached to that invocation
-  const files = await listExecutionFiles(invocation.invocation_uuid)
+  // 1. Find the newest matching file in the newest executions with the "EXAMPLETAG" data tag
+  const { file: newestFile, execution, partial } = await ExecutionHistory.newestFile('YOUR-INTEGRATION-ID', {
+    pattern: FILE_PATTERN,
+    executions: EXECUTIONS,
+    search: { dataTag: 'EXAMPLETAG' }
+  })
 
-  if (!files.length) {
-    userLog.warning('No files found for invocation')
+  if (partial) {
+    userLog.warning('The call budget ran out before every execution was checked, a newer file may exist')
+  }
+  if (!newestFile) {
+    userLog.warning('No matching file found in executions with dataTag "EXAMPLETAG"')
     return returnSkipped([])
   }
-
-  // 4. Find the newest file by created_time
-  const newestFile = files.reduce((latest, file) =>
-    file.created_time > latest.created_time ? file : latest
-  )
+  userLog.info(`Found invocation: ${execution.invocation_id}`)
   userLog.info(`Newest file: ${newestFile.file_name} (created ${newestFile.created_time})`)
 
-  // 5. Download the file content and get a file object
-  const fileObject = await getExecutionFile({
-    invocation_uuid: newestFile.invocation_uuid,
-    time_and_hash: newestFile.time_and_hash
-  })
+  // 2. Download the file content and get a file object
+  const fileObject = await ExecutionHistory.getFile(newestFile)
 
   // Return the downloaded file as the processor output
   return returnSuccess([fileObject])
@@ -0,0 +1,181 @@
+/**
+ * Chain.io Post-Processor that edits CargoWise Universal Shipment XML with declarative
+ * RULES instead of hand-written XPath code, so a new mapping is a new rule rather than a
+ * new script.
+ *
+ * Each rule has an `op`:
+ * - copy:   { from, to } copies the text at `from` to `to`
+ * - map:    { from, lookup, to, default } writes the LOOKUPS[lookup] value for the text at
+ *           `from` to `to` (or back to `from`). Lookup keys are upper case; values not in
+ *           the table are left alone unless the rule has a `default`
+ * - set:    { to, value } writes a constant
+ * - create: { path, value } creates the element when it is missing, and never overwrites
+ * - remove: { path } removes every matching element
+ *
+ * Paths are XPaths relative to the rule's `scope`: 'Shipment' (the default) or
+ * 'SubShipment', which applies the rule to every SubShipment in SubShipmentCollection on
+ * its own. A path may end with an attribute (@name), and `..` reaches the parent scope.
+ *
+ * Elements written by copy, map, set and create are created when they are missing, steps
+ * such as OrganizationAddress[AddressType="ConsigneeDocumentaryAddress"] included. New
+ * elements are appended as the last child of their parent.
+ *
+ * `when` limits a rule to the scopes where a condition holds, or all of a list of them:
+ * { path, equals }, { path, in: [...] }, { path, matches: /regex/ } or { path, exists }.
+ *
+ * Every file gets a change summary in the user log. Files that are not XML are returned
+ * unchanged; a file that cannot be parsed or mapped is logged as an error, returned
+ * unchanged, and the execution ends with returnError.
+ */
+
+// Lookup tables for map rules, keys in upper case
+const LOOKUPS = {
+  consigneeByPortOfDischarge: {
+    AAAAA: 'ORGA',
+    BBBBB: 'ORGB',
+    CCCCC: 'ORGC'
+  }
+}
+
+const RULES = [
+  // what port_of_discharge_to_port_of_destination.js does, for every sub-shipment
+  { scope: 'SubShipment', op: 'copy', from: 'PortOfDischarge/Code', to: 'PortOfDestination/Code' },
+  { scope: 'SubShipment', op: 'copy', from: 'PortOfDischarge/Name', to: 'PortOfDestination/Name' },
+  // what overwrite_output_field_with_mapping.js does
+  {
+    op: 'map',
+    from: 'PortOfDischarge',
+    lookup: 'consigneeByPortOfDischarge',
+    to: 'OrganizationAddressCollection/OrganizationAddress[AddressType="ConsigneeDocumentaryAddress"]/OrganizationCode'
+  }
+  // more examples:
+  // { op: 'set', to: 'TransportMode/Code', value: 'SEA', when: { path: 'ContainerMode/Code', in: ['FCL', 'LCL'] } },
+  // { scope: 'SubShipment', op: 'create', path: 'ShipmentIncoTerm/Code', value: 'FOB' },
+  // { op: 'remove', path: 'NoteCollection/Note[Description="Internal"]', when: { path: '@Action', exists: false } }
+]
+
+const SCOPES = {
+  Shipment: '/UniversalShipment/Shipment',
+  SubShipment: '/UniversalShipment/Shipment/SubShipmentCollection/SubShipment'
+}
+
+const OPS = ['copy', 'map', 'set', 'create', 'remove']
+
+// splits a path into steps, keeping predicates such as [Code="A/B"] whole
+const stepsOf = (path) => path.match(/(?:[^/[]|\[[^\]]*\])+/g) || []
+
+// a step that can be created: Name or Name[Child="value"]
+const CREATABLE_STEP = /^([\w.-]+)(?:\[\s*([\w.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')\s*\])?$/
+
+const label = (rule) => rule.name || `${rule.op} ${rule.to || rule.path || rule.from}`
+
+const checkRule = (rule) => {
+  if (!OPS.includes(rule.op)) throw new Error(`Unknown op "${rule.op}" in rule ${JSON.stringify(rule)}`)
+  if (!SCOPES[rule.scope || 'Shipment']) throw new Error(`Unknown scope "${rule.scope}" in rule "${label(rule)}"`)
+  if (rule.op === 'map' && !LOOKUPS[rule.lookup]) throw new Error(`Unknown lookup "${rule.lookup}" in rule "${label(rule)}"`)
+}
+
+const holds = (scope, condition) => {
+  const value = xml.text(scope, condition.path)
+  if ('exists' in condition) return (value !== undefined) === condition.exists
+  if (value === undefined) return false
+  if ('equals' in condition) return value.trim() === condition.equals
+  if ('in' in condition) return condition.in.includes(value.trim())
+  if ('matches' in condition) return condition.matches.test(value)
+  return true
+}
+
+// finds the element at a path, creating the missing steps
+const ensureElement = (scope, steps) => steps.reduce((node, step) => {
+  const existing = xml.element(node, step)
+  if (existing) return existing
+  const match = step.match(CREATABLE_STEP)
+  if (!match) throw new Error(`Cannot create "${step}": only Name and Name[Child="value"] steps can be created`)
+  const created = node.appendChild(match[1])
+  if (match[2]) created.appendChild(match[2], match[3] ?? match[4])
+  return created
+}, scope)
+
+/**
+ * Writes a value to the element or attribute at a path.
+ *
+ * @param {object} scope - The scope element
+ * @param {string} path - Path of the element or attribute, relative to the scope
+ * @param {string} value - The value to write
+ * @param {boolean} [overwrite] - Replace an existing value
+ * @returns {boolean} - true if the document changed
+ */
+const writeValue = (scope, path, value, overwrite = true) => {
+  const current = xml.text(scope, path)
+  if (current === value || (current !== undefined && !overwrite)) return false
+  const steps = stepsOf(path)
+  const last = steps[steps.length - 1]
+  if (last.startsWith('@')) {
+    ensureElement(scope, steps.slice(0, -1)).setAttribute(last.slice(1), value)
+  } else {
+    ensureElement(scope, steps).setTextContent(value)
+  }
+  return true
+}
+
+// applies a rule to one scope element and returns the number of changes
+const applyRule = (rule, scope) => {
+  const conditions = lodash.castArray(rule.when || [])
+  if (!conditions.every(condition => holds(scope, condition))) return 0
+
+  if (rule.op === 'remove') {
+    const nodes = xml.elements(scope, rule.path)
+    nodes.forEach(node => node.remove())
+    return nodes.length
+  }
+  if (rule.op === 'create') return writeValue(scope, rule.path, String(rule.value ?? ''), false) ? 1 : 0
+  if (rule.op === 'set') return writeValue(scope, rule.to, String(rule.value)) ? 1 : 0
+
+  const source = xml.text(scope, rule.from)
+  if (source === undefined) return 0
+  if (rule.op === 'copy') return writeValue(scope, rule.to, source) ? 1 : 0
+
+  const mapped = LOOKUPS[rule.lookup][lodash.trim(lodash.toUpper(source))] ?? rule.default
+  if (mapped === undefined) return 0
+  return writeValue(scope, rule.to || rule.from, String(mapped)) ? 1 : 0
+}
+
+const handleFile = (file) => {
+  // parse the xml - by default parseFromString will remove namespaces.
+  // If you're simply extracting data, then this is ok, however if you're
+  // modifying an xml document in place, you typically do not want to remove namespaces.
+  const xmlDocument = xml.XmlParser.parseFromString(file.body, { strip_namespaces: false })
+
+  const changes = {}
+  RULES.forEach(rule => {
+    xml.elements(xmlDocument, SCOPES[rule.scope || 'Shipment']).forEach(scope => {
+      const count = applyRule(rule, scope)
+      if (count) changes[label(rule)] = (changes[label(rule)] || 0) + count
+    })
+  })
+
+  const total = lodash.sum(Object.values(changes))
+  const summary = Object.entries(changes).map(([name, count]) => `${name} (${count})`).join(', ')
+  userLog.info(`${file.file_name}: ${total} change(s)${total ? `: ${summary}` : ''}`)
+  return total ? { ...file, body: new xml.XmlSerializer().serializeToString(xmlDocument) } : file
+}
+
+RULES.forEach(checkRule)
+
+let failed = 0
+const updatedFiles = destinationFiles.map(file => {
+  if (!(file.file_name?.match(/\.xml$/i) || file.format === 'xml')) return file
+  try {
+    return handleFile(file)
+  } catch (err) {
+    failed++
+    userLog.error(`${file.file_name} was not mapped and is returned unchanged: ${err.message}`)
+    return file
+  }
+})
+
+if (failed) {
+  returnError(updatedFiles)
+} else {
+  returnSuccess(updatedFiles)
+}
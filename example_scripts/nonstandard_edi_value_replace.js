@@ -1,3 +1,33 @@
+/**
+ * Chain.io Post-Processor that rewrites non-standard EDI values with declarative rules
+ *
+ * Every partner quirk is one entry in RULES instead of a new copy of this script. A rule
+ * targets a segment ID, an element position and optionally a component, can be limited
+ * to segments where another element has a given value, and says how to change the value:
+ *
+ *   {
+ *     segment: 'N1',                               // Segment ID
+ *     element: 2,                                  // Element position (N102)
+ *     component: 1,                                // Optional component position
+ *     when: { element: 1, equals: ['ST', 'BT'] },  // Optional qualifier: N101 is ST or BT
+ *     trim: true,                                  // Remove surrounding spaces
+ *     lookup: { OLD: 'NEW' },                      // Replace values found in a lookup table
+ *     rewrite: { pattern: /-/g, replacement: '' }, // Regular expression rewrite
+ *     default: 'UNKNOWN',                          // Value to use when the result is empty
+ *     minLength: 10, padWith: '0', padLeft: true,  // Pad to a minimum length
+ *     maxLength: 35                                // Cut to a maximum length
+ *   }
+ *
+ * The steps run in the order listed above, and the rules run in the order they are listed.
+ * Rules apply to the segments between ST and SE; the ISA/GS envelopes are never changed.
+ * A new value that contains one of the document's delimiters is refused with a warning,
+ * so no segments are added or lost and the SE01, GE01 and IEA01 counts stay valid.
+ * Every replacement is logged with its segment position in the transaction set. The log
+ * goes through the shared LogBuffer, so a large batch keeps its warnings ahead of the
+ * replacement messages and ends with a summary per file; set ATTACH_LOG to also return
+ * every message in processor_log.txt.
+ */
+
 /**
  * Mapping of placeholder codes to their actual values.
  * Used to replace placeholder charge codes with their real values in EDI documents.
@@ -6,79 +36,327 @@ const PLACEHOLDER_TO_VALUE = {
   "AAA": "TROA"
 }
 
+const RULES = [
+  // replace placeholder charge codes in the 8th element of L1 segments
+  { segment: 'L1', element: 8, lookup: PLACEHOLDER_TO_VALUE }
+]
+
+// Return the full, untruncated log as processor_log.txt along with the files
+const ATTACH_LOG = false
+
 /**
- * EDI delimiters used to parse and reconstruct the document.
- * ELEMENT_DELIMITER separates elements within a segment.
- * SEGMENT_DELIMITER separates segments within the document.
+ * Shared X12 reader/writer. It reads the element separator and segment terminator from
+ * each document's ISA segment and writes untouched segments back byte for byte.
  */
-const ELEMENT_DELIMITER = '*'
-const SEGMENT_DELIMITER = '~'
+// ---- BEGIN shared/x12.js (generated: edit shared/x12.js, then run node tools/sync_shared.js) ----
+const X12 = (() => {
+  const parseDelimiters = (body, isaStart = body.indexOf('ISA')) => {
+    if (isaStart === -1) return null
+    const isa = body.slice(isaStart).split(body[isaStart + 3], 17)
+    if (isa.length < 17 || isa[16].length < 2) return null
+    return {
+      element: body[isaStart + 3],
+      component: isa[16][0],
+      repetition: isa[12] >= '00402' && /^[^\w\s]$/.test(isa[11]) ? isa[11] : null,
+      segment: isa[16][1],
+      lineEnding: isa[16].slice(2).match(/^[\r\n]*/)[0]
+    }
+  }
+  const makeSegment = (elements, delimiters, suffix = delimiters.lineEnding) => ({
+    id: elements[0],
+    elements,
+    suffix,
+    terminated: true,
+    element (n, component, repetition) {
+      let value = this.elements[n] || ''
+      if (repetition && delimiters.repetition) value = value.split(delimiters.repetition)[repetition - 1] || ''
+      return component ? value.split(delimiters.component)[component - 1] || '' : value
+    },
+    setElement (n, value, component) {
+      while (this.elements.length <= n) this.elements.push('')
+      if (component) {
+        const parts = this.elements[n].split(delimiters.component)
+        while (parts.length < component) parts.push('')
+        parts[component - 1] = value
+        value = parts.join(delimiters.component)
+      }
+      this.elements[n] = value
+    },
+    toString () {
+      return this.elements.join(delimiters.element)
+    }
+  })
+  const tokenize = (body) => {
+    const isaStart = body.indexOf('ISA')
+    const delimiters = parseDelimiters(body, isaStart)
+    if (!delimiters) throw new Error('No valid ISA segment found')
+    const segments = []
+    body.slice(isaStart).split(delimiters.segment).forEach((chunk, idx, chunks) => {
+      const prev = segments[segments.length - 1]
+      const text = prev ? chunk.trimStart() : chunk
+      const last = idx === chunks.length - 1
+      if (prev) prev.suffix += chunk.slice(0, chunk.length - text.length) + (text || last ? '' : delimiters.segment)
+      if (!text) return
+      const segment = makeSegment(text.split(delimiters.element), delimiters, '')
+      segment.terminated = !last
+      segments.push(segment)
+    })
+    return { delimiters, prefix: body.slice(0, isaStart), segments }
+  }
+  const parse = (body) => {
+    const { delimiters, prefix, segments } = tokenize(body)
+    const doc = { delimiters, prefix, interchanges: [] }
+    let interchange = null
+    let group = null
+    let transaction = null
+    segments.forEach((seg, idx) => {
+      seg.position = idx + 1
+      const inside = (parent, what) => {
+        if (!parent) throw new Error(`${seg.id} segment at position ${idx + 1} is outside ${what}`)
+      }
+      if (seg.id !== 'ISA') inside(interchange, 'an interchange')
+      if (['GE', 'ST'].includes(seg.id)) inside(group, 'a functional group')
+      if (seg.id === 'ISA') {
+        interchange = { isa: seg, iea: null, extra: [], groups: [] }
+        doc.interchanges.push(interchange)
+        group = transaction = null
+      } else if (seg.id === 'IEA') {
+        interchange.iea = seg
+        interchange = group = transaction = null
+      } else if (seg.id === 'GS') {
+        group = { gs: seg, ge: null, extra: [], transactions: [] }
+        interchange.groups.push(group)
+        transaction = null
+      } else if (seg.id === 'GE') {
+        group.ge = seg
+        group = transaction = null
+      } else if (seg.id === 'ST') {
+        transaction = { st: seg, se: null, segments: [seg] }
+        group.transactions.push(transaction)
+      } else if (transaction) {
+        transaction.segments.push(seg)
+        if (seg.id === 'SE') {
+          transaction.se = seg
+          transaction = null
+        }
+      } else {
+        (group || interchange).extra.push(seg)
+      }
+    })
+    return doc
+  }
+  const transactions = (doc) => doc.interchanges.flatMap(interchange =>
+    interchange.groups.flatMap(group =>
+      group.transactions.map(transaction => ({ interchange, group, transaction }))))
+  return {
+    parseDelimiters,
+    parse,
+    transactions,
+    segment: (doc, elements) => makeSegment(elements, doc.delimiters)
+  }
+})()
+// ---- END shared/x12.js ----
+// ---- BEGIN shared/x12_writer.js (generated: edit shared/x12_writer.js, then run node tools/sync_shared.js) ----
+X12.serialize = (doc) => {
+  const out = [doc.prefix]
+  const write = (seg) => {
+    if (seg) out.push(seg.toString() + (seg.terminated ? doc.delimiters.segment : '') + seg.suffix)
+  }
+  doc.interchanges.forEach(interchange => {
+    write(interchange.isa)
+    interchange.extra.forEach(write)
+    interchange.groups.forEach(group => {
+      write(group.gs)
+      group.extra.forEach(write)
+      group.transactions.forEach(transaction => transaction.segments.forEach(write))
+      write(group.ge)
+    })
+    write(interchange.iea)
+  })
+  return out.join('')
+}
+// ---- END shared/x12_writer.js ----
 
 /**
- * Checks if a segment matches the specified segment type.
- * 
- * @param {string} segment - The segment string to check
- * @param {string} segmentType - The segment type identifier to match against
- * @returns {string|null} - Returns the segment if it matches, otherwise null
+ * Buffers the log so the warnings and the summary survive the 100 KB user log limit.
  */
-const findSegment = (segment, segmentType) => {
-  if (segment.match(new RegExp(`^${segmentType}${ELEMENT_DELIMITER}`))) {
-    return segment
+// ---- BEGIN shared/utf8.js (generated: edit shared/utf8.js, then run node tools/sync_shared.js) ----
+const Utf8 = (() => {
+  const byteLength = (text) => {
+    let bytes = 0
+    for (const char of text) {
+      const c = char.codePointAt(0)
+      bytes += c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4
+    }
+    return bytes
+  }
+  const truncate = (text, maxBytes, marker = '') => {
+    if (byteLength(text) <= maxBytes) return text
+    let out = ''
+    let bytes = byteLength(marker)
+    for (const char of text) {
+      bytes += byteLength(char)
+      if (bytes > maxBytes) break
+      out += char
+    }
+    return out + marker
   }
-  return null
+  return { byteLength, truncate }
+})()
+// ---- END shared/utf8.js ----
+// ---- BEGIN shared/log_buffer.js (generated: edit shared/log_buffer.js, then run node tools/sync_shared.js) ----
+const LogBuffer = (() => {
+  const TOTAL_BYTES = 100 * 1024
+  const LEVELS = ['error', 'warning', 'info']
+  const entries = []
+  const unique = {}
+  const byFile = {}
+  const cut = (text) => Utf8.truncate(text, 10 * 1024, '... [truncated]')
+  const add = (level) => (message, file) => {
+    const text = String(message)
+    const fileName = file?.file_name || file
+    entries.push({ level, text, fileName, time: DateTime.now().toISO() })
+    const key = `${level} ${text}`
+    unique[key] = unique[key] || { level, text, count: 0, order: entries.length }
+    unique[key].count++
+    if (fileName) lodash.update(byFile, [fileName, level], count => (count || 0) + 1)
+  }
+  const countsOf = (counts) => LEVELS.filter(level => counts[level]).map(level => `${counts[level]} ${level}`).join(', ')
+  const summarize = (omitted) => {
+    const repeats = entries.length - Object.keys(unique).length
+    const notes = [
+      repeats && `${repeats} repeated message(s) collapsed`,
+      omitted.length && `${countsOf(lodash.countBy(omitted, 'level'))} message(s) left out to stay under the log size limit`
+    ].filter(Boolean)
+    return cut([
+      `Log summary: ${countsOf(lodash.countBy(entries, 'level'))}${notes.length ? ` (${notes.join('; ')})` : ''}`,
+      ...Object.entries(byFile).map(([name, counts]) => `${name}: ${countsOf(counts)}`)
+    ].join('\n'))
+  }
+  const flush = () => {
+    if (!entries.length) return
+    const messages = Object.values(unique).map(entry =>
+      ({ ...entry, text: cut(entry.count > 1 ? `${entry.text} (logged ${entry.count} times)` : entry.text) }))
+    let room = TOTAL_BYTES - Utf8.byteLength(summarize(messages))
+    const [kept, omitted] = lodash.partition(lodash.sortBy(messages, entry => LEVELS.indexOf(entry.level), 'order'), entry => {
+      const bytes = Utf8.byteLength(entry.text)
+      if (bytes > room) return false
+      room -= bytes
+      return true
+    })
+    lodash.sortBy(kept, 'order').forEach(entry => userLog[entry.level](entry.text))
+    userLog.info(summarize(omitted))
+  }
+  return { info: add('info'), warning: add('warning'), error: add('error'), flush, entries }
+})()
+// ---- END shared/log_buffer.js ----
+// ---- BEGIN shared/log_buffer_file.js (generated: edit shared/log_buffer_file.js, then run node tools/sync_shared.js) ----
+LogBuffer.toFile = (name = 'processor_log.txt') => ({
+  uuid: uuid(),
+  type: 'file',
+  file_name: name,
+  format: 'txt',
+  mime_type: 'text/plain',
+  body: LogBuffer.entries.map(({ level, text, fileName, time }) =>
+    `${time} ${level.toUpperCase()}${fileName ? ` [${fileName}]` : ''} ${text.replace(/\n/g, '\n  ')}\n`).join('')
+})
+// ---- END shared/log_buffer_file.js ----
+
+/**
+ * Checks a rule's qualifier against a segment.
+ */
+const matches = (rule, segment) => {
+  if (segment.id !== rule.segment) return false
+  if (!rule.when) return true
+  const value = segment.element(rule.when.element, rule.when.component)
+  return [].concat(rule.when.equals).includes(value)
 }
 
 /**
- * Processes a segment to replace placeholder charge codes with actual values.
- * Only processes segments that start with 'L1'. For these segments, checks if the
- * charge code (element 8) is a placeholder and replaces it if necessary.
- * 
- * @param {string} segmentStr - The segment string to process
- * @returns {string} - The processed segment string
+ * Applies a rule's steps to a value.
+ *
+ * @param {object} rule - The rule
+ * @param {string} value - The current value
+ * @returns {string} - The new value
  */
-const cleanSegment = (segmentStr) => {
-  const segment = findSegment(segmentStr, 'L1')
-  if (!segment) {
-    return segmentStr
+const transform = (rule, value) => {
+  if (rule.trim) value = value.trim()
+  if (rule.lookup && Object.prototype.hasOwnProperty.call(rule.lookup, value)) value = rule.lookup[value]
+  if (rule.rewrite) value = value.replace(rule.rewrite.pattern, rule.rewrite.replacement)
+  if (value === '' && rule.default !== undefined) value = rule.default
+  if (rule.minLength && value.length < rule.minLength) {
+    const pad = rule.padWith || ' '
+    value = rule.padLeft ? value.padStart(rule.minLength, pad) : value.padEnd(rule.minLength, pad)
   }
+  if (rule.maxLength) value = value.slice(0, rule.maxLength)
+  return value
+}
 
-  const elements = segmentStr.split(ELEMENT_DELIMITER)
-  // applies the change to the 8th element in the EDI segment
-  const chargeCode = elements[8]
-  const newChargeCode = PLACEHOLDER_TO_VALUE[chargeCode]
-  if (newChargeCode) {
-    userLog.info(`Replacing placeholder charge code ${chargeCode} with ${newChargeCode}`)
-    elements[8] = newChargeCode
-  }
-  return elements.join(ELEMENT_DELIMITER)
+/**
+ * Applies every rule to the segments of one transaction set.
+ *
+ * @param {object} transaction - A transaction set from X12.parse
+ * @param {object} delimiters - The document's delimiters
+ * @param {string} fileName - The file name, for logging
+ */
+const cleanTransaction = (transaction, delimiters, fileName) => {
+  const setId = `${transaction.st.element(1)} #${transaction.st.element(2)}`
+  // ST and SE are left alone
+  transaction.segments.slice(1, -1).forEach((segment, idx) => {
+    const position = idx + 2
+    RULES.filter(rule => matches(rule, segment)).forEach(rule => {
+      const { element, component } = rule
+      const target = `${segment.id}${String(element).padStart(2, '0')}${component ? `-${component}` : ''}`
+      const oldValue = segment.element(element, component)
+      const newValue = String(transform(rule, oldValue))
+      if (newValue === oldValue) return
+
+      const forbidden = [delimiters.element, delimiters.segment, delimiters.repetition, component && delimiters.component]
+      if (forbidden.some(delimiter => delimiter && newValue.includes(delimiter))) {
+        LogBuffer.warning(`${fileName}: not replacing ${target} at position ${position} of transaction ${setId}, "${newValue}" contains a delimiter`, fileName)
+        return
+      }
+      segment.setElement(element, newValue, component)
+      LogBuffer.info(`${fileName}: replaced ${target} at position ${position} of transaction ${setId}: "${oldValue}" -> "${newValue}"`, fileName)
+    })
+  })
 }
 
 /**
  * Processes the entire EDI document body.
- * Splits the document into segments, processes each segment to replace
- * placeholder values, then rejoins the segments into a complete document.
+ * Parses the document, applies the rules to each transaction set, then serializes the
+ * document again. Bodies without an ISA segment are returned unchanged.
  * 
  * @param {string} body - The EDI document body to process
+ * @param {string} fileName - The file name, for logging
  * @returns {string} - The processed EDI document body
  */
-const process = (body) => {
-  const segments = body.split(SEGMENT_DELIMITER)
-  const cleanSegments = segments.map(cleanSegment)
-  return cleanSegments.join(SEGMENT_DELIMITER)
+const replaceValues = (body, fileName) => {
+  if (!X12.parseDelimiters(body)) return body
+  const doc = X12.parse(body)
+  X12.transactions(doc).forEach(({ transaction }) => cleanTransaction(transaction, doc.delimiters, fileName))
+  return X12.serialize(doc)
 }
 
 /**
  * Main execution flow:
  * 1. Maps through all destination files
- * 2. Processes each file's body to replace placeholder values
+ * 2. Processes each file's body to apply the replacement rules; a file that cannot be
+ *    read as X12 is logged and passed on unchanged
  * 3. Returns the updated files with the same structure but modified body content
  */
 const res = destinationFiles.map((f) => {
-  return {
-    ...f,
-    body: process(f.body)
+  try {
+    return {
+      ...f,
+      body: replaceValues(f.body, f.file_name)
+    }
+  } catch (err) {
+    LogBuffer.warning(`${f.file_name}: could not read the EDI, passing it on unchanged: ${err.message}`, f.file_name)
+    return f
   }
 })
 
-// Return the processed files to the Chain.io platform
-returnSuccess(res)
\ No newline at end of file
+// Write the log, then return the processed files to the Chain.io platform
+LogBuffer.flush()
+returnSuccess(ATTACH_LOG ? [...res, LogBuffer.toFile()] : res)
@@ -3,6 +3,10 @@
  * value from the MAPPING list
  * 
  * It assumes the input files will be CargoWise Universal Shipment XML.
+ *
+ * map_universal_shipment_fields.js does the same with a rule, for when you need more
+ * than one mapping. validate_universal_shipment.js can hold back shipments without a
+ * ConsigneeDocumentaryAddress before they get here.
  */
 
 const MAPPING = {
@@ -33,7 +37,9 @@ const handleFile = (file) => {
   userLog.info(`OrgCode found: ${portOfDischarge}`)
   userLog.info(`New mapped value: ${orgCode}`)
 
-  if (orgCode) {
+  if (orgCode && !consigneeDocumentaryAddress) {
+    userLog.warning(`${file.file_name} has no ConsigneeDocumentaryAddress OrganizationCode to remap`)
+  } else if (orgCode) {
     userLog.info('Remapping ConsigneeDocumentaryAddress to new OrgCode')
     consigneeDocumentaryAddress.setTextContent(orgCode)
   }
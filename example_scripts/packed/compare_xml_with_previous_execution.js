@@ -0,0 +1,136 @@
+(async()=>{const BASELINE_INTEGRATION_ID='00000000-0000-0000-0000-000000000000'
+const BASELINE_SEARCH={}
+const MIN_BASELINE_AGE_MINUTES=0
+const fileKey=(fileName)=>fileName
+const IGNORE_ORDER=true
+const EXPECTED_DIFFERENCES=[]
+const ON_UNEXPECTED='tag'
+const REPORT_FORMATS=['json','html']
+const MAX_REPORTED_DIFFERENCES=500
+const ExecutionHistory=(()=>{const CALL_LIMIT=10
+const started=Date.now()
+const settings={timeBudgetMs:45*1000}
+const calls={executionSearchByIntegration:0,listExecutionFiles:0,getExecutionFile:0}
+const cache={}
+const canCall=(name)=>calls[name]<CALL_LIMIT&&Date.now()-started<settings.timeBudgetMs
+const call=(name,fn,...args)=>{const key=`${name}:${JSON.stringify(args)}`
+if(cache[key])return cache[key]
+if(!canCall(name))return Promise.resolve(null)
+calls[name]++
+cache[key]=fn(...args)
+cache[key].catch(()=>delete cache[key])
+return cache[key]}
+const matcher=(pattern)=>{if(typeof pattern==='function')return pattern
+if(pattern instanceof RegExp)return(name)=>pattern.test(name)
+return(name)=>name===pattern}
+const search=async(integrationId,args={},{maxPages=CALL_LIMIT,maxResults=Infinity}={})=>{const data=[]
+let cursor
+for(let page=0;page<maxPages;page++){const results=await call('executionSearchByIntegration',executionSearchByIntegration,integrationId,cursor?{...args,cursor}:args)
+if(!results)return{data,partial:true}
+data.push(...results.data)
+if(data.length>=maxResults)return{data:data.slice(0,maxResults),partial:results.hasMoreRecords||data.length>maxResults}
+if(!results.hasMoreRecords)return{data,partial:false}
+cursor=results.cursor}
+return{data,partial:true}}
+const listFiles=(invocationId)=>call('listExecutionFiles',listExecutionFiles,invocationId)
+const getFile=(meta)=>call('getExecutionFile',getExecutionFile,{invocationId:meta.invocation_id,fileId:meta.file_id})
+const newestFile=async(integrationId,{pattern=()=>true,executions=CALL_LIMIT,search:args={}}={})=>{const matches=matcher(pattern)
+const found=await search(integrationId,args,{maxResults:executions})
+let best=null
+let partial=found.partial&&found.data.length<executions
+for(const execution of found.data){if(best&&execution.ended_date&&execution.ended_date<best.file.created_time)break
+const files=await listFiles(execution.invocation_id)
+if(!files){partial=true
+break}
+files.filter(meta=>matches(meta.file_name)).forEach(meta=>{if(!best||meta.created_time>best.file.created_time)best={file:meta,execution}})}
+return{file:best?.file||null,execution:best?.execution||null,partial}}
+return{search,listFiles,getFile,newestFile,remaining:()=>lodash.mapValues(calls,count=>CALL_LIMIT-count),configure:(options)=>Object.assign(settings,options)}})()
+const parseXml=(text)=>{const fail=(message)=>{throw new Error(message)}
+const parser=new xmldom.DOMParser({errorHandler:{warning:fail,error:fail,fatalError:fail}})
+const doc=parser.parseFromString(text,'text/xml')
+if(!doc?.documentElement)throw new Error('Not an XML document')
+return doc}
+const elementChildren=(node)=>Array.from(node.childNodes).filter(n=>n.nodeType===1)
+const ownText=(element)=>Array.from(element.childNodes)
+.filter(n=>n.nodeType===3||n.nodeType===4)
+.map(n=>n.nodeValue).join('').trim()
+const canonical=(element)=>{const attributes=Array.from(element.attributes).map(a=>`${a.name}=${a.value}`).sort()
+const children=elementChildren(element).map(canonical)
+if(IGNORE_ORDER)children.sort()
+return `<${element.nodeName} ${attributes.join(' ')}>${ownText(element)}${children.join('')}</>`}
+const flatten=(doc)=>{const entries={}
+const visit=(element,path)=>{entries[path]=ownText(element)
+Array.from(element.attributes).forEach(a=>{entries[`${path}/@${a.name}`]=a.value})
+let children=elementChildren(element)
+if(IGNORE_ORDER)children=lodash.sortBy(children,[child=>child.nodeName,canonical])
+const positions={}
+children.forEach(child=>{positions[child.nodeName]=(positions[child.nodeName]||0)+1
+visit(child,`${path}/${child.nodeName}[${positions[child.nodeName]}]`)})}
+visit(doc.documentElement,`/${doc.documentElement.nodeName}[1]`)
+return entries}
+const isExpected=(path)=>{const plain=path.replace(/\[\d+\]/g,'')
+return EXPECTED_DIFFERENCES.some(pattern=>pattern instanceof RegExp
+?pattern.test(path)
+:plain===pattern||plain.startsWith(`${pattern}/`))}
+const diff=(baseline,current)=>{const differences=[]
+let onlyOneSide=null
+lodash.uniq([...Object.keys(baseline),...Object.keys(current)]).forEach(path=>{const inBaseline=lodash.has(baseline,[path])
+const inCurrent=lodash.has(current,[path])
+if(inBaseline&&inCurrent){if(baseline[path]!==current[path]){differences.push({path,change:'changed',baseline:baseline[path],current:current[path]})}
+return}
+if(onlyOneSide&&path.startsWith(`${onlyOneSide}/`))return
+if(!path.includes('/@'))onlyOneSide=path
+differences.push({path,change:inCurrent?'added':'removed',baseline:baseline[path],current:current[path]})})
+return differences.map(d=>({...d,expected:isExpected(d.path)}))}
+const findBaselines=async(keys)=>{const search=await ExecutionHistory.search(BASELINE_INTEGRATION_ID,{...BASELINE_SEARCH,startDateBefore:DateTime.now().minus({minutes:MIN_BASELINE_AGE_MINUTES}).toISO()},{maxPages:1})
+const found={}
+for(const execution of search.data){if(keys.every(key=>found[key]))break
+const newest={}
+const files=await ExecutionHistory.listFiles(execution.invocation_id)
+if(!files)break
+files.forEach(meta=>{const key=fileKey(meta.file_name)
+if(!keys.includes(key)||found[key]||newest[key]?.created_time>meta.created_time)return
+newest[key]=meta})
+Object.assign(found,newest)}
+return found}
+const escapeHtml=(value)=>String(value??'')
+.replace(/[&<>"]/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'})[c])
+const toHtml=(report)=>{const sections=report.files.map(f=>{const rows=(f.differences||[]).map(d=>`<tr class="${d.expected?'expected':'unexpected'}">`+
+[d.change,d.path,d.baseline,d.current].map(v=>`<td>${escapeHtml(v)}</td>`).join('')+'</tr>')
+const baseline=f.baseline?`${f.baseline.file_name} from execution ${f.baseline.invocation_id}`:'none'
+return `<h2>${escapeHtml(f.file_name)}: ${escapeHtml(f.status)}</h2><p>Baseline: ${escapeHtml(baseline)}`+
+`${f.error?`<br>${escapeHtml(f.error)}`:''}</p>`+
+(rows.length?`<table><tr><th>Change</th><th>XPath</th><th>Baseline</th><th>Current</th></tr>${rows.join('')}</table>`:'')})
+return '<!DOCTYPE html><html><head><meta charset="utf-8"><title>XML diff report</title><style>'+
+'body{font-family:sans-serif}td,th{border:1px solid #ccc;padding:2px 6px;text-align:left}'+
+'table{border-collapse:collapse}.unexpected{background:#fdd}.expected{color:#888}</style></head>'+
+`<body><h1>XML diff report</h1><p>Generated ${escapeHtml(report.generated_at)}</p>${sections.join('')}</body></html>`}
+const xmlFiles=destinationFiles.filter(f=>f.file_name?.match(/\.xml$/i)||f.format==='xml')
+if(!xmlFiles.length){userLog.info('No XML files to compare')
+return returnSkipped(destinationFiles)}
+let baselines={}
+try{baselines=await findBaselines(lodash.uniq(xmlFiles.map(f=>fileKey(f.file_name))))}catch(err){userLog.error(`Could not search integration ${BASELINE_INTEGRATION_ID} for baseline files: ${err.message}`)}
+const results=[]
+for(const file of xmlFiles){const meta=baselines[fileKey(file.file_name)]
+const result={file_name:file.file_name,baseline:null,status:'no baseline'}
+results.push(result)
+if(!meta){userLog.warning(`${file.file_name}: no baseline file found, not compared`)
+continue}
+result.baseline=lodash.pick(meta,['invocation_id','file_name','created_time'])
+try{const baselineFile=await ExecutionHistory.getFile(meta)
+if(!baselineFile){userLog.warning(`${file.file_name}: history call or time budget spent, not compared`)
+continue}
+const differences=diff(flatten(parseXml(baselineFile.body)),flatten(parseXml(file.body)))
+const count=(change)=>differences.filter(d=>d.change===change).length
+Object.assign(result,{added:count('added'),removed:count('removed'),changed:count('changed'),unexpected:differences.filter(d=>!d.expected).length,differences:differences.slice(0,MAX_REPORTED_DIFFERENCES)})
+if(!differences.length)result.status='match'
+else result.status=result.unexpected?'unexpected differences':'expected differences'}catch(err){Object.assign(result,{status:'error',unexpected:1,error:err.message})}
+userLog[result.unexpected?'error':'info'](`${file.file_name}: ${result.status}`+(result.differences
+?` (${result.added} added, ${result.removed} removed, ${result.changed} changed)`
+:`: ${result.error}`))}
+const report={baseline_integration_id:BASELINE_INTEGRATION_ID,generated_at:DateTime.now().toISO(),files:results}
+const reportFiles=REPORT_FORMATS.map(format=>({uuid:uuid(),type:'file',file_name:`xml_diff_report.${format}`,format,mime_type:format==='json'?'application/json':'text/html',body:format==='json'?JSON.stringify(report,null,2):toHtml(report)}))
+const unexpected=lodash.sumBy(results,r=>r.unexpected||0)
+if(ON_UNEXPECTED!=='ignore'){publishDataTags([{label:'XML Diff Result',value:unexpected?'Unexpected differences':'No unexpected differences'},{label:'XML Diff Unexpected Count',value:String(unexpected)}])}
+if(unexpected&&ON_UNEXPECTED==='fail')return returnError([...destinationFiles,...reportFiles])
+return returnSuccess([...destinationFiles,...reportFiles])})()
@@ -0,0 +1,130 @@
+const EDIFACT=(()=>{const DEFAULT_DELIMITERS={component:':',element:'+',decimal:'.',release:'?',repetition:'*',segment:'\''}
+const parseDelimiters=(body)=>{const text=body.replace(/^[\uFEFF\s]+/,'')
+if(text.startsWith('UNB'))return{...DEFAULT_DELIMITERS}
+if(!text.startsWith('UNA')||text.length<9)return null
+const[component,element,decimal,release,repetition,segment]=text.slice(3,9)
+const optional=(char)=>char===' '?null:char
+return{component,element,decimal,release:optional(release),repetition:optional(repetition),segment}}
+const makeSegment=(tag,elements,delimiters)=>({tag,elements,element(n,component){const value=this.elements[n-1]||[]
+return component?value[component-1]||'':value.join(delimiters.component)}})
+const tokenize=(body,delimiters)=>{const text=body.replace(/^[\uFEFF\s]+/,'').replace(/^UNA....../,'')
+const segments=[]
+let elements=[['']]
+const finish=()=>{const tag=elements[0][0].trim()
+if(tag)segments.push(makeSegment(tag,elements.slice(1),delimiters))
+elements=[['']]}
+for(let i=0;i<text.length;i++){const char=text[i]
+const element=elements[elements.length-1]
+if(char===delimiters.release&&i+1<text.length){element[element.length-1]+=text[++i]}else if(char===delimiters.segment){finish()}else if(char===delimiters.element){elements.push([''])}else if(char===delimiters.component){element.push('')}else if(char!=='\r'&&char!=='\n'){element[element.length-1]+=char}}
+finish()
+return segments}
+const parse=(body)=>{const delimiters=parseDelimiters(body)
+if(!delimiters)throw new Error('No UNA or UNB segment found')
+const doc={delimiters,interchanges:[]}
+let interchange=null
+let group=null
+let message=null
+tokenize(body,delimiters).forEach((seg,idx)=>{if(seg.tag!=='UNB'&&!interchange)throw new Error(`${seg.tag} segment at position ${idx+1} is outside an interchange`)
+if(seg.tag==='UNB'){interchange={unb:seg,unz:null,messages:[]}
+doc.interchanges.push(interchange)
+group=message=null}else if(seg.tag==='UNZ'){interchange.unz=seg
+interchange=group=message=null}else if(seg.tag==='UNG'){group=seg}else if(seg.tag==='UNE'){group=null}else if(seg.tag==='UNH'){message={group,unh:seg,unt:null,segments:[seg]}
+interchange.messages.push(message)}else if(message){message.segments.push(seg)
+if(seg.tag==='UNT'){message.unt=seg
+message=null}}})
+return doc}
+return{parseDelimiters,parse}})()
+const Utf8=(()=>{const byteLength=(text)=>{let bytes=0
+for(const char of text){const c=char.codePointAt(0)
+bytes+=c<0x80?1:c<0x800?2:c<0x10000?3:4}
+return bytes}
+const truncate=(text,maxBytes,marker='')=>{if(byteLength(text)<=maxBytes)return text
+let out=''
+let bytes=byteLength(marker)
+for(const char of text){bytes+=byteLength(char)
+if(bytes>maxBytes)break
+out+=char}
+return out+marker}
+return{byteLength,truncate}})()
+const DataTags=(()=>{const MAX_TAGS=100
+const queued=[]
+let published=0
+const add=(label,value,{priority=0}={})=>{if([label,value].some(text=>text===undefined||text===null||String(text).trim()==='')){userLog.warning(`Data tag "${label}" has no label or value and is not published`)
+return false}
+const tag={label:Utf8.truncate(String(label),50),value:Utf8.truncate(String(value),255)}
+if(tag.label!==String(label)||tag.value!==String(value))userLog.warning(`Data tag "${tag.label}" was cut to fit the byte limits`)
+if(lodash.some(queued,tag))return false
+queued.push({...tag,priority})
+return true}
+const publish=()=>{const sorted=lodash.sortBy(queued,tag=>-tag.priority)
+const room=Math.max(MAX_TAGS-published,0)
+const kept=sorted.slice(0,room).map(({label,value})=>({label,value}))
+if(sorted.length>room){const left=lodash.uniq(sorted.slice(room).map(tag=>tag.label)).join(', ')
+userLog.warning(`${sorted.length-room} data tag(s) over the ${MAX_TAGS} tag limit were not published: ${left}`)}
+if(kept.length)publishDataTags(kept)
+published+=kept.length
+queued.length=0
+return kept}
+return{add,publish,room:()=>MAX_TAGS-published-queued.length}})()
+DataTags.addAll=(label,list,{max=DataTags.room(),priority=0,fileName=`${lodash.snakeCase(label)}.json`}={})=>{const distinct=lodash.uniq(list.filter(value=>value!==undefined&&value!==null&&String(value).trim()!=='').map(String))
+if(distinct.length<=max){distinct.forEach(value=>DataTags.add(label,value,{priority}))
+return null}
+const shown=[]
+for(const value of distinct){if(Utf8.byteLength(`${distinct.length} values: ${[...shown,value].join(', ')}, ...`)>255)break
+shown.push(value)}
+DataTags.add(label,`${distinct.length} values: ${shown.join(', ')}, ...`,{priority})
+return{uuid:uuid(),type:'file',file_name:fileName,format:'json',mime_type:'application/json',body:JSON.stringify({label,values:distinct},null,2)}}
+const ACTION_CODES={4:'Rejected',7:'Acknowledged',8:'Received'}
+const SYNTAX_ERRORS={2:'Syntax version or level not supported',7:'Interchange recipient not actual recipient',12:'Invalid value',13:'Missing',14:'Value not supported in this position',15:'Not supported in this position',16:'Too many constituents',17:'No agreement',18:'Unspecified error',19:'Invalid decimal notation',20:'Character invalid as service character',21:'Invalid character(s)',22:'Invalid service character(s)',23:'Unknown interchange sender',24:'Too old',25:'Test indicator not supported',26:'Duplicate detected',28:'References do not match',29:'Control count does not match number of instances received',30:'Functional groups and messages mixed',31:'More than one message type in group',32:'Lower level empty',33:'Invalid occurrence outside message, package or group',35:'Too many repetitions',36:'Too many segment group repetitions',37:'Invalid type of character(s)',39:'Data element too long',40:'Data element too short',45:'Trailing separator',46:'Character set not supported'}
+const REJECTED='4'
+const describeAction=(code)=>ACTION_CODES[code]||`Action code ${code}`
+const describeError=(code,segmentTag,elementId)=>{if(!code)return ''
+const where=[segmentTag,elementId].filter(Boolean).join(' ')
+return ` (${SYNTAX_ERRORS[code]||`Error code ${code}`}${where?`: ${where}`:''})`}
+const ackedMessages=[]
+const parseContrlFile=(file)=>{try{if(!EDIFACT.parseDelimiters(file.body)){return{isAck:false,file}}
+const contrls=EDIFACT.parse(file.body).interchanges.flatMap(interchange=>
+interchange.messages.filter(message=>message.unh.element(2,1)==='CONTRL')
+.map(message=>({interchange,message})))
+if(contrls.length===0){return{isAck:false,file}}
+const{interchange,message}=contrls[0]
+DataTags.add('CONTRL File Interchange Control Reference',interchange.unb.element(5))
+DataTags.add('CONTRL File Message Reference',message.unh.element(1))
+let current=null
+let status='accepted'
+let interchangeRef
+const flushMessage=()=>{if(!current)return
+const lines=[`Message ${current.type} #${current.reference}: ${describeAction(current.action)}${current.reasons}`]
+current.elementErrors.forEach(line=>lines.push(`  ${line}`))
+current.segmentErrors.forEach(segErr=>{lines.push(`  Segment at position ${segErr.position}: ${segErr.error}`)
+segErr.elementErrors.forEach(line=>lines.push(`    ${line}`))})
+if(current.action===REJECTED){userLog.error(lines.join('\n'))}else{userLog.info(lines.join('\n'))}
+current=null}
+const levelResult=(what,seg)=>{const action=seg.element(4)
+const result=`CONTRL acknowledging ${what}: ${describeAction(action)}${describeError(seg.element(5),seg.element(6),seg.element(7,1))} in file ${file.file_name}`
+if(action===REJECTED){status='rejected'
+userLog.error(result)}else{userLog.info(result)}}
+const segments=contrls.flatMap(({message})=>message.segments)
+for(const seg of segments){const segmentError=current&&current.segmentErrors[current.segmentErrors.length-1]
+if(seg.tag==='UCI'){flushMessage()
+interchangeRef=seg.element(1)
+DataTags.add('CONTRL Acked Interchange Control Reference',interchangeRef)
+levelResult(`Interchange ${interchangeRef} from ${seg.element(2,1)}`,seg)}else if(seg.tag==='UCF'){flushMessage()
+levelResult(`Group ${seg.element(1)} of Interchange ${interchangeRef}`,seg)}else if(seg.tag==='UCM'){flushMessage()
+current={type:seg.element(2,1),reference:seg.element(1),action:seg.element(3),reasons:describeError(seg.element(4),seg.element(5),seg.element(6,1)),elementErrors:[],segmentErrors:[]}
+ackedMessages.push(current.reference)
+if(current.action===REJECTED)status='rejected'}else if(seg.tag==='UCS'&&current){current.segmentErrors.push({position:seg.element(1),error:SYNTAX_ERRORS[seg.element(2)]||(seg.element(2)?`Error code ${seg.element(2)}`:'Segment in error'),elementErrors:[]})}else if(seg.tag==='UCD'&&current){const component=seg.element(2,2)?`:${seg.element(2,2)}`:''
+const line=`Element ${seg.element(2,1)}${component}: ${SYNTAX_ERRORS[seg.element(1)]||`Error code ${seg.element(1)}`}`
+const target=segmentError||current
+target.elementErrors.push(line)}else if(seg.tag==='UNT'){flushMessage()}}
+return{isAck:true,file,status}}catch(err){userLog.error(`Error processing file ${file.file_name}: ${err.message}`)
+return{isAck:false,file}}}
+const payload=[]
+const accepted=[]
+const rejected=[]
+for(const sourceFile of sourceFiles){const result=parseContrlFile(sourceFile)
+if(result.isAck&&result.file){payload.push(result.file)
+if(result.status==='accepted'){accepted.push(result.file)}else{rejected.push(result.file)}}}
+DataTags.addAll('CONTRL Acked Message Reference',ackedMessages)
+DataTags.publish()
+if(payload.length===0){returnSkipped([])}else if(rejected.length>0){returnError(rejected)}else{returnSuccess(accepted)}
@@ -0,0 +1,163 @@
+const q={1:'Unrecognized segment ID',2:'Unexpected segment',3:'Mandatory segment missing',4:'Loop occurs over maximum times',5:'Segment exceeds maximum use',6:'Segment not in defined transaction set',7:'Segment not in proper sequence',8:'Segment has data element errors'}
+const r={1:'Mandatory data element missing',2:'Conditional required data element missing',3:'Too many data elements',4:'Data element too short',5:'Data element too long',6:'Invalid character in data element',7:'Invalid code value',8:'Invalid date',9:'Invalid time',10:'Exclusion condition violated',12:'Too many repetitions',13:'Too many components',16:'Composite data structure contains excess trailing delimiters'}
+const ag={A:'Accepted',E:'Accepted but errors were noted',M:'Rejected, message authentication code (MAC) failed',R:'Rejected',W:'Rejected, assurance failed validity tests',X:'Rejected, content after decryption could not be analyzed'}
+const s={1:'Transaction set not supported',2:'Transaction set trailer missing',3:'Transaction set control number in header and trailer do not match',4:'Number of included segments does not match actual count',5:'One or more segments in error',6:'Missing or invalid transaction set identifier',7:'Missing or invalid transaction set control number'}
+const ah={A:'Accepted',E:'Accepted but errors were noted',P:'Partially accepted',R:'Rejected'}
+const V={1:'Functional group not supported',2:'Functional group version not supported',3:'Functional group trailer missing',4:'Group control number in the functional group header and trailer do not agree',5:'Number of included transaction sets does not match actual count',6:'Group control number violates syntax'}
+const Y={...q,I4:'Implementation "Not Used" segment present',I6:'Implementation dependent segment missing',I7:'Implementation loop occurs under minimum times',I8:'Implementation segment below minimum use',I9:'Implementation dependent "Not Used" segment present'}
+const Z={...r,I6:'Code value not used in implementation',I9:'Implementation dependent data element missing',I10:'Implementation "Not Used" data element present',I11:'Implementation too few repetitions',I12:'Implementation pattern match failure',I13:'Implementation dependent "Not Used" data element present'}
+const aa={...s,18:'Transaction set not in functional group',19:'Invalid transaction set implementation convention reference',23:'Transaction set control number not unique within the functional group',I5:'Implementation one or more segments in error',I6:'Implementation convention not supported'}
+const aY=(()=>{const ad=(u,f=u.indexOf('ISA'))=>{if(f===-1)return null
+const aC=u.slice(f).split(u[f+3],17)
+if(aC.length<17||aC[16].length<2)return null
+return{element:u[f+3],component:aC[16][0],repetition:aC[12]>='00402'&&/^[^\w\s]$/.test(aC[11])?aC[11]:null,segment:aC[16][1],lineEnding:aC[16].slice(2).match(/^[\r\n]*/)[0]}}
+const H=(ac,b,bn=b.lineEnding)=>({id:ac[0],elements:ac,suffix:bn,terminated:true,element(n,h,U){let i=this.elements[n]||''
+if(U&&b.repetition)i=i.split(b.repetition)[U-1]||''
+return h?i.split(b.component)[h-1]||'':i},setElement(n,i,h){while(this.elements.length<=n)this.elements.push('')
+if(h){const av=this.elements[n].split(b.component)
+while(av.length<h)av.push('')
+av[h-1]=i
+i=av.join(b.component)}
+this.elements[n]=i},toString(){return this.elements.join(b.element)}})
+const aO=(u)=>{const f=u.indexOf('ISA')
+const b=ad(u,f)
+if(!b)throw new Error('No valid ISA segment found')
+const G=[]
+u.slice(f).split(b.segment).forEach((au,aU,aT)=>{const aS=G[G.length-1]
+const j=aS?au.trimStart():au
+const aW=aU===aT.length-1
+if(aS)aS.suffix+=au.slice(0,au.length-j.length)+(j||aW?'':b.segment)
+if(!j)return
+const aF=H(j.split(b.element),b,'')
+aF.terminated=!aW
+G.push(aF)})
+return{delimiters:b,prefix:u.slice(0,f),segments:G}}
+const bq=(u)=>{const{delimiters:b,prefix,segments:G}=aO(u)
+const aN={delimiters:b,prefix,interchanges:[]}
+let e=null
+let p=null
+let a=null
+G.forEach((d,aU)=>{d.position=aU+1
+const aK=(aV,bj)=>{if(!aV)throw new Error(`${d.id} segment at position ${aU+1} is outside ${bj}`)}
+if(d.id!=='ISA')aK(e,'an interchange')
+if(['GE','ST'].includes(d.id))aK(p,'a functional group')
+if(d.id==='ISA'){interchange:e={isa:d,iea:null,extra:[],groups:[]}
+aN.interchanges.push(e)
+p=a=null}else if(d.id==='IEA'){e.iea=d
+e=p=a=null}else if(d.id==='GS'){group:p={gs:d,ge:null,extra:[],transactions:[]}
+e.groups.push(p)
+a=null}else if(d.id==='GE'){p.ge=d
+p=a=null}else if(d.id==='ST'){transaction:a={st:d,se:null,segments:[d]}
+p.transactions.push(a)}else if(a){a.segments.push(d)
+if(d.id==='SE'){a.se=d
+a=null}}else{(p||e).extra.push(d)}})
+return aN}
+const aX=(aN)=>aN.interchanges.flatMap(e=>
+e.groups.flatMap(p=>
+p.transactions.map(a=>({interchange:e,group:p,transaction:a}))))
+return{parseDelimiters:ad,parse:bq,transactions:aX,segment:(aN,ac)=>H(ac,aN.delimiters)}})()
+const ay=(()=>{const z=(j)=>{let v=0
+for(const aJ of j){const c=aJ.codePointAt(0)
+v+=c<0x80?1:c<0x800?2:c<0x10000?3:4}
+return v}
+const bk=(j,ap,aL='')=>{if(z(j)<=ap)return j
+let bh=''
+let v=z(aL)
+for(const aJ of j){v+=z(aJ)
+if(v>ap)break
+bh+=aJ}
+return bh+aL}
+return{byteLength:z,truncate:bk}})()
+const g=(()=>{const ar=100*1024
+const aH=['error','warning','info']
+const B=[]
+const K={}
+const aI={}
+const bc=(j)=>ay.truncate(j,10*1024,'... [truncated]')
+const aZ=(T)=>(aQ,l)=>{const j=String(aQ)
+const ax=l?.file_name||l
+B.push({level:T,text:j,fileName:ax,time:DateTime.now().toISO()})
+const bb=`${T} ${j}`
+K[bb]=K[bb]||{level:T,text:j,count:0,order:B.length}
+K[bb].count++
+if(ax)lodash.update(aI,[ax,T],ba=>(ba||0)+1)}
+const Q=(ae)=>aH.filter(T=>ae[T]).map(T=>`${ae[T]} ${T}`).join(', ')
+const al=(I)=>{const aE=B.length-Object.keys(K).length
+const aR=[aE&&`${aE} repeated message(s) collapsed`,I.length&&`${Q(lodash.countBy(I,'level'))} message(s) left out to stay under the log size limit`].filter(Boolean)
+return bc([`Log summary: ${Q(lodash.countBy(B,'level'))}${aR.length?` (${aR.join('; ')})`:''}`,...Object.entries(aI).map(([bg,ae])=>`${bg}: ${Q(ae)}`)].join('\n'))}
+const bp=()=>{if(!B.length)return
+const aq=Object.values(K).map(k=>
+({...k,text:bc(k.count>1?`${k.text} (logged ${k.count} times)`:k.text)}))
+let ak=ar-ay.byteLength(al(aq))
+const[ao,I]=lodash.partition(lodash.sortBy(aq,k=>aH.indexOf(k.level),'order'),k=>{const v=ay.byteLength(k.text)
+if(v>ak)return false
+ak-=v
+return true})
+lodash.sortBy(ao,'order').forEach(k=>userLog[k.level](k.text))
+userLog.info(al(I))}
+return{info:aZ('info'),warning:aZ('warning'),error:aZ('error'),flush:bp,entries:B}})()
+const x=(()=>{const L=100
+const J=[]
+let F=0
+const aZ=(aG,i,{priority=0}={})=>{if([aG,i].some(j=>j===undefined||j===null||String(j).trim()==='')){userLog.warning(`Data tag "${aG}" has no label or value and is not published`)
+return false}
+const aw={label:ay.truncate(String(aG),50),value:ay.truncate(String(i),255)}
+if(aw.label!==String(aG)||aw.value!==String(i))userLog.warning(`Data tag "${aw.label}" was cut to fit the byte limits`)
+if(lodash.some(J,aw))return false
+J.push({...aw,priority})
+return true}
+const bm=()=>{const af=lodash.sortBy(J,aw=>-aw.priority)
+const ak=Math.max(L-F,0)
+const ao=af.slice(0,ak).map(({label:aG,value:i})=>({label:aG,value:i}))
+if(af.length>ak){const be=lodash.uniq(af.slice(ak).map(aw=>aw.label)).join(', ')
+userLog.warning(`${af.length-ak} data tag(s) over the ${L} tag limit were not published: ${be}`)}
+if(ao.length)publishDataTags(ao)
+F+=ao.length
+J.length=0
+return ao}
+return{add:aZ,publish:bm,room:()=>L-F-J.length}})()
+const ab={AK3:q,AK4:r,AK5:s,IK3:Y,IK4:Z,IK5:aa}
+const o=(D,an)=>D[an]||`Error code ${an}`
+const t=(d,bd,to,D)=>{const aD=d.elements.slice(bd,to+1).filter(an=>an).map(an=>o(D,an))
+return aD.length?` (${aD.join('; ')})`:''}
+const S=(d)=>{const bi=d.element(1,2)
+const at=d.element(2)?` (${d.element(2)} at position ${d.element(3)})`:''
+return `${d.element(1,1)}${bi?`=${bi}`:''}${at}`}
+const am=(l)=>{if(!aY.parseDelimiters(l.body))return null
+const aP=aY.transactions(aY.parse(l.body))
+.filter(({transaction:a})=>['997','999'].includes(a.st.element(1)))
+if(!aP.length)return null
+const{interchange:e,group:p}=aP[0]
+x.add('997 Ack File Interchange Control Number',e.isa.element(13))
+x.add('997 Ack File Group Control Number',p.gs.element(6))
+let m=null
+let w=[]
+const aj=()=>{if(w.length)m[m.length-1]+=` {${w.join('; ')}}`
+w=[]}
+let C='A'
+let aB
+aP.forEach(({transaction:a})=>a.segments.forEach(d=>{const D=ab[d.id]
+if(d.id==='AK1'){ak102:aB=d.element(2)
+x.add('997 Acked Group Control Number',aB)}else if(d.id==='AK2'){lines:m=[`Transaction ${d.element(1)} #${d.element(2)}`]
+w=[]}else if(/^[AI]K3$/.test(d.id)&&m){aj()
+const bf=d.element(3)?` (loop ${d.element(3)})`:''
+m.push(`  Segment ${d.element(1)} at position ${d.element(2)}${bf}: ${o(D,d.element(4))}`)}else if(/^[AI]K4$/.test(d.id)&&m?.length>1){aj()
+const i=d.element(4)?` [value: "${d.element(4)}"]`:''
+m.push(`    Element ${d.element(2)||d.element(1)}: ${o(D,d.element(3))}${i}`)}else if(d.id==='CTX'&&m?.length>1){w.push(S(d))}else if(/^[AI]K5$/.test(d.id)&&m){aj()
+const ai=d.element(1)
+m[0]+=`: ${ag[ai]||ai}${t(d,2,6,D)}`
+g[ai==='R'?'error':'info'](m.join('\n'),l)
+m=null}else if(d.id==='AK9'){const O=d.element(1)
+const az=ah[O]||O
+const aA=a.st.element(1)
+g.info(`Functional Group Result for ${aB}: ${az} - ${d.element(4)||'0'}/${d.element(3)||'0'} transactions accepted${t(d,5,9,V)}`,l)
+if(O?.toUpperCase()!=='A'&&C==='A'){overallStatus:C=O
+g.error(`${aA} acknowledging Group Control Number ${aB} Not Accepted (AK901=${O}) in file ${l.file_name}`,l)}else{g.info(`${aA} acknowledging Group Control Number ${aB} ${az} (AK901=${O}) in file ${l.file_name}.`,l)}}}))
+return C}
+const N=[]
+const y=[]
+sourceFiles.forEach(l=>{try{const aM=am(l)
+if(aM)(aM==='A'?N:y).push(l)}catch(bl){g.error(`Error processing file ${l.file_name}: ${bl.message}`,l)}})
+x.publish()
+g.flush()
+if(N.length+y.length===0){returnSkipped([])}else if(y.length>0){returnError(y)}else{returnSuccess(N)}
@@ -0,0 +1,173 @@
+(async()=>{const w='00000000-0000-0000-0000-000000000000'
+const v=null
+const o='00000000-0000-0000-0000-000000000001'
+const ao={days:7}
+const aY={hours:24}
+const am={days:30}
+const ac=['success','error']
+const z='Sent Functional Group'
+const M='Transaction Set Control Number'
+const p='Acked Functional Group'
+const I=100
+const X=4
+const aD=3
+const i='csv'
+const L=false
+const bx=(()=>{const Z=(F,h=F.indexOf('ISA'))=>{if(h===-1)return null
+const az=F.slice(h).split(F[h+3],17)
+if(az.length<17||az[16].length<2)return null
+return{element:F[h+3],component:az[16][0],repetition:az[12]>='00402'&&/^[^\w\s]$/.test(az[11])?az[11]:null,segment:az[16][1],lineEnding:az[16].slice(2).match(/^[\r\n]*/)[0]}}
+const R=(Y,c,bC=c.lineEnding)=>({id:Y[0],elements:Y,suffix:bC,terminated:true,element(n,l,W){let y=this.elements[n]||''
+if(W&&c.repetition)y=y.split(c.repetition)[W-1]||''
+return l?y.split(c.component)[l-1]||'':y},setElement(n,y,l){while(this.elements.length<=n)this.elements.push('')
+if(l){const au=this.elements[n].split(c.component)
+while(au.length<l)au.push('')
+au[l-1]=y
+y=au.join(c.component)}
+this.elements[n]=y},toString(){return this.elements.join(c.element)}})
+const aU=(F)=>{const h=F.indexOf('ISA')
+const c=Z(F,h)
+if(!c)throw new Error('No valid ISA segment found')
+const N=[]
+F.slice(h).split(c.segment).forEach((at,bk,bj)=>{const bf=N[N.length-1]
+const aM=bf?at.trimStart():at
+const bq=bk===bj.length-1
+if(bf)bf.suffix+=at.slice(0,at.length-aM.length)+(aM||bq?'':c.segment)
+if(!aM)return
+const aA=R(aM.split(c.element),c,'')
+aA.terminated=!bq
+N.push(aA)})
+return{delimiters:c,prefix:F.slice(0,h),segments:N}}
+const bF=(F)=>{const{delimiters:c,prefix,segments:N}=aU(F)
+const aN={delimiters:c,prefix,interchanges:[]}
+let e=null
+let d=null
+let b=null
+N.forEach((k,bk)=>{k.position=bk+1
+const aI=(bn,bz)=>{if(!bn)throw new Error(`${k.id} segment at position ${bk+1} is outside ${bz}`)}
+if(k.id!=='ISA')aI(e,'an interchange')
+if(['GE','ST'].includes(k.id))aI(d,'a functional group')
+if(k.id==='ISA'){interchange:e={isa:k,iea:null,extra:[],groups:[]}
+aN.interchanges.push(e)
+d=b=null}else if(k.id==='IEA'){e.iea=k
+e=d=b=null}else if(k.id==='GS'){group:d={gs:k,ge:null,extra:[],transactions:[]}
+e.groups.push(d)
+b=null}else if(k.id==='GE'){d.ge=k
+d=b=null}else if(k.id==='ST'){transaction:b={st:k,se:null,segments:[k]}
+d.transactions.push(b)}else if(b){b.segments.push(k)
+if(k.id==='SE'){b.se=k
+b=null}}else{(d||e).extra.push(k)}})
+return aN}
+const f=(aN)=>aN.interchanges.flatMap(e=>
+e.groups.flatMap(d=>
+d.transactions.map(b=>({interchange:e,group:d,transaction:b}))))
+return{parseDelimiters:Z,parse:bF,transactions:f,segment:(aN,Y)=>R(Y,aN.delimiters)}})()
+const O=(()=>{const u=10
+const bh=Date.now()
+const ar={timeBudgetMs:45*1000}
+const aF={executionSearchByIntegration:0,listExecutionFiles:0,getExecutionFile:0}
+const U={}
+const ba=(S)=>aF[S]<u&&Date.now()-bh<ar.timeBudgetMs
+const aZ=(S,fn,...C)=>{const aQ=`${S}:${JSON.stringify(C)}`
+if(U[aQ])return U[aQ]
+if(!ba(S))return Promise.resolve(null)
+aF[S]++
+U[aQ]=fn(...C)
+U[aQ].catch(()=>delete U[aQ])
+return U[aQ]}
+const bc=(B)=>{if(typeof B==='function')return B
+if(B instanceof RegExp)return(S)=>B.test(S)
+return(S)=>S===B}
+const ak=async(g,C={},{maxPages:bl=u,maxResults:ab=Infinity}={})=>{const bp=[]
+let aW
+for(let br=0;br<bl;br++){const G=await aZ('executionSearchByIntegration',executionSearchByIntegration,g,aW?{...C,cursor:aW}:C)
+if(!G)return{data:bp,partial:true}
+bp.push(...G.data)
+if(bp.length>=ab)return{data:bp.slice(0,ab),partial:G.hasMoreRecords||bp.length>ab}
+if(!G.hasMoreRecords)return{data:bp,partial:false}
+aW=G.cursor}
+return{data:bp,partial:true}}
+const aR=(an)=>aZ('listExecutionFiles',listExecutionFiles,an)
+const bA=(ai)=>aZ('getExecutionFile',getExecutionFile,{invocationId:ai.invocation_id,fileId:ai.file_id})
+const bw=async(g,{pattern:B=()=>true,executions:J=u,search:C={}}={})=>{const bd=bc(B)
+const x=await ak(g,C,{maxResults:J})
+let ad=null
+let bG=x.partial&&x.data.length<J
+for(const a of x.data){if(ad&&a.ended_date&&a.ended_date<ad.file.created_time)break
+const bb=await aR(a.invocation_id)
+if(!bb){partial:bG=true
+break}
+bb.filter(ai=>bd(ai.file_name)).forEach(ai=>{if(!ad||ai.created_time>ad.file.created_time)ad={file:ai,execution:a}})}
+return{file:ad?.file||null,execution:ad?.execution||null,partial:bG}}
+return{search:ak,listFiles:aR,getFile:bA,newestFile:bw,remaining:()=>lodash.mapValues(aF,aG=>u-aG),configure:(be)=>Object.assign(ar,be)}})()
+const al={A:'accepted',E:'accepted with errors',P:'partially accepted'}
+const ax=['missing','partially accepted','rejected','unmatched']
+const aw=['functional_group','functional_id','status','sent_at','outbound_execution','ack_file','ack_code','hours_outstanding','rejected_transaction_sets','unknown_transaction_sets','unacknowledged_transaction_sets','untagged']
+const aE=/^\d+ values: /
+const bm=DateTime.now()
+const aH=(aO)=>bm.minus(aO).toISO()
+const aP=(...bB)=>bB.map(id=>id.trim()).join('/')
+const s=(a,bu)=>(a.data_tags||[]).filter(bi=>bi.label===bu).map(bi=>bi.value)
+const aS=(ay)=>{const ap=[]
+bx.transactions(bx.parse(ay.body)).forEach(({group:d,transaction:b})=>{if(!['997','999'].includes(b.st.element(1)))return
+let m,current
+b.segments.forEach(k=>{if(k.id==='AK1'){ack:m={group:aP(d.gs.element(3),d.gs.element(2),k.element(2)),functionalId:k.element(1),code:'',transactions:[],file:ay.file_name}
+ap.push(m)}else if(m&&k.id==='AK2'){current={controlNumber:k.element(2),code:''}
+m.transactions.push(current)}else if(current&&['AK5','IK5'].includes(k.id)){current.code=k.element(1)}else if(m&&k.id==='AK9'){m.code=k.element(1)}})})
+return ap}
+const aB={}
+const aq=(J)=>J.filter(a=>ac.includes(a.status)).forEach(a=>{s(a,z).forEach(d=>{aB[d]=aB[d]||a})})
+const ak=(g,C,bl)=>O.search(g,C,{maxPages:bl})
+const D=(C,bv)=>ak(w,v?{...C,flow_id:v}:C,bv)
+const ap=[]
+let H=0
+sourceFiles.forEach(ay=>{try{const x=aS(ay)
+if(!x.length)throw new Error('no 997 or 999 acknowledgment found')
+ap.push(...x)}catch(bt){H++
+userLog.error(`Could not read ${ay.file_name}: ${bt.message}`)}})
+const j=lodash.keyBy(ap,'group')
+const K=new Set()
+try{const V=await D({startDateAfter:aH(ao)},X)
+if(V.partial)userLog.warning(`The search budget ran out after ${V.data.length} outbound execution(s); older groups are not reconciled`)
+aq(V.data)
+if(o){const ae=await ak(o,{startDateAfter:aH(ao)},aD)
+if(ae.partial)userLog.warning(`The search budget ran out after ${ae.data.length} earlier ack execution(s); groups they did not cover may show as missing`)
+ae.data.forEach(a=>s(a,p).forEach(d=>K.add(d)))}
+for(const d of Object.keys(j).filter(d=>!aB[d])){const x=await D({dataTag:d,startDateAfter:aH(am)},1)
+if(x.partial&&!x.data.length){userLog.warning('The search budget ran out before every ack was looked up; the rest are reported as unmatched')
+break}
+aq(x.data.filter(a=>s(a,z).includes(d)))}}catch(bt){userLog.error(`Execution search failed: ${bt.message}`)
+return returnError([])}
+const T=(a)=>{const av=s(a,M)
+return av.length&&!av.some(y=>aE.test(y))?av:null}
+const aa=(a,f)=>{const ag=s(a,z).map(d=>j[d])
+if(ag.some(m=>!m))return[]
+const bs=ag.flatMap(m=>m.transactions.map(t=>t.controlNumber))
+return f.filter(q=>!bs.includes(q))}
+const bo=(Q)=>({...lodash.mapValues(lodash.keyBy(aw),()=>''),...Q})
+const aj=Object.entries(aB).map(([d,a])=>{const m=j[d]
+const aL=DateTime.fromISO(a.start_date)
+const Q={functional_group:d,sent_at:a.start_date,outbound_execution:a.invocation_id}
+if(!m){if(K.has(d))return bo({...Q,status:'acknowledged earlier'})
+const aX=aL.plus(aY)<bm?'missing':'pending'
+return bo({...Q,status:aX,hours_outstanding:Math.floor(bm.diff(aL,'hours').hours)})}
+return bo({...Q,functional_id:m.functionalId,status:al[m.code]||'rejected',ack_file:m.file,ack_code:m.code,rejected_transaction_sets:m.transactions.filter(t=>!['A','E'].includes(t.code)).map(t=>`${t.controlNumber} (${t.code||'no AK5'})`).join(' '),...(f=>f&&{unknown_transaction_sets:m.transactions.map(t=>t.controlNumber).filter(q=>!f.includes(q)).join(' '),unacknowledged_transaction_sets:aa(a,f).join(' ')})(T(a))})})
+ap.filter(m=>!aB[m.group]&&j[m.group]===m).forEach(m=>aj.push(bo({functional_group:m.group,functional_id:m.functionalId,status:'unmatched',ack_file:m.file,ack_code:m.code})))
+if(!aj.length&&!H){userLog.info('No outbound groups or acknowledgments to reconcile')
+return returnSkipped([])}
+userLog.info(`Reconciled ${aj.length} group(s): ${Object.entries(lodash.countBy(aj,'status')).map(([aX,aG])=>`${aG} ${aX}`).join(', ')}`)
+const ah=(r)=>ax.includes(r.status)||r.unknown_transaction_sets||r.unacknowledged_transaction_sets
+const af=aj.filter(ah)
+af.forEach(r=>userLog.warning(`Group ${r.functional_group} is ${r.status}${[['rejected',r.rejected_transaction_sets],['unknown',r.unknown_transaction_sets],['unacknowledged',r.unacknowledged_transaction_sets]].filter(([,bg])=>bg).map(([by,bg])=>`; ${by} transaction sets: ${bg}`).join('')}`))
+const aT=(r)=>ax.includes(r.status)
+?`${r.status==='partially accepted'?'Rejected':lodash.upperFirst(r.status)} Ack Functional Group`
+:'Transaction Set Mismatch Functional Group'
+const aC=[...af.map(r=>({label:aT(r),value:r.functional_group})),...Object.keys(j).map(d=>({label:p,value:d}))]
+if(aC.length>I){userLog.warning(`Published ${I} of ${aC.length} group tags; the report marks the groups left untagged`)
+const aV=aC.slice(I).map(bi=>bi.value)
+aj.forEach(r=>{if(aV.includes(r.functional_group))r.untagged='yes'})}
+if(aC.length)publishDataTags(aC.slice(0,I))
+const aJ=[{uuid:uuid(),type:'file',file_name:`997_reconciliation_${bm.toFormat('yyyyLLdd_HHmmss')}.${i}`,format:i,mime_type:i==='json'?'application/json':'text/csv',body:((aK)=>i==='json'
+?JSON.stringify(aK,null,2)
+:XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(aK,{header:aw}))+'\n')(lodash.sortBy(aj,r=>!ah(r),'sent_at'))},...(L?sourceFiles:[])]
+return af.length||H?returnError(aJ):returnSuccess(aJ)})()
@@ -0,0 +1,126 @@
+const E={addressType:['ConsignorDocumentaryAddress','ConsigneeDocumentaryAddress','ConsignorPickupDeliveryAddress','ConsigneePickupDeliveryAddress','SendersLocalClient','ReceiversLocalClient','SendingForwarderAddress','ReceivingForwarderAddress','NotifyParty','ShippingLineAddress','ImportBroker','ExportBroker'],transportMode:['AIR','SEA','ROA','RAI','COU']}
+const I={unlocode:/^[A-Z]{2}[A-Z2-9]{3}$/}
+const L=[{name:'Universal Shipment',rules:[{check:'required',path:'DataContext/DataSourceCollection/DataSource/Key'},{check:'required',path:'PortOfDischarge/Code'},{check:'format',path:'PortOfLoading/Code',format:'unlocode'},{check:'format',path:'PortOfDischarge/Code',format:'unlocode'},{check:'codes',path:'TransportMode/Code',list:'transportMode'},{check:'codes',path:'OrganizationAddressCollection/OrganizationAddress/AddressType',list:'addressType',severity:'warning'},{name:'One consignee',check:'count',path:'OrganizationAddressCollection/OrganizationAddress[AddressType="ConsigneeDocumentaryAddress"]/OrganizationCode',min:1,max:1},{scope:'SubShipment',check:'required',path:'PortOfDischarge/Code',severity:'warning'},{scope:'SubShipment',check:'format',path:'PortOfDestination/Code',format:'unlocode'},{name:'FCL needs a container',check:'count',path:'ContainerCollection/Container',min:1,when:{path:'ContainerMode/Code',equals:'FCL'}},{name:'ETD before ETA',check:'compare',path:'DateCollection/Date[Type="Departure"]/Value',is:'<=',other:'DateCollection/Date[Type="Arrival"]/Value',severity:'warning'}]}]
+const aj=true
+const af='/UniversalShipment/Shipment/DataContext/DataSourceCollection/DataSource/Key'
+const ap=(()=>{const t=(B)=>{let J=0
+for(const Z of B){const c=Z.codePointAt(0)
+J+=c<0x80?1:c<0x800?2:c<0x10000?3:4}
+return J}
+const az=(B,M,ac='')=>{if(t(B)<=M)return B
+let ay=''
+let J=t(ac)
+for(const Z of B){J+=t(Z)
+if(J>M)break
+ay+=Z}
+return ay+ac}
+return{byteLength:t,truncate:az}})()
+const r=(()=>{const C=100
+const z=[]
+let u=0
+const add=(m,h,{priority=0}={})=>{if([m,h].some(B=>B===undefined||B===null||String(B).trim()==='')){userLog.warning(`Data tag "${m}" has no label or value and is not published`)
+return false}
+const R={label:ap.truncate(String(m),50),value:ap.truncate(String(h),255)}
+if(R.label!==String(m)||R.value!==String(h))userLog.warning(`Data tag "${R.label}" was cut to fit the byte limits`)
+if(lodash.some(z,R))return false
+z.push({...R,priority})
+return true}
+const aD=()=>{const H=lodash.sortBy(z,R=>-R.priority)
+const ad=Math.max(C-u,0)
+const ab=H.slice(0,ad).map(({label:m,value:h})=>({label:m,value:h}))
+if(H.length>ad){const ax=lodash.uniq(H.slice(ad).map(R=>R.label)).join(', ')
+userLog.warning(`${H.length-ad} data tag(s) over the ${C} tag limit were not published: ${ax}`)}
+if(ab.length)publishDataTags(ab)
+u+=ab.length
+z.length=0
+return ab}
+return{add,publish:aD,room:()=>C-u-z.length}})()
+const G={Shipment:'/UniversalShipment/Shipment',SubShipment:'/UniversalShipment/Shipment/SubShipmentCollection/SubShipment'}
+const F=['error','skip','warning']
+const an=['required','count','codes','format','compare','test']
+const w={'<':(a,b)=>a<b,'<=':(a,b)=>a<=b,'=':(a,b)=>a===b,'!=':(a,b)=>a!==b,'>=':(a,b)=>a>=b,'>':(a,b)=>a>b}
+const m=(d)=>d.name||`${d.check} ${d.path||''}`.trim()
+const X=(d)=>{if(!an.includes(d.check))throw new Error(`Unknown check "${d.check}" in rule ${JSON.stringify(d)}`)
+if(!G[d.scope||'Shipment'])throw new Error(`Unknown scope "${d.scope}" in rule "${m(d)}"`)
+if(!F.includes(d.severity||'error'))throw new Error(`Unknown severity "${d.severity}" in rule "${m(d)}"`)
+if(d.check!=='test'&&!d.path)throw new Error(`Rule "${m(d)}" has no path`)
+if(d.check==='codes'&&!Array.isArray(d.list)&&!E[d.list])throw new Error(`Unknown code list "${d.list}" in rule "${m(d)}"`)
+if(d.check==='format'&&!(d.format instanceof RegExp)&&!I[d.format])throw new Error(`Unknown format "${d.format}" in rule "${m(d)}"`)
+if(d.check==='compare'&&!w[d.is])throw new Error(`Unknown comparison "${d.is}" in rule "${m(d)}"`)}
+const au=(k,e)=>{const h=xml.text(k,e.path)
+if('exists' in e)return(h!==undefined)===e.exists
+if(h===undefined)return false
+if('equals' in e)return h.trim()===e.equals
+if('in' in e)return e.in.includes(h.trim())
+if('matches' in e)return e.matches.test(h)
+return true}
+const U=(k,T)=>lodash.castArray(T||[]).every(e=>au(k,e))
+const P=(k,ar)=>{const at=xml.evaluate(k,`count(${ar})`).numberValue()
+return lodash.range(1,at+1).map(i=>xml.evaluate(k,`string((${ar})[${i}])`).stringValue().trim())}
+const S=(a,b)=>{if(!isNaN(a)&&!isNaN(b))return[Number(a),Number(b)]
+const[dateA,dateB]=[DateTime.fromISO(a),DateTime.fromISO(b)]
+if(dateA.isValid&&dateB.isValid)return[dateA.toMillis(),dateB.toMillis()]
+return[a,b]}
+const Q=(s)=>s.map(h=>`"${h}"`).join(', ')
+const am=(d,k)=>{if(!U(k,d.when))return null
+if(d.check==='test'){const g=d.test(k)
+if(g===true||g===undefined)return null
+return typeof g==='string'?g:`${m(d)} failed`}
+const s=P(k,d.path)
+const p=s.filter(h=>h!=='')
+if(d.check==='required')return p.length?null:`${d.path} is missing or empty`
+if(d.check==='count'){const{min=0,max=Infinity}=d
+if(s.length>=min&&s.length<=max)return null
+const ah=min===max?`${min}`:max===Infinity?`at least ${min}`:`${min} to ${max}`
+return `${d.path} occurs ${s.length} time(s), expected ${ah}`}
+if(d.check==='codes'){const aq=Array.isArray(d.list)?d.list:E[d.list]
+const ak=p.filter(h=>!aq.includes(h))
+return ak.length?`${d.path} has ${Q(ak)}, not in ${Array.isArray(d.list)?Q(aq):d.list}`:null}
+if(d.check==='format'){const aa=I[d.format]||d.format
+const ak=p.filter(h=>!aa.test(h))
+return ak.length?`${d.path} has ${Q(ak)}, not in ${I[d.format]?d.format:aa} format`:null}
+const Y='value' in d?String(d.value):P(k,d.other).find(h=>h!=='')
+if(!p.length||Y===undefined)return null
+const[a,b]=S(p[0],Y)
+if(w[d.is](a,b))return null
+return `${d.path} "${p[0]}" is not ${d.is} ${'value' in d?'':`${d.other} `}"${Y}"`}
+const K=(o)=>{const D=xml.XmlParser.parseFromString(o.body)
+const O=xml.element(D,G.Shipment)
+if(!O){return{key:null,profiles:[],failures:[{profile:null,rule:'Universal Shipment',severity:'error',scope:null,message:`${G.Shipment} not found`}]}}
+const N=L.filter(l=>U(O,l.when))
+const al=[]
+N.forEach(l=>l.rules.forEach(d=>{const v=d.scope||'Shipment'
+const ae=xml.elements(D,G[v])
+ae.forEach((k,aB)=>{const ao=am(d,k)
+if(!ao)return
+al.push({profile:l.name,rule:m(d),severity:d.severity||'error',scope:ae.length>1?`${v} ${aB+1}`:v,message:ao})})}))
+return{key:xml.text(D,af)?.trim()||null,profiles:N.map(l=>l.name),failures:al}}
+const W=(o,n,g)=>({uuid:uuid(),type:'file',file_name:`${o.file_name.replace(/\.[^.]*$/,'')}_validation.json`,format:'json',mime_type:'application/json',body:JSON.stringify({file_name:o.file_name,shipment:g.key,outcome:n,...lodash.pick(g,['profiles','failures'])},null,2)})
+L.forEach(l=>l.rules.forEach(X))
+const ag={error:'failed validation and is held back',skip:'was skipped',warning:'passed with warnings'}
+const y=[]
+const A=[]
+const V=[]
+const x=[]
+const j={error:0,skip:0,warning:0,passed:0}
+destinationFiles.forEach(o=>{if(!(o.file_name?.match(/\.xml$/i)||o.format==='xml')){y.push(o)
+return}
+let g
+try{result:g=K(o)}catch(aA){result:g={key:null,profiles:[],failures:[{profile:null,rule:'XML',severity:'error',scope:null,message:`not valid XML: ${aA.message}`}]}}
+const n=F.find(ai=>g.failures.some(q=>q.severity===ai))||'passed'
+j[n]++
+if(!['error','skip'].includes(n))y.push(o)
+if(n==='passed')return
+const aw=g.failures.map(f=>`  [${f.severity}] ${f.scope?`${f.scope}: `:''}${f.message}${f.rule!==f.message?` (${f.rule})`:''}`)
+const av={error:'error',skip:'info',warning:'warning'}[n]
+userLog[av]([`${o.file_name} ${ag[n]}:`,...aw].join('\n'))
+if(aj)A.push(W(o,n,g))
+if(n==='error'){V.push(g.key||o.file_name)
+x.push(...g.failures.filter(q=>q.severity==='error').map(q=>q.rule))}})
+const g=j.error?'Failed':j.warning?'Passed with warnings':j.passed?'Passed':j.skip?'Skipped':null
+if(g)r.add('Validation Result',g,{priority:1})
+V.forEach(aC=>r.add('Invalid Shipment',aC))
+x.forEach(d=>r.add('Failed Validation Rule',d))
+r.publish()
+userLog.info(`Validated ${lodash.sum(Object.values(j))} document(s): ${j.passed} passed, ${j.warning} with warnings, ${j.skip} skipped, ${j.error} held back`)
+if(j.error){returnError([...y,...A])}else if(!y.length){returnSkipped(A)}else{returnSuccess([...y,...A])}
@@ -0,0 +1,137 @@
+const PASS_NON_X12_FILES=false
+const X12=(()=>{const parseDelimiters=(body,isaStart=body.indexOf('ISA'))=>{if(isaStart===-1)return null
+const isa=body.slice(isaStart).split(body[isaStart+3],17)
+if(isa.length<17||isa[16].length<2)return null
+return{element:body[isaStart+3],component:isa[16][0],repetition:isa[12]>='00402'&&/^[^\w\s]$/.test(isa[11])?isa[11]:null,segment:isa[16][1],lineEnding:isa[16].slice(2).match(/^[\r\n]*/)[0]}}
+const makeSegment=(elements,delimiters,suffix=delimiters.lineEnding)=>({id:elements[0],elements,suffix,terminated:true,element(n,component,repetition){let value=this.elements[n]||''
+if(repetition&&delimiters.repetition)value=value.split(delimiters.repetition)[repetition-1]||''
+return component?value.split(delimiters.component)[component-1]||'':value},setElement(n,value,component){while(this.elements.length<=n)this.elements.push('')
+if(component){const parts=this.elements[n].split(delimiters.component)
+while(parts.length<component)parts.push('')
+parts[component-1]=value
+value=parts.join(delimiters.component)}
+this.elements[n]=value},toString(){return this.elements.join(delimiters.element)}})
+const tokenize=(body)=>{const isaStart=body.indexOf('ISA')
+const delimiters=parseDelimiters(body,isaStart)
+if(!delimiters)throw new Error('No valid ISA segment found')
+const segments=[]
+body.slice(isaStart).split(delimiters.segment).forEach((chunk,idx,chunks)=>{const prev=segments[segments.length-1]
+const text=prev?chunk.trimStart():chunk
+const last=idx===chunks.length-1
+if(prev)prev.suffix+=chunk.slice(0,chunk.length-text.length)+(text||last?'':delimiters.segment)
+if(!text)return
+const segment=makeSegment(text.split(delimiters.element),delimiters,'')
+segment.terminated=!last
+segments.push(segment)})
+return{delimiters,prefix:body.slice(0,isaStart),segments}}
+const parse=(body)=>{const{delimiters,prefix,segments}=tokenize(body)
+const doc={delimiters,prefix,interchanges:[]}
+let interchange=null
+let group=null
+let transaction=null
+segments.forEach((seg,idx)=>{seg.position=idx+1
+const inside=(parent,what)=>{if(!parent)throw new Error(`${seg.id} segment at position ${idx+1} is outside ${what}`)}
+if(seg.id!=='ISA')inside(interchange,'an interchange')
+if(['GE','ST'].includes(seg.id))inside(group,'a functional group')
+if(seg.id==='ISA'){interchange={isa:seg,iea:null,extra:[],groups:[]}
+doc.interchanges.push(interchange)
+group=transaction=null}else if(seg.id==='IEA'){interchange.iea=seg
+interchange=group=transaction=null}else if(seg.id==='GS'){group={gs:seg,ge:null,extra:[],transactions:[]}
+interchange.groups.push(group)
+transaction=null}else if(seg.id==='GE'){group.ge=seg
+group=transaction=null}else if(seg.id==='ST'){transaction={st:seg,se:null,segments:[seg]}
+group.transactions.push(transaction)}else if(transaction){transaction.segments.push(seg)
+if(seg.id==='SE'){transaction.se=seg
+transaction=null}}else{(group||interchange).extra.push(seg)}})
+return doc}
+const transactions=(doc)=>doc.interchanges.flatMap(interchange=>
+interchange.groups.flatMap(group=>
+group.transactions.map(transaction=>({interchange,group,transaction}))))
+return{parseDelimiters,parse,transactions,segment:(doc,elements)=>makeSegment(elements,doc.delimiters)}})()
+const Utf8=(()=>{const byteLength=(text)=>{let bytes=0
+for(const char of text){const c=char.codePointAt(0)
+bytes+=c<0x80?1:c<0x800?2:c<0x10000?3:4}
+return bytes}
+const truncate=(text,maxBytes,marker='')=>{if(byteLength(text)<=maxBytes)return text
+let out=''
+let bytes=byteLength(marker)
+for(const char of text){bytes+=byteLength(char)
+if(bytes>maxBytes)break
+out+=char}
+return out+marker}
+return{byteLength,truncate}})()
+const DataTags=(()=>{const MAX_TAGS=100
+const queued=[]
+let published=0
+const add=(label,value,{priority=0}={})=>{if([label,value].some(text=>text===undefined||text===null||String(text).trim()==='')){userLog.warning(`Data tag "${label}" has no label or value and is not published`)
+return false}
+const tag={label:Utf8.truncate(String(label),50),value:Utf8.truncate(String(value),255)}
+if(tag.label!==String(label)||tag.value!==String(value))userLog.warning(`Data tag "${tag.label}" was cut to fit the byte limits`)
+if(lodash.some(queued,tag))return false
+queued.push({...tag,priority})
+return true}
+const publish=()=>{const sorted=lodash.sortBy(queued,tag=>-tag.priority)
+const room=Math.max(MAX_TAGS-published,0)
+const kept=sorted.slice(0,room).map(({label,value})=>({label,value}))
+if(sorted.length>room){const left=lodash.uniq(sorted.slice(room).map(tag=>tag.label)).join(', ')
+userLog.warning(`${sorted.length-room} data tag(s) over the ${MAX_TAGS} tag limit were not published: ${left}`)}
+if(kept.length)publishDataTags(kept)
+published+=kept.length
+queued.length=0
+return kept}
+return{add,publish,room:()=>MAX_TAGS-published-queued.length}})()
+DataTags.addAll=(label,list,{max=DataTags.room(),priority=0,fileName=`${lodash.snakeCase(label)}.json`}={})=>{const distinct=lodash.uniq(list.filter(value=>value!==undefined&&value!==null&&String(value).trim()!=='').map(String))
+if(distinct.length<=max){distinct.forEach(value=>DataTags.add(label,value,{priority}))
+return null}
+const shown=[]
+for(const value of distinct){if(Utf8.byteLength(`${distinct.length} values: ${[...shown,value].join(', ')}, ...`)>255)break
+shown.push(value)}
+DataTags.add(label,`${distinct.length} values: ${shown.join(', ')}, ...`,{priority})
+return{uuid:uuid(),type:'file',file_name:fileName,format:'json',mime_type:'application/json',body:JSON.stringify({label,values:distinct},null,2)}}
+const ISA_WIDTHS=[2,10,2,10,2,15,2,15,6,4,1,5,9,1,1,1]
+const ISA_LENGTH=106
+const checkTrailer=(problem,header,trailer,controlElement,count,what)=>{const control=header.element(controlElement)
+const trailerId={ISA:'IEA',GS:'GE',ST:'SE'}[header.id]
+if(!trailer){problem(header,`${header.id}${String(controlElement).padStart(2,'0')} ${control} has no ${trailerId}`)
+return}
+if(trailer.element(2)!==control){problem(trailer,`${trailerId}02 ${trailer.element(2)} does not match ${header.id}${String(controlElement).padStart(2,'0')} ${control}`)}
+if(!/^\d+$/.test(trailer.element(1))||Number(trailer.element(1))!==count){problem(trailer,`${trailerId}01 is ${trailer.element(1)||'empty'}, but there are ${count} ${what}`)}}
+const checkIsa=(problem,isa,delimiters)=>{const length=isa.toString().length+delimiters.segment.length
+if(length!==ISA_LENGTH)problem(isa,`ISA is ${length} characters, must be ${ISA_LENGTH}`)
+if(isa.elements.length!==ISA_WIDTHS.length+1){problem(isa,`ISA has ${isa.elements.length-1} elements, must have ${ISA_WIDTHS.length}`)}
+ISA_WIDTHS.forEach((width,idx)=>{const value=isa.element(idx+1)
+if(value.length!==width)problem(isa,`ISA${String(idx+1).padStart(2,'0')} "${value}" is ${value.length} characters, must be ${width}`)})}
+const checkFile=(file)=>{if(!X12.parseDelimiters(file.body))return null
+const problems=[]
+const problem=(seg,message)=>problems.push({position:seg.position,text:`Segment ${seg.position} (${seg.id}): ${message}`})
+let doc
+try{doc=X12.parse(file.body)}catch(err){return{doc:null,problems:[err.message]}}
+if(doc.prefix.trim())problems.push({position:0,text:`${doc.prefix.length} character(s) before the ISA segment`})
+doc.interchanges.forEach(interchange=>{const{isa}=interchange
+checkIsa(problem,isa,doc.delimiters)
+checkTrailer(problem,isa,interchange.iea,13,interchange.groups.length,'functional group(s)')
+interchange.extra.filter(seg=>seg.id!=='TA1').forEach(seg=>problem(seg,'segment outside a functional group'))
+interchange.groups.forEach(group=>{checkTrailer(problem,group.gs,group.ge,6,group.transactions.length,'transaction set(s)')
+group.extra.forEach(seg=>problem(seg,'segment outside a transaction set'))
+const firstUse={}
+group.transactions.forEach(({st,se,segments})=>{const controlNumber=st.element(2)
+if(firstUse[controlNumber]){problem(st,`ST02 ${controlNumber} is already used by the transaction set at segment ${firstUse[controlNumber]}`)}else{firstUse[controlNumber]=st.position}
+checkTrailer(problem,st,se,2,segments.length,'segments from ST to SE')})})})
+return{doc,problems:lodash.sortBy(problems,'position').map(p=>p.text)}}
+const sentTransactions=[]
+const tagFile=(doc)=>doc.interchanges.forEach(interchange=>{DataTags.add('Interchange Control Number',interchange.isa.element(13))
+interchange.groups.forEach(group=>{DataTags.add('Group Control Number',group.gs.element(6))
+DataTags.add('Sent Functional Group',[2,3,6].map(n=>group.gs.element(n).trim()).join('/'))
+sentTransactions.push(...group.transactions.map(({st})=>st.element(2)))})})
+const passed=[]
+const failed=[]
+sourceFiles.forEach(file=>{const result=checkFile(file)
+if(result===null){if(PASS_NON_X12_FILES){passed.push(file)}else{failed.push(file)
+userLog.error(`${file.file_name} failed envelope validation: no valid ISA segment found`)}}else if(result.problems.length){failed.push(file)
+userLog.error([`${file.file_name} failed envelope validation:`,...result.problems.map(p=>`  ${p}`)].join('\n'))}else{passed.push(file)
+tagFile(result.doc)
+userLog.info(`${file.file_name} passed envelope validation`)}})
+DataTags.addAll('Transaction Set Control Number',sentTransactions)
+DataTags.publish()
+if(failed.length>0){userLog.warning(`${failed.length} file(s) failed envelope validation and were held back, passing on ${passed.length} file(s)`)
+returnError(passed)}else if(passed.length===0){returnSkipped([])}else{returnSuccess(passed)}
@@ -2,6 +2,10 @@
  * This script will copy the port of discharge code and name to the port of destination
  * 
  * It assumes the input files will be CargoWise Universal Shipment XML.
+ *
+ * map_universal_shipment_fields.js does the same with a rule, for when you need more
+ * than one mapping. validate_universal_shipment.js can report or hold back shipments
+ * missing either port.
  */
 const handleFile = (file) => {
   // get the body
@@ -29,6 +33,8 @@ const handleFile = (file) => {
     const portOfDestinationName = xml.element(xmlDocument, '/UniversalShipment/Shipment/SubShipmentCollection/SubShipment/PortOfDestination/Name')
     portOfDestinationCode.setTextContent(code)
     portOfDestinationName.setTextContent(name)
+  } else {
+    userLog.warning(`${file.file_name} is missing its port of destination or port of discharge, leaving it unchanged`)
   }
 
   return {
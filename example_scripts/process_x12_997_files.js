@@ -1,19 +1,37 @@
 /**
- * Chain.io Pre-Processor for X12 997 EDI Acknowledgment Files
+ * Chain.io Pre-Processor for X12 997 and 999 EDI Acknowledgment Files
  *
  * Features:
- * - Dynamically parses delimiters from ISA segment (element, segment)
+ * - Parses the interchange with the shared X12 reader (shared/x12.js), which reads the
+ *   delimiters from the ISA segment, so any element separator or segment terminator works
  * - Extracts ISA13 (Interchange Control Number) and GS06 (Group Control Number) and publishes as data tags
  * - Checks AK9 (Functional Group Acknowledge Code):
  *     - If 'A' - records file as accepted
  *     - If !'A' - records file as not accepted
- * - Iterates AK2/AK3/AK4/AK5/AK9 loops, logs consolidated errors per transaction
- * - Publishes original GS06 value from Ack'ed EDI files as data tag
+ * - Iterates AK2/AK3/AK4/AK5/AK9 loops, logs consolidated errors per transaction, including
+ *   the transaction set (AK502-AK506) and functional group (AK905-AK909) error reasons
+ * - Reads 999 implementation acknowledgments the same way: IK3/IK4/IK5 take the place of
+ *   AK3/AK4/AK5 with the 999 code lists, and CTX context (such as the CLM01 business unit
+ *   identifier) is added to the segment or element error it follows. 999s publish the
+ *   same data tags and follow the same status rules as 997s
+ * - Publishes original GS06 value from Ack'ed EDI files as data tag. Tags go through
+ *   shared/data_tags.js, so a group acknowledged twice is tagged once
+ * - Logs through shared/log_buffer.js: on a big batch the per-transaction errors are kept
+ *   ahead of the info messages under the log size limits, and a summary with the counts
+ *   for each file closes the log
  * - Handles multiple files, robust error handling and logging
  * - If any files are not accepted, the execution status will be an error
  * - If all files are accepted, the execution status will be success
+ *
+ * EDIFACT partners acknowledge with CONTRL instead; see process_edifact_contrl_files.js.
+ * To match the acknowledgments to the groups we sent, see reconcile_x12_997_acks.js.
  */
 
+/**
+ * AK3/AK4/AK5/AK9 and IK3/IK4/IK5 code lists, shared with generate_x12_997_files.js so the errors we
+ * receive are described the same way as the errors we send.
+ */
+// ---- BEGIN shared/x12_codes.js (generated: edit shared/x12_codes.js, then run node tools/sync_shared.js) ----
 const AK3_ERROR_ENUM = {
   1: 'Unrecognized segment ID',
   2: 'Unexpected segment',
@@ -24,7 +42,6 @@ const AK3_ERROR_ENUM = {
   7: 'Segment not in proper sequence',
   8: 'Segment has data element errors'
 }
-
 const AK4_ERROR_ENUM = {
   1: 'Mandatory data element missing',
   2: 'Conditional required data element missing',
@@ -40,7 +57,6 @@ const AK4_ERROR_ENUM = {
   13: 'Too many components',
   16: 'Composite data structure contains excess trailing delimiters'
 }
-
 const AK5_CODE_ENUM = {
   A: 'Accepted',
   E: 'Accepted but errors were noted',
@@ -49,194 +65,387 @@ const AK5_CODE_ENUM = {
   W: 'Rejected, assurance failed validity tests',
   X: 'Rejected, content after decryption could not be analyzed'
 }
-
+const AK5_ERROR_ENUM = {
+  1: 'Transaction set not supported',
+  2: 'Transaction set trailer missing',
+  3: 'Transaction set control number in header and trailer do not match',
+  4: 'Number of included segments does not match actual count',
+  5: 'One or more segments in error',
+  6: 'Missing or invalid transaction set identifier',
+  7: 'Missing or invalid transaction set control number'
+}
 const AK9_CODE_ENUM = {
   A: 'Accepted',
   E: 'Accepted but errors were noted',
   P: 'Partially accepted',
   R: 'Rejected'
 }
-
-const parseDelimiters = (edi) => {
-  const elementSep = edi[3]
-  const subElementSep = edi[104]
-  let segmentTerminator = edi[105]
-  if (edi[106] === '\n' || edi[106] === '\r') {
-    segmentTerminator += edi[106]
-  }
-  return { elementSep, subElementSep, segmentTerminator }
+const AK9_ERROR_ENUM = {
+  1: 'Functional group not supported',
+  2: 'Functional group version not supported',
+  3: 'Functional group trailer missing',
+  4: 'Group control number in the functional group header and trailer do not agree',
+  5: 'Number of included transaction sets does not match actual count',
+  6: 'Group control number violates syntax'
 }
-
-const safeSplit = (str, sep, index) => {
-  const splitSegment = str ? str.split(sep) : []
-  if (index !== undefined) {
-    return splitSegment[index] || ''
-  }
-
-  return splitSegment
+const IK3_ERROR_ENUM = {
+  ...AK3_ERROR_ENUM,
+  I4: 'Implementation "Not Used" segment present',
+  I6: 'Implementation dependent segment missing',
+  I7: 'Implementation loop occurs under minimum times',
+  I8: 'Implementation segment below minimum use',
+  I9: 'Implementation dependent "Not Used" segment present'
+}
+const IK4_ERROR_ENUM = {
+  ...AK4_ERROR_ENUM,
+  I6: 'Code value not used in implementation',
+  I9: 'Implementation dependent data element missing',
+  I10: 'Implementation "Not Used" data element present',
+  I11: 'Implementation too few repetitions',
+  I12: 'Implementation pattern match failure',
+  I13: 'Implementation dependent "Not Used" data element present'
 }
+const IK5_ERROR_ENUM = {
+  ...AK5_ERROR_ENUM,
+  18: 'Transaction set not in functional group',
+  19: 'Invalid transaction set implementation convention reference',
+  23: 'Transaction set control number not unique within the functional group',
+  I5: 'Implementation one or more segments in error',
+  I6: 'Implementation convention not supported'
+}
+// ---- END shared/x12_codes.js ----
 
-const parse997File = (file) => {
-  try {
-    const body = file.body
+// ---- BEGIN shared/x12.js (generated: edit shared/x12.js, then run node tools/sync_shared.js) ----
+const X12 = (() => {
+  const parseDelimiters = (body, isaStart = body.indexOf('ISA')) => {
+    if (isaStart === -1) return null
+    const isa = body.slice(isaStart).split(body[isaStart + 3], 17)
+    if (isa.length < 17 || isa[16].length < 2) return null
+    return {
+      element: body[isaStart + 3],
+      component: isa[16][0],
+      repetition: isa[12] >= '00402' && /^[^\w\s]$/.test(isa[11]) ? isa[11] : null,
+      segment: isa[16][1],
+      lineEnding: isa[16].slice(2).match(/^[\r\n]*/)[0]
+    }
+  }
+  const makeSegment = (elements, delimiters, suffix = delimiters.lineEnding) => ({
+    id: elements[0],
+    elements,
+    suffix,
+    terminated: true,
+    element (n, component, repetition) {
+      let value = this.elements[n] || ''
+      if (repetition && delimiters.repetition) value = value.split(delimiters.repetition)[repetition - 1] || ''
+      return component ? value.split(delimiters.component)[component - 1] || '' : value
+    },
+    setElement (n, value, component) {
+      while (this.elements.length <= n) this.elements.push('')
+      if (component) {
+        const parts = this.elements[n].split(delimiters.component)
+        while (parts.length < component) parts.push('')
+        parts[component - 1] = value
+        value = parts.join(delimiters.component)
+      }
+      this.elements[n] = value
+    },
+    toString () {
+      return this.elements.join(delimiters.element)
+    }
+  })
+  const tokenize = (body) => {
     const isaStart = body.indexOf('ISA')
-    if (isaStart === -1) {
-      return { is997: false, file }
+    const delimiters = parseDelimiters(body, isaStart)
+    if (!delimiters) throw new Error('No valid ISA segment found')
+    const segments = []
+    body.slice(isaStart).split(delimiters.segment).forEach((chunk, idx, chunks) => {
+      const prev = segments[segments.length - 1]
+      const text = prev ? chunk.trimStart() : chunk
+      const last = idx === chunks.length - 1
+      if (prev) prev.suffix += chunk.slice(0, chunk.length - text.length) + (text || last ? '' : delimiters.segment)
+      if (!text) return
+      const segment = makeSegment(text.split(delimiters.element), delimiters, '')
+      segment.terminated = !last
+      segments.push(segment)
+    })
+    return { delimiters, prefix: body.slice(0, isaStart), segments }
+  }
+  const parse = (body) => {
+    const { delimiters, prefix, segments } = tokenize(body)
+    const doc = { delimiters, prefix, interchanges: [] }
+    let interchange = null
+    let group = null
+    let transaction = null
+    segments.forEach((seg, idx) => {
+      seg.position = idx + 1
+      const inside = (parent, what) => {
+        if (!parent) throw new Error(`${seg.id} segment at position ${idx + 1} is outside ${what}`)
+      }
+      if (seg.id !== 'ISA') inside(interchange, 'an interchange')
+      if (['GE', 'ST'].includes(seg.id)) inside(group, 'a functional group')
+      if (seg.id === 'ISA') {
+        interchange = { isa: seg, iea: null, extra: [], groups: [] }
+        doc.interchanges.push(interchange)
+        group = transaction = null
+      } else if (seg.id === 'IEA') {
+        interchange.iea = seg
+        interchange = group = transaction = null
+      } else if (seg.id === 'GS') {
+        group = { gs: seg, ge: null, extra: [], transactions: [] }
+        interchange.groups.push(group)
+        transaction = null
+      } else if (seg.id === 'GE') {
+        group.ge = seg
+        group = transaction = null
+      } else if (seg.id === 'ST') {
+        transaction = { st: seg, se: null, segments: [seg] }
+        group.transactions.push(transaction)
+      } else if (transaction) {
+        transaction.segments.push(seg)
+        if (seg.id === 'SE') {
+          transaction.se = seg
+          transaction = null
+        }
+      } else {
+        (group || interchange).extra.push(seg)
+      }
+    })
+    return doc
+  }
+  const transactions = (doc) => doc.interchanges.flatMap(interchange =>
+    interchange.groups.flatMap(group =>
+      group.transactions.map(transaction => ({ interchange, group, transaction }))))
+  return {
+    parseDelimiters,
+    parse,
+    transactions,
+    segment: (doc, elements) => makeSegment(elements, doc.delimiters)
+  }
+})()
+// ---- END shared/x12.js ----
+// ---- BEGIN shared/utf8.js (generated: edit shared/utf8.js, then run node tools/sync_shared.js) ----
+const Utf8 = (() => {
+  const byteLength = (text) => {
+    let bytes = 0
+    for (const char of text) {
+      const c = char.codePointAt(0)
+      bytes += c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4
     }
-    const isaSeg = body.substr(isaStart, 106)
-    const { elementSep, segmentTerminator } = parseDelimiters(isaSeg)
-
-    const rawSegments = body.split(segmentTerminator)
-      .filter(s => s.trim().length > 0)
-
-    const st01 = safeSplit(rawSegments.find(s => s.startsWith('ST')), elementSep, 1)
-
-    if (st01 !== '997') {
-      return { is997: false, file }
+    return bytes
+  }
+  const truncate = (text, maxBytes, marker = '') => {
+    if (byteLength(text) <= maxBytes) return text
+    let out = ''
+    let bytes = byteLength(marker)
+    for (const char of text) {
+      bytes += byteLength(char)
+      if (bytes > maxBytes) break
+      out += char
     }
+    return out + marker
+  }
+  return { byteLength, truncate }
+})()
+// ---- END shared/utf8.js ----
+// ---- BEGIN shared/log_buffer.js (generated: edit shared/log_buffer.js, then run node tools/sync_shared.js) ----
+const LogBuffer = (() => {
+  const TOTAL_BYTES = 100 * 1024
+  const LEVELS = ['error', 'warning', 'info']
+  const entries = []
+  const unique = {}
+  const byFile = {}
+  const cut = (text) => Utf8.truncate(text, 10 * 1024, '... [truncated]')
+  const add = (level) => (message, file) => {
+    const text = String(message)
+    const fileName = file?.file_name || file
+    entries.push({ level, text, fileName, time: DateTime.now().toISO() })
+    const key = `${level} ${text}`
+    unique[key] = unique[key] || { level, text, count: 0, order: entries.length }
+    unique[key].count++
+    if (fileName) lodash.update(byFile, [fileName, level], count => (count || 0) + 1)
+  }
+  const countsOf = (counts) => LEVELS.filter(level => counts[level]).map(level => `${counts[level]} ${level}`).join(', ')
+  const summarize = (omitted) => {
+    const repeats = entries.length - Object.keys(unique).length
+    const notes = [
+      repeats && `${repeats} repeated message(s) collapsed`,
+      omitted.length && `${countsOf(lodash.countBy(omitted, 'level'))} message(s) left out to stay under the log size limit`
+    ].filter(Boolean)
+    return cut([
+      `Log summary: ${countsOf(lodash.countBy(entries, 'level'))}${notes.length ? ` (${notes.join('; ')})` : ''}`,
+      ...Object.entries(byFile).map(([name, counts]) => `${name}: ${countsOf(counts)}`)
+    ].join('\n'))
+  }
+  const flush = () => {
+    if (!entries.length) return
+    const messages = Object.values(unique).map(entry =>
+      ({ ...entry, text: cut(entry.count > 1 ? `${entry.text} (logged ${entry.count} times)` : entry.text) }))
+    let room = TOTAL_BYTES - Utf8.byteLength(summarize(messages))
+    const [kept, omitted] = lodash.partition(lodash.sortBy(messages, entry => LEVELS.indexOf(entry.level), 'order'), entry => {
+      const bytes = Utf8.byteLength(entry.text)
+      if (bytes > room) return false
+      room -= bytes
+      return true
+    })
+    lodash.sortBy(kept, 'order').forEach(entry => userLog[entry.level](entry.text))
+    userLog.info(summarize(omitted))
+  }
+  return { info: add('info'), warning: add('warning'), error: add('error'), flush, entries }
+})()
+// ---- END shared/log_buffer.js ----
 
-    const isa13 = safeSplit(isaSeg, elementSep, 13)
-    const gs06 = safeSplit(rawSegments.find(s => s.startsWith('GS')), elementSep, 6)
-    publishDataTags([
-      { label: '997 Ack File Interchange Control Number', value: isa13 },
-      { label: '997 Ack File Group Control Number', value: gs06 }
-    ])
-
-    // Track current transaction and accumulate errors
-    let currentDocType = ''
-    let currentControlNumber = ''
-    let currentSegmentErrors = [] // Array of { segId, segPos, loopId, segError, elementErrors: [] }
-    let currentSegment = null
-    let overallStatus = 'A'
-
-    const flushTransaction = (ackCode) => {
-      if (!currentDocType) return
+// ---- BEGIN shared/data_tags.js (generated: edit shared/data_tags.js, then run node tools/sync_shared.js) ----
+const DataTags = (() => {
+  const MAX_TAGS = 100
+  const queued = []
+  let published = 0
+  const add = (label, value, { priority = 0 } = {}) => {
+    if ([label, value].some(text => text === undefined || text === null || String(text).trim() === '')) {
+      userLog.warning(`Data tag "${label}" has no label or value and is not published`)
+      return false
+    }
+    const tag = { label: Utf8.truncate(String(label), 50), value: Utf8.truncate(String(value), 255) }
+    if (tag.label !== String(label) || tag.value !== String(value)) userLog.warning(`Data tag "${tag.label}" was cut to fit the byte limits`)
+    if (lodash.some(queued, tag)) return false
+    queued.push({ ...tag, priority })
+    return true
+  }
+  const publish = () => {
+    const sorted = lodash.sortBy(queued, tag => -tag.priority)
+    const room = Math.max(MAX_TAGS - published, 0)
+    const kept = sorted.slice(0, room).map(({ label, value }) => ({ label, value }))
+    if (sorted.length > room) {
+      const left = lodash.uniq(sorted.slice(room).map(tag => tag.label)).join(', ')
+      userLog.warning(`${sorted.length - room} data tag(s) over the ${MAX_TAGS} tag limit were not published: ${left}`)
+    }
+    if (kept.length) publishDataTags(kept)
+    published += kept.length
+    queued.length = 0
+    return kept
+  }
+  return { add, publish, room: () => MAX_TAGS - published - queued.length }
+})()
+// ---- END shared/data_tags.js ----
 
-      const ackDesc = AK5_CODE_ENUM[ackCode] || ackCode
-      let message = `Transaction ${currentDocType} #${currentControlNumber}: ${ackDesc}`
+// Error code lists for the segment, element and transaction set responses of 997s and 999s
+const RESPONSE_CODES = {
+  AK3: AK3_ERROR_ENUM,
+  AK4: AK4_ERROR_ENUM,
+  AK5: AK5_ERROR_ENUM,
+  IK3: IK3_ERROR_ENUM,
+  IK4: IK4_ERROR_ENUM,
+  IK5: IK5_ERROR_ENUM
+}
 
-      if (currentSegmentErrors.length > 0) {
-        message += '\n'
-        currentSegmentErrors.forEach((segErr, idx) => {
-          const loopInfo = segErr.loopId ? ` (loop ${segErr.loopId})` : ''
-          message += `  Segment ${segErr.segId} at position ${segErr.segPos}${loopInfo}: ${segErr.segError}`
-          if (segErr.elementErrors.length > 0) {
-            segErr.elementErrors.forEach(elemErr => {
-              message += `\n    Element ${elemErr.pos}: ${elemErr.error}${elemErr.value ? ` [value: "${elemErr.value}"]` : ''}`
-            })
-          }
-          if (idx < currentSegmentErrors.length - 1) message += '\n'
-        })
-      }
+const describeCode = (codes, code) => codes[code] || `Error code ${code}`
 
-      if (ackCode === 'R') {
-        userLog.error(message)
-      } else {
-        userLog.info(message)
-      }
+// Describes the syntax error codes in elements `from` to `to`: AK502-AK506 or AK905-AK909
+const describeErrors = (seg, from, to, codes) => {
+  const reasons = seg.elements.slice(from, to + 1).filter(code => code).map(code => describeCode(codes, code))
+  return reasons.length ? ` (${reasons.join('; ')})` : ''
+}
 
-      // Reset for next transaction
-      currentDocType = ''
-      currentControlNumber = ''
-      currentSegmentErrors = []
-      currentSegment = null
-    }
+/**
+ * Describes a 999 CTX segment, e.g. "CLM01=12345" for a business unit identifier or
+ * "SITUATIONAL TRIGGER (NM1 at position 5)" for a segment context.
+ */
+const describeContext = (seg) => {
+  const ref = seg.element(1, 2)
+  const at = seg.element(2) ? ` (${seg.element(2)} at position ${seg.element(3)})` : ''
+  return `${seg.element(1, 1)}${ref ? `=${ref}` : ''}${at}`
+}
 
-    let ak102
-    for (const seg of rawSegments) {
-      if (seg.startsWith('AK1')) {
-        const elements = safeSplit(seg, elementSep)
-        ak102 = elements[2] || ''
-        publishDataTags([
-          { label: '997 Acked Group Control Number', value: ak102 }
-        ])
-      } else if (seg.startsWith('AK2')) {
-        const elements = safeSplit(seg, elementSep)
-        currentDocType = elements[1] || ''
-        currentControlNumber = elements[2] || ''
-        currentSegmentErrors = []
-        currentSegment = null
-      } else if (seg.startsWith('AK3')) {
-        const elements = safeSplit(seg, elementSep)
-        const segId = elements[1] || ''
-        const segPos = elements[2] || ''
-        const loopId = elements[3] || ''
-        const errorCode = elements[4] || ''
-        const errorDesc = AK3_ERROR_ENUM[errorCode] || `Error code ${errorCode}`
+/**
+ * Logs the acknowledgments in a file and queues its data tags.
+ *
+ * @param {object} file - The source file
+ * @returns {string|null} - The AK901 of the first group not accepted, 'A' when every group
+ *   was, or null when the file holds no 997 or 999
+ */
+const parseAckFile = (file) => {
+  if (!X12.parseDelimiters(file.body)) return null
+  const acks = X12.transactions(X12.parse(file.body))
+    .filter(({ transaction }) => ['997', '999'].includes(transaction.st.element(1)))
+  if (!acks.length) return null
 
-        currentSegment = {
-          segId,
-          segPos,
-          loopId,
-          segError: errorDesc,
-          elementErrors: []
-        }
-        currentSegmentErrors.push(currentSegment)
-      } else if (seg.startsWith('AK4')) {
-        const elements = safeSplit(seg, elementSep)
-        const elementPos = elements[1] || ''
-        const elementRef = elements[2] || ''
-        const errorCode = elements[3] || ''
-        const badValue = elements[4] || ''
-        const errorDesc = AK4_ERROR_ENUM[errorCode] || `Error code ${errorCode}`
+  const { interchange, group } = acks[0]
+  DataTags.add('997 Ack File Interchange Control Number', interchange.isa.element(13))
+  DataTags.add('997 Ack File Group Control Number', group.gs.element(6))
 
-        if (currentSegment) {
-          currentSegment.elementErrors.push({
-            pos: elementRef || elementPos,
-            error: errorDesc,
-            value: badValue
-          })
-        }
-      } else if (seg.startsWith('AK5')) {
-        const elements = safeSplit(seg, elementSep)
-        const ackCode = elements[1] || ''
-        flushTransaction(ackCode)
-      } else if (seg.startsWith('AK9')) {
-        const elements = safeSplit(seg, elementSep)
-        const ak901 = elements[1] || ''
-        const ackDesc = AK9_CODE_ENUM[ak901] || ak901
-        const received = elements[3] || '0'
-        const accepted = elements[4] || '0'
-        userLog.info(`Functional Group Result for ${ak102}: ${ackDesc} - ${accepted}/${received} transactions accepted`)
+  // The lines logged for the transaction being acknowledged, one per segment and element
+  // error after its heading, and the CTX context of the last of them
+  let lines = null
+  let context = []
+  const endLine = () => {
+    if (context.length) lines[lines.length - 1] += ` {${context.join('; ')}}`
+    context = []
+  }
 
-        if (ak901?.toUpperCase() !== 'A' && overallStatus === 'A') {
-          overallStatus = ak901
-          userLog.error(`997 acknowledging Group Control Number ${ak102} Not Accepted (AK901=${ak901}) in file ${file.file_name}`)
-        } else {
-          userLog.info(`997 acknowledging Group Control Number ${ak102} ${ackDesc} (AK901=${ak901}) in file ${file.file_name}.`)
-        }
+  let overallStatus = 'A'
+  let ak102
+  acks.forEach(({ transaction }) => transaction.segments.forEach(seg => {
+    // 999s use IK3/IK4/IK5 where 997s use AK3/AK4/AK5
+    const codes = RESPONSE_CODES[seg.id]
+    if (seg.id === 'AK1') {
+      ak102 = seg.element(2)
+      DataTags.add('997 Acked Group Control Number', ak102)
+    } else if (seg.id === 'AK2') {
+      lines = [`Transaction ${seg.element(1)} #${seg.element(2)}`]
+      context = []
+    } else if (/^[AI]K3$/.test(seg.id) && lines) {
+      endLine()
+      const loop = seg.element(3) ? ` (loop ${seg.element(3)})` : ''
+      lines.push(`  Segment ${seg.element(1)} at position ${seg.element(2)}${loop}: ${describeCode(codes, seg.element(4))}`)
+    } else if (/^[AI]K4$/.test(seg.id) && lines?.length > 1) {
+      endLine()
+      const value = seg.element(4) ? ` [value: "${seg.element(4)}"]` : ''
+      lines.push(`    Element ${seg.element(2) || seg.element(1)}: ${describeCode(codes, seg.element(3))}${value}`)
+    } else if (seg.id === 'CTX' && lines?.length > 1) {
+      context.push(describeContext(seg))
+    } else if (/^[AI]K5$/.test(seg.id) && lines) {
+      endLine()
+      const ackCode = seg.element(1)
+      lines[0] += `: ${AK5_CODE_ENUM[ackCode] || ackCode}${describeErrors(seg, 2, 6, codes)}`
+      LogBuffer[ackCode === 'R' ? 'error' : 'info'](lines.join('\n'), file)
+      lines = null
+    } else if (seg.id === 'AK9') {
+      const ak901 = seg.element(1)
+      const ackDesc = AK9_CODE_ENUM[ak901] || ak901
+      const ackType = transaction.st.element(1)
+      LogBuffer.info(`Functional Group Result for ${ak102}: ${ackDesc} - ${seg.element(4) || '0'}/${seg.element(3) || '0'} transactions accepted${describeErrors(seg, 5, 9, AK9_ERROR_ENUM)}`, file)
+      if (ak901?.toUpperCase() !== 'A' && overallStatus === 'A') {
+        overallStatus = ak901
+        LogBuffer.error(`${ackType} acknowledging Group Control Number ${ak102} Not Accepted (AK901=${ak901}) in file ${file.file_name}`, file)
+      } else {
+        LogBuffer.info(`${ackType} acknowledging Group Control Number ${ak102} ${ackDesc} (AK901=${ak901}) in file ${file.file_name}.`, file)
       }
     }
-
-    return { is997: true, file, status: overallStatus }
-  } catch (err) {
-    userLog.error(`Error processing file ${file.file_name}: ${err.message}`)
-    return { is997: false, file }
-  }
+  }))
+  return overallStatus
 }
 
-const payload = []
 const accepted = []
 const rejected = []
-for (const sourceFile of sourceFiles) {
-  const result = parse997File(sourceFile)
-  if (result.is997 && result.file) {
-    payload.push(result.file)
-    if (result.status === 'A') {
-      accepted.push(result.file)
-    } else {
-      rejected.push(result.file)
-    }
+sourceFiles.forEach(file => {
+  try {
+    const status = parseAckFile(file)
+    if (status) (status === 'A' ? accepted : rejected).push(file)
+  } catch (err) {
+    LogBuffer.error(`Error processing file ${file.file_name}: ${err.message}`, file)
   }
-}
+})
+
+// a group acknowledged twice is tagged once
+DataTags.publish()
+LogBuffer.flush()
 
-if (payload.length === 0) {
-  // No 997's found
+if (accepted.length + rejected.length === 0) {
+  // No 997's or 999's found
   returnSkipped([])
 } else if (rejected.length > 0) {
-  // Found some 997's that were not accepted
+  // Found some acknowledgments that were not accepted
   returnError(rejected)
 } else {
-  // All 997's were accepted
+  // All acknowledgments were accepted
   returnSuccess(accepted)
 }
@@ -0,0 +1,431 @@
+/**
+ * Chain.io Processor that reconciles received X12 997/999 acknowledgments with the functional
+ * groups we sent, and reports the groups that are missing an ack or were not fully accepted
+ *
+ * Features:
+ * - Runs on the flow that receives the acknowledgments, next to process_x12_997_files.js.
+ *   Reads AK1 (group), AK2 with AK5/IK5 (transaction sets) and AK9 (group result) from each
+ *   source file with the shared X12 reader (shared/x12.js)
+ * - Identifies a group by its sender, receiver and control number, GS02/GS03/GS06, so
+ *   partners that number their groups alike are kept apart. An ack's group is the AK102
+ *   under the ack's own GS03/GS02, as the partner acknowledges to us what we sent to it
+ * - Finds the groups we sent with one executionSearchByIntegration over the outbound
+ *   integration since LOOKBACK, from the 'Sent Functional Group' and 'Transaction Set
+ *   Control Number' tags its executions published. validate_x12_envelopes.js publishes
+ *   them on the outbound flow
+ * - Looks up each ack whose group is not in that window by dataTag within MATCH_WINDOW,
+ *   one search per group while the budget lasts
+ * - Tags the groups acknowledged in this execution as 'Acked Functional Group', and finds
+ *   the groups acknowledged by earlier executions of this flow from those tags
+ * - Searches through shared/execution_history.js, which keeps to the 10 searches per
+ *   execution, and logs a warning when results were left unread
+ * - Gives each group one status:
+ *     - accepted, accepted with errors, partially accepted or rejected, from the AK9 of an
+ *       ack received in this execution
+ *     - acknowledged earlier, when an earlier execution of this flow received its ack
+ *     - pending (no ack yet, still within ACK_SLA) or missing (no ack after ACK_SLA)
+ *     - unmatched, for an ack whose group we cannot find in the outbound history
+ * - Lists the rejected transaction sets of each group, with their AK501/IK501 code
+ * - Matches the AK2s of each acknowledged group to the ST02 values its outbound execution
+ *   tagged, and flags the AK2s that match no ST02 it sent (unknown_transaction_sets) and,
+ *   once every group of that execution has its ack here, the ST02s no ack lists
+ *   (unacknowledged_transaction_sets). The ST02 tags cover the whole execution, so the
+ *   check is skipped when they were rolled up into one summary tag
+ * - Returns the report as a CSV or JSON file (REPORT_FORMAT). The groups to chase are tagged
+ *   ahead of the acknowledged ones, up to the 100 tag limit, and the report marks the groups
+ *   over it as untagged. shared/data_tags.js would take the packed copy of this script
+ *   (packed/reconcile_x12_997_acks.js) past the 10,000 character limit, so it caps its own
+ *   tags; group values are GS02/GS03/GS06 and fit the byte limits
+ * - The status is an error when any group is missing, partially accepted, rejected,
+ *   unmatched or has unknown or unacknowledged transaction sets, or an ack could not be read
+ * - Returns Skipped when there is nothing to reconcile
+ */
+(async () => {
+  // The integration of the outbound EDI flow (the segment after /tp/ in its execution URL),
+  // and optionally the one flow of it to reconcile
+  const OUTBOUND_INTEGRATION_ID = '00000000-0000-0000-0000-000000000000'
+  const OUTBOUND_FLOW_ID = null
+
+  // This flow's integration, to find the acks earlier executions received; null to count
+  // only the acks in this execution
+  const ACK_INTEGRATION_ID = '00000000-0000-0000-0000-000000000001'
+
+  // Groups sent within LOOKBACK are reconciled; they are missing once ACK_SLA passed
+  // without an ack. Acks for groups sent before LOOKBACK are matched within MATCH_WINDOW
+  const LOOKBACK = { days: 7 }
+  const ACK_SLA = { hours: 24 }
+  const MATCH_WINDOW = { days: 30 }
+
+  // Outbound executions with these statuses sent their groups. validate_x12_envelopes.js
+  // flags an execution that held files back as an error, but still sends the files that
+  // passed and tags only those
+  const SENT_STATUSES = ['success', 'error']
+
+  // Data tag labels of the groups the outbound flow sent and this flow acknowledged
+  const GROUP_LABEL = 'Sent Functional Group'
+  const TRANSACTION_LABEL = 'Transaction Set Control Number'
+  const ACKED_GROUP_LABEL = 'Acked Functional Group'
+
+  // The platform keeps the first 100 tags of an execution; the groups to chase are tagged
+  // first, and the report marks the groups left untagged
+  const MAX_TAGS = 100
+
+  // Search pages for the outbound window and the earlier acks; the rest of the 10 searches
+  // are left for the dataTag lookups
+  const OUTBOUND_PAGES = 4
+  const ACK_PAGES = 3
+
+  const REPORT_FORMAT = 'csv' // 'csv' or 'json'
+  const PASS_SOURCE_FILES = false // also return the source files after the report
+
+  // ---- BEGIN shared/x12.js (generated: edit shared/x12.js, then run node tools/sync_shared.js) ----
+  const X12 = (() => {
+    const parseDelimiters = (body, isaStart = body.indexOf('ISA')) => {
+      if (isaStart === -1) return null
+      const isa = body.slice(isaStart).split(body[isaStart + 3], 17)
+      if (isa.length < 17 || isa[16].length < 2) return null
+      return {
+        element: body[isaStart + 3],
+        component: isa[16][0],
+        repetition: isa[12] >= '00402' && /^[^\w\s]$/.test(isa[11]) ? isa[11] : null,
+        segment: isa[16][1],
+        lineEnding: isa[16].slice(2).match(/^[\r\n]*/)[0]
+      }
+    }
+    const makeSegment = (elements, delimiters, suffix = delimiters.lineEnding) => ({
+      id: elements[0],
+      elements,
+      suffix,
+      terminated: true,
+      element (n, component, repetition) {
+        let value = this.elements[n] || ''
+        if (repetition && delimiters.repetition) value = value.split(delimiters.repetition)[repetition - 1] || ''
+        return component ? value.split(delimiters.component)[component - 1] || '' : value
+      },
+      setElement (n, value, component) {
+        while (this.elements.length <= n) this.elements.push('')
+        if (component) {
+          const parts = this.elements[n].split(delimiters.component)
+          while (parts.length < component) parts.push('')
+          parts[component - 1] = value
+          value = parts.join(delimiters.component)
+        }
+        this.elements[n] = value
+      },
+      toString () {
+        return this.elements.join(delimiters.element)
+      }
+    })
+    const tokenize = (body) => {
+      const isaStart = body.indexOf('ISA')
+      const delimiters = parseDelimiters(body, isaStart)
+      if (!delimiters) throw new Error('No valid ISA segment found')
+      const segments = []
+      body.slice(isaStart).split(delimiters.segment).forEach((chunk, idx, chunks) => {
+        const prev = segments[segments.length - 1]
+        const text = prev ? chunk.trimStart() : chunk
+        const last = idx === chunks.length - 1
+        if (prev) prev.suffix += chunk.slice(0, chunk.length - text.length) + (text || last ? '' : delimiters.segment)
+        if (!text) return
+        const segment = makeSegment(text.split(delimiters.element), delimiters, '')
+        segment.terminated = !last
+        segments.push(segment)
+      })
+      return { delimiters, prefix: body.slice(0, isaStart), segments }
+    }
+    const parse = (body) => {
+      const { delimiters, prefix, segments } = tokenize(body)
+      const doc = { delimiters, prefix, interchanges: [] }
+      let interchange = null
+      let group = null
+      let transaction = null
+      segments.forEach((seg, idx) => {
+        seg.position = idx + 1
+        const inside = (parent, what) => {
+          if (!parent) throw new Error(`${seg.id} segment at position ${idx + 1} is outside ${what}`)
+        }
+        if (seg.id !== 'ISA') inside(interchange, 'an interchange')
+        if (['GE', 'ST'].includes(seg.id)) inside(group, 'a functional group')
+        if (seg.id === 'ISA') {
+          interchange = { isa: seg, iea: null, extra: [], groups: [] }
+          doc.interchanges.push(interchange)
+          group = transaction = null
+        } else if (seg.id === 'IEA') {
+          interchange.iea = seg
+          interchange = group = transaction = null
+        } else if (seg.id === 'GS') {
+          group = { gs: seg, ge: null, extra: [], transactions: [] }
+          interchange.groups.push(group)
+          transaction = null
+        } else if (seg.id === 'GE') {
+          group.ge = seg
+          group = transaction = null
+        } else if (seg.id === 'ST') {
+          transaction = { st: seg, se: null, segments: [seg] }
+          group.transactions.push(transaction)
+        } else if (transaction) {
+          transaction.segments.push(seg)
+          if (seg.id === 'SE') {
+            transaction.se = seg
+            transaction = null
+          }
+        } else {
+          (group || interchange).extra.push(seg)
+        }
+      })
+      return doc
+    }
+    const transactions = (doc) => doc.interchanges.flatMap(interchange =>
+      interchange.groups.flatMap(group =>
+        group.transactions.map(transaction => ({ interchange, group, transaction }))))
+    return {
+      parseDelimiters,
+      parse,
+      transactions,
+      segment: (doc, elements) => makeSegment(elements, doc.delimiters)
+    }
+  })()
+  // ---- END shared/x12.js ----
+  // ---- BEGIN shared/execution_history.js (generated: edit shared/execution_history.js, then run node tools/sync_shared.js) ----
+  const ExecutionHistory = (() => {
+    const CALL_LIMIT = 10
+    const started = Date.now()
+    const settings = { timeBudgetMs: 45 * 1000 }
+    const calls = { executionSearchByIntegration: 0, listExecutionFiles: 0, getExecutionFile: 0 }
+    const cache = {}
+    const canCall = (name) => calls[name] < CALL_LIMIT && Date.now() - started < settings.timeBudgetMs
+    const call = (name, fn, ...args) => {
+      const key = `${name}:${JSON.stringify(args)}`
+      if (cache[key]) return cache[key]
+      if (!canCall(name)) return Promise.resolve(null)
+      calls[name]++
+      cache[key] = fn(...args)
+      cache[key].catch(() => delete cache[key])
+      return cache[key]
+    }
+    const matcher = (pattern) => {
+      if (typeof pattern === 'function') return pattern
+      if (pattern instanceof RegExp) return (name) => pattern.test(name)
+      return (name) => name === pattern
+    }
+    const search = async (integrationId, args = {}, { maxPages = CALL_LIMIT, maxResults = Infinity } = {}) => {
+      const data = []
+      let cursor
+      for (let page = 0; page < maxPages; page++) {
+        const results = await call('executionSearchByIntegration', executionSearchByIntegration,
+          integrationId, cursor ? { ...args, cursor } : args)
+        if (!results) return { data, partial: true }
+        data.push(...results.data)
+        if (data.length >= maxResults) return { data: data.slice(0, maxResults), partial: results.hasMoreRecords || data.length > maxResults }
+        if (!results.hasMoreRecords) return { data, partial: false }
+        cursor = results.cursor
+      }
+      return { data, partial: true }
+    }
+    const listFiles = (invocationId) => call('listExecutionFiles', listExecutionFiles, invocationId)
+    const getFile = (meta) => call('getExecutionFile', getExecutionFile,
+      { invocationId: meta.invocation_id, fileId: meta.file_id })
+    const newestFile = async (integrationId, { pattern = () => true, executions = CALL_LIMIT, search: args = {} } = {}) => {
+      const matches = matcher(pattern)
+      const found = await search(integrationId, args, { maxResults: executions })
+      let best = null
+      let partial = found.partial && found.data.length < executions
+      for (const execution of found.data) {
+        if (best && execution.ended_date && execution.ended_date < best.file.created_time) break
+        const files = await listFiles(execution.invocation_id)
+        if (!files) {
+          partial = true
+          break
+        }
+        files.filter(meta => matches(meta.file_name)).forEach(meta => {
+          if (!best || meta.created_time > best.file.created_time) best = { file: meta, execution }
+        })
+      }
+      return { file: best?.file || null, execution: best?.execution || null, partial }
+    }
+    return {
+      search,
+      listFiles,
+      getFile,
+      newestFile,
+      remaining: () => lodash.mapValues(calls, count => CALL_LIMIT - count),
+      configure: (options) => Object.assign(settings, options)
+    }
+  })()
+  // ---- END shared/execution_history.js ----
+
+  // AK901 codes; any other code rejected the group
+  const ACK_STATUSES = { A: 'accepted', E: 'accepted with errors', P: 'partially accepted' }
+  const FLAGGED = ['missing', 'partially accepted', 'rejected', 'unmatched']
+  // functional_group is GS02/GS03/GS06 of the group we sent
+  const COLUMNS = ['functional_group', 'functional_id', 'status', 'sent_at', 'outbound_execution', 'ack_file',
+    'ack_code', 'hours_outstanding', 'rejected_transaction_sets', 'unknown_transaction_sets',
+    'unacknowledged_transaction_sets', 'untagged']
+  // the summary tag validate_x12_envelopes.js publishes when the ST02 values do not fit
+  const ROLLED_UP = /^\d+ values: /
+
+  const now = DateTime.now()
+  const since = (duration) => now.minus(duration).toISO()
+  const groupKey = (...ids) => ids.map(id => id.trim()).join('/')
+  const tagValues = (execution, label) => (execution.data_tags || []).filter(tag => tag.label === label).map(tag => tag.value)
+
+  /**
+   * Reads the groups a 997 or 999 acknowledges.
+   *
+   * @param {object} file - The source file
+   * @returns {Array<object>} - { group, functionalId, code, transactions: [{ controlNumber, code }], file }
+   */
+  const readAcks = (file) => {
+    const acks = []
+    X12.transactions(X12.parse(file.body)).forEach(({ group, transaction }) => {
+      if (!['997', '999'].includes(transaction.st.element(1))) return
+      let ack, current
+      transaction.segments.forEach(seg => {
+        if (seg.id === 'AK1') {
+          ack = { group: groupKey(group.gs.element(3), group.gs.element(2), seg.element(2)), functionalId: seg.element(1), code: '', transactions: [], file: file.file_name }
+          acks.push(ack)
+        } else if (ack && seg.id === 'AK2') {
+          current = { controlNumber: seg.element(2), code: '' }
+          ack.transactions.push(current)
+        } else if (current && ['AK5', 'IK5'].includes(seg.id)) {
+          current.code = seg.element(1)
+        } else if (ack && seg.id === 'AK9') {
+          ack.code = seg.element(1)
+        }
+      })
+    })
+    return acks
+  }
+
+  const sent = {} // GS02/GS03/GS06 -> the execution that sent it last
+  const addSends = (executions) => executions.filter(execution => SENT_STATUSES.includes(execution.status)).forEach(execution => {
+    // results come newest first
+    tagValues(execution, GROUP_LABEL).forEach(group => { sent[group] = sent[group] || execution })
+  })
+
+  // partial means records were left unread
+  const search = (integrationId, args, maxPages) => ExecutionHistory.search(integrationId, args, { maxPages })
+  const searchOutbound = (args, pages) => search(OUTBOUND_INTEGRATION_ID, OUTBOUND_FLOW_ID ? { ...args, flow_id: OUTBOUND_FLOW_ID } : args, pages)
+
+  const acks = []
+  let unreadable = 0
+  sourceFiles.forEach(file => {
+    try {
+      const found = readAcks(file)
+      if (!found.length) throw new Error('no 997 or 999 acknowledgment found')
+      acks.push(...found)
+    } catch (err) {
+      unreadable++
+      userLog.error(`Could not read ${file.file_name}: ${err.message}`)
+    }
+  })
+  // a later ack for the same group replaces an earlier one
+  const acksByGroup = lodash.keyBy(acks, 'group')
+
+  const ackedEarlier = new Set()
+  try {
+    const outbound = await searchOutbound({ startDateAfter: since(LOOKBACK) }, OUTBOUND_PAGES)
+    if (outbound.partial) userLog.warning(`The search budget ran out after ${outbound.data.length} outbound execution(s); older groups are not reconciled`)
+    addSends(outbound.data)
+
+    if (ACK_INTEGRATION_ID) {
+      const earlier = await search(ACK_INTEGRATION_ID, { startDateAfter: since(LOOKBACK) }, ACK_PAGES)
+      if (earlier.partial) userLog.warning(`The search budget ran out after ${earlier.data.length} earlier ack execution(s); groups they did not cover may show as missing`)
+      earlier.data.forEach(execution => tagValues(execution, ACKED_GROUP_LABEL).forEach(group => ackedEarlier.add(group)))
+    }
+
+    for (const group of Object.keys(acksByGroup).filter(group => !sent[group])) {
+      const found = await searchOutbound({ dataTag: group, startDateAfter: since(MATCH_WINDOW) }, 1)
+      if (found.partial && !found.data.length) {
+        userLog.warning('The search budget ran out before every ack was looked up; the rest are reported as unmatched')
+        break
+      }
+      // the dataTag search matches a value under any label
+      addSends(found.data.filter(execution => tagValues(execution, GROUP_LABEL).includes(group)))
+    }
+  } catch (err) {
+    userLog.error(`Execution search failed: ${err.message}`)
+    return returnError([])
+  }
+
+  // ST02 values an outbound execution sent, or null when they cannot be matched
+  const sentTransactions = (execution) => {
+    const values = tagValues(execution, TRANSACTION_LABEL)
+    return values.length && !values.some(value => ROLLED_UP.test(value)) ? values : null
+  }
+  // the ST02 values no ack lists, once every group the execution sent has its ack here
+  const unacknowledged = (execution, transactions) => {
+    const groupAcks = tagValues(execution, GROUP_LABEL).map(group => acksByGroup[group])
+    if (groupAcks.some(ack => !ack)) return []
+    const acked = groupAcks.flatMap(ack => ack.transactions.map(t => t.controlNumber))
+    return transactions.filter(controlNumber => !acked.includes(controlNumber))
+  }
+
+  const row = (fields) => ({ ...lodash.mapValues(lodash.keyBy(COLUMNS), () => ''), ...fields })
+  const rows = Object.entries(sent).map(([group, execution]) => {
+    const ack = acksByGroup[group]
+    const sentAt = DateTime.fromISO(execution.start_date)
+    const fields = { functional_group: group, sent_at: execution.start_date, outbound_execution: execution.invocation_id }
+    if (!ack) {
+      if (ackedEarlier.has(group)) return row({ ...fields, status: 'acknowledged earlier' })
+      const status = sentAt.plus(ACK_SLA) < now ? 'missing' : 'pending'
+      return row({ ...fields, status, hours_outstanding: Math.floor(now.diff(sentAt, 'hours').hours) })
+    }
+    return row({
+      ...fields,
+      functional_id: ack.functionalId,
+      status: ACK_STATUSES[ack.code] || 'rejected',
+      ack_file: ack.file,
+      ack_code: ack.code,
+      rejected_transaction_sets: ack.transactions.filter(t => !['A', 'E'].includes(t.code)).map(t => `${t.controlNumber} (${t.code || 'no AK5'})`).join(' '),
+      ...(transactions => transactions && {
+        unknown_transaction_sets: ack.transactions.map(t => t.controlNumber).filter(controlNumber => !transactions.includes(controlNumber)).join(' '),
+        unacknowledged_transaction_sets: unacknowledged(execution, transactions).join(' ')
+      })(sentTransactions(execution))
+    })
+  })
+  acks.filter(ack => !sent[ack.group] && acksByGroup[ack.group] === ack).forEach(ack => rows.push(row({
+    functional_group: ack.group, functional_id: ack.functionalId, status: 'unmatched', ack_file: ack.file, ack_code: ack.code
+  })))
+
+  if (!rows.length && !unreadable) {
+    userLog.info('No outbound groups or acknowledgments to reconcile')
+    return returnSkipped([])
+  }
+
+  userLog.info(`Reconciled ${rows.length} group(s): ${Object.entries(lodash.countBy(rows, 'status')).map(([status, count]) => `${count} ${status}`).join(', ')}`)
+  const isFlagged = (r) => FLAGGED.includes(r.status) || r.unknown_transaction_sets || r.unacknowledged_transaction_sets
+  const flagged = rows.filter(isFlagged)
+  flagged.forEach(r => userLog.warning(`Group ${r.functional_group} is ${r.status}${[
+    ['rejected', r.rejected_transaction_sets], ['unknown', r.unknown_transaction_sets], ['unacknowledged', r.unacknowledged_transaction_sets]
+  ].filter(([, sets]) => sets).map(([kind, sets]) => `; ${kind} transaction sets: ${sets}`).join('')}`))
+
+  // the groups to chase first; acknowledged groups left untagged may show as missing later
+  const tagLabel = (r) => FLAGGED.includes(r.status)
+    ? `${r.status === 'partially accepted' ? 'Rejected' : lodash.upperFirst(r.status)} Ack Functional Group`
+    : 'Transaction Set Mismatch Functional Group'
+  const tags = [
+    ...flagged.map(r => ({ label: tagLabel(r), value: r.functional_group })),
+    ...Object.keys(acksByGroup).map(group => ({ label: ACKED_GROUP_LABEL, value: group }))
+  ]
+  if (tags.length > MAX_TAGS) {
+    userLog.warning(`Published ${MAX_TAGS} of ${tags.length} group tags; the report marks the groups left untagged`)
+    const untagged = tags.slice(MAX_TAGS).map(tag => tag.value)
+    rows.forEach(r => { if (untagged.includes(r.functional_group)) r.untagged = 'yes' })
+  }
+  if (tags.length) publishDataTags(tags.slice(0, MAX_TAGS))
+
+  const output = [{
+    uuid: uuid(),
+    type: 'file',
+    file_name: `997_reconciliation_${now.toFormat('yyyyLLdd_HHmmss')}.${REPORT_FORMAT}`,
+    format: REPORT_FORMAT,
+    mime_type: REPORT_FORMAT === 'json' ? 'application/json' : 'text/csv',
+    body: ((report) => REPORT_FORMAT === 'json'
+      ? JSON.stringify(report, null, 2)
+      : XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(report, { header: COLUMNS })) + '\n'
+    )(lodash.sortBy(rows, r => !isFlagged(r), 'sent_at'))
+  }, ...(PASS_SOURCE_FILES ? sourceFiles : [])]
+
+  return flagged.length || unreadable ? returnError(output) : returnSuccess(output)
+})()
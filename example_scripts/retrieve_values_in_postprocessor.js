@@ -1,15 +1,92 @@
+/**
+ * Chain.io Post-Processor for retrieving the values store_values_in_preprocessor.js saved
+ * in executionContext
+ *
+ * Features:
+ * - Find the values stored for each file by the file, or else by its order number
+ * - Log them, and rename the file after the stored order reference
+ * - Files the pre-processor stored nothing for keep their name, with a warning
+ */
+
+// ---- BEGIN shared/execution_context.js (generated: edit shared/execution_context.js, then run node tools/sync_shared.js) ----
+const ExecutionContext = (() => {
+  const keyOf = (key) => typeof key === 'object' && key !== null ? `uuid:${key.uuid}` : String(key)
+  const describe = (key) => lodash.castArray(key).map(keyOf).join(' / ')
+  const unserializable = (value, path) => {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') return null
+    if (typeof value === 'number') return Number.isFinite(value) ? null : path
+    if (Array.isArray(value)) return value.reduce((found, v, i) => found || unserializable(v, `${path}[${i}]`), null)
+    if (lodash.isPlainObject(value)) {
+      return Object.keys(value).reduce((found, k) => found || unserializable(value[k], `${path}.${k}`), null)
+    }
+    return path
+  }
+  const namespace = (name, { maxBytes = 100 * 1024 } = {}) => {
+    if (executionContext[name] === undefined) executionContext[name] = { entries: {}, aliases: {} }
+    const space = executionContext[name]
+    if (!lodash.isPlainObject(space?.entries) || !lodash.isPlainObject(space?.aliases)) {
+      throw new Error(`executionContext.${name} is already used for something else`)
+    }
+    const find = (key) => lodash.castArray(key).map(keyOf).map(k => space.aliases[k] || k).find(k => space.entries[k])
+    const set = (key, values) => {
+      const keys = lodash.castArray(key).map(keyOf)
+      const bad = unserializable(values, `${name}[${describe(key)}]`)
+      if (bad) throw new Error(`Cannot store ${bad} in executionContext: it would not survive JSON serialization`)
+      const primary = find(key) || keys[0]
+      const previous = space.entries[primary]
+      space.entries[primary] = { ...previous, ...values }
+      const size = JSON.stringify(executionContext).length
+      if (size > maxBytes) {
+        if (previous) space.entries[primary] = previous
+        else delete space.entries[primary]
+        throw new Error(`executionContext would be ${size} characters, over its ${maxBytes} character budget`)
+      }
+      keys.filter(k => k !== primary).forEach(k => { space.aliases[k] = primary })
+      return space.entries[primary]
+    }
+    const get = (key, field, defaultValue) => {
+      const entry = space.entries[find(key)]
+      let missing
+      if (!entry) missing = `Nothing stored in executionContext.${name} for ${describe(key)}`
+      else if (field !== undefined && !(field in entry)) missing = `No ${field} stored in executionContext.${name} for ${describe(key)}`
+      else return field === undefined ? entry : entry[field]
+      userLog.warning(defaultValue === undefined ? missing : `${missing}, using ${JSON.stringify(defaultValue)}`)
+      return defaultValue
+    }
+    return {
+      set,
+      get,
+      has: (key) => Boolean(find(key)),
+      keys: () => Object.keys(space.entries)
+    }
+  }
+  return { namespace }
+})()
+// ---- END shared/execution_context.js ----
+
+const orders = ExecutionContext.namespace('orders')
+
 const handleFile = (file) => {
-  const orders = JSON.parse(file.body)
-  const orderNumber = orders.orderNumber
+  let orderNumber
+  try {
+    orderNumber = JSON.parse(file.body).orderNumber
+  } catch (err) {
+    userLog.warning(`${file.file_name} is not JSON, looking up its values by file only`)
+  }
+  const keys = orderNumber ? [file, orderNumber] : [file]
+  if (!orders.has(keys)) {
+    userLog.warning(`No stored values for ${file.file_name}, returning it unchanged`)
+    return file
+  }
 
-  const orderReference = executionContext[orderNumber].orderReference
-  const orderCount = executionContext[orderNumber].orderCount
-  const totalValue = executionContext[orderNumber].totalValue
-  const processedAt = executionContext[orderNumber].processedAt
+  const orderReference = orders.get(keys, 'orderReference', orderNumber)
+  const lineCount = orders.get(keys, 'lineCount', 0)
+  const totalValue = orders.get(keys, 'totalValue', 0)
+  const processedAt = orders.get(keys, 'processedAt', 'an unknown time')
 
-  userLog(`Processed ${orderCount} order(s) ${orderNumber} with a total value of ${totalValue} at ${processedAt}`)
+  userLog.info(`Processed order ${orderNumber} with ${lineCount} line(s) and a total value of ${totalValue} at ${processedAt}`)
 
-  return { ...file, file_name: `${orderReference}_processed.json` }
+  return orderReference ? { ...file, file_name: `${orderReference}_processed.json` } : file
 }
 
 const updatedFiles = destinationFiles.map(handleFile).filter(x => x)
@@ -18,4 +95,4 @@ if (updatedFiles.length === 0) {
   returnSkipped([])
 } else {
   returnSuccess(updatedFiles)
-}
\ No newline at end of file
+}
@@ -0,0 +1,357 @@
+/**
+ * Chain.io Pre-Processor that splits X12 interchanges into one file per transaction set, or
+ * merges the transaction sets of many files into batched interchanges
+ *
+ * Features:
+ * - Reads each file with the shared X12 reader (shared/x12.js), which takes the delimiters
+ *   from the ISA segment, and writes with the shared writer (shared/x12_writer.js), so the
+ *   output keeps the delimiters and line breaks of its source
+ * - 'split' mode: every ST/SE transaction set becomes its own file, in a copy of the ISA
+ *   and GS it came in with new ISA13 and GS06 control numbers. Files are named by
+ *   transaction type and the original group and transaction set control numbers, such as
+ *   810_1234_0001.edi, and the log lists the original ISA13 of each source file. The TA1
+ *   segments and the functional groups without transaction sets of an interchange go with
+ *   the first file split from it, and an interchange without transaction sets is written
+ *   to a file of its own as it is
+ * - 'merge' mode: the transaction sets of all files go into one interchange per sender,
+ *   receiver, version, usage indicator and delimiters, with one functional group per GS01,
+ *   GS02, GS03 and GS08. The envelopes get new control numbers and dates, and ST02/SE02 are
+ *   renumbered 0001, 0002, ... within each group, as batched files usually all start at 0001.
+ *   TA1 segments and functional groups without transaction sets are carried along
+ * - SE01, GE01 and IEA01 are set to the counts of what was written
+ * - Files that are not X12, and files without any transaction set, are passed on unchanged.
+ *   A file that cannot be read, or has a transaction set without an SE, is passed on
+ *   unchanged and the execution returns with returnError so operations can look at it; run
+ *   validate_x12_envelopes.js first to hold such files back instead
+ */
+
+// 'split' or 'merge'
+const MODE = 'split'
+
+// ---- BEGIN shared/x12.js (generated: edit shared/x12.js, then run node tools/sync_shared.js) ----
+const X12 = (() => {
+  const parseDelimiters = (body, isaStart = body.indexOf('ISA')) => {
+    if (isaStart === -1) return null
+    const isa = body.slice(isaStart).split(body[isaStart + 3], 17)
+    if (isa.length < 17 || isa[16].length < 2) return null
+    return {
+      element: body[isaStart + 3],
+      component: isa[16][0],
+      repetition: isa[12] >= '00402' && /^[^\w\s]$/.test(isa[11]) ? isa[11] : null,
+      segment: isa[16][1],
+      lineEnding: isa[16].slice(2).match(/^[\r\n]*/)[0]
+    }
+  }
+  const makeSegment = (elements, delimiters, suffix = delimiters.lineEnding) => ({
+    id: elements[0],
+    elements,
+    suffix,
+    terminated: true,
+    element (n, component, repetition) {
+      let value = this.elements[n] || ''
+      if (repetition && delimiters.repetition) value = value.split(delimiters.repetition)[repetition - 1] || ''
+      return component ? value.split(delimiters.component)[component - 1] || '' : value
+    },
+    setElement (n, value, component) {
+      while (this.elements.length <= n) this.elements.push('')
+      if (component) {
+        const parts = this.elements[n].split(delimiters.component)
+        while (parts.length < component) parts.push('')
+        parts[component - 1] = value
+        value = parts.join(delimiters.component)
+      }
+      this.elements[n] = value
+    },
+    toString () {
+      return this.elements.join(delimiters.element)
+    }
+  })
+  const tokenize = (body) => {
+    const isaStart = body.indexOf('ISA')
+    const delimiters = parseDelimiters(body, isaStart)
+    if (!delimiters) throw new Error('No valid ISA segment found')
+    const segments = []
+    body.slice(isaStart).split(delimiters.segment).forEach((chunk, idx, chunks) => {
+      const prev = segments[segments.length - 1]
+      const text = prev ? chunk.trimStart() : chunk
+      const last = idx === chunks.length - 1
+      if (prev) prev.suffix += chunk.slice(0, chunk.length - text.length) + (text || last ? '' : delimiters.segment)
+      if (!text) return
+      const segment = makeSegment(text.split(delimiters.element), delimiters, '')
+      segment.terminated = !last
+      segments.push(segment)
+    })
+    return { delimiters, prefix: body.slice(0, isaStart), segments }
+  }
+  const parse = (body) => {
+    const { delimiters, prefix, segments } = tokenize(body)
+    const doc = { delimiters, prefix, interchanges: [] }
+    let interchange = null
+    let group = null
+    let transaction = null
+    segments.forEach((seg, idx) => {
+      seg.position = idx + 1
+      const inside = (parent, what) => {
+        if (!parent) throw new Error(`${seg.id} segment at position ${idx + 1} is outside ${what}`)
+      }
+      if (seg.id !== 'ISA') inside(interchange, 'an interchange')
+      if (['GE', 'ST'].includes(seg.id)) inside(group, 'a functional group')
+      if (seg.id === 'ISA') {
+        interchange = { isa: seg, iea: null, extra: [], groups: [] }
+        doc.interchanges.push(interchange)
+        group = transaction = null
+      } else if (seg.id === 'IEA') {
+        interchange.iea = seg
+        interchange = group = transaction = null
+      } else if (seg.id === 'GS') {
+        group = { gs: seg, ge: null, extra: [], transactions: [] }
+        interchange.groups.push(group)
+        transaction = null
+      } else if (seg.id === 'GE') {
+        group.ge = seg
+        group = transaction = null
+      } else if (seg.id === 'ST') {
+        transaction = { st: seg, se: null, segments: [seg] }
+        group.transactions.push(transaction)
+      } else if (transaction) {
+        transaction.segments.push(seg)
+        if (seg.id === 'SE') {
+          transaction.se = seg
+          transaction = null
+        }
+      } else {
+        (group || interchange).extra.push(seg)
+      }
+    })
+    return doc
+  }
+  const transactions = (doc) => doc.interchanges.flatMap(interchange =>
+    interchange.groups.flatMap(group =>
+      group.transactions.map(transaction => ({ interchange, group, transaction }))))
+  return {
+    parseDelimiters,
+    parse,
+    transactions,
+    segment: (doc, elements) => makeSegment(elements, doc.delimiters)
+  }
+})()
+// ---- END shared/x12.js ----
+// ---- BEGIN shared/x12_writer.js (generated: edit shared/x12_writer.js, then run node tools/sync_shared.js) ----
+X12.serialize = (doc) => {
+  const out = [doc.prefix]
+  const write = (seg) => {
+    if (seg) out.push(seg.toString() + (seg.terminated ? doc.delimiters.segment : '') + seg.suffix)
+  }
+  doc.interchanges.forEach(interchange => {
+    write(interchange.isa)
+    interchange.extra.forEach(write)
+    interchange.groups.forEach(group => {
+      write(group.gs)
+      group.extra.forEach(write)
+      group.transactions.forEach(transaction => transaction.segments.forEach(write))
+      write(group.ge)
+    })
+    write(interchange.iea)
+  })
+  return out.join('')
+}
+// ---- END shared/x12_writer.js ----
+
+// new control numbers follow the clock, as in generate_x12_997_files.js
+let controlNumber = Math.floor(DateTime.utc().toMillis() / 100) % 1000000000
+const nextControlNumber = () => {
+  controlNumber = (controlNumber + 1) % 1000000000 || 1
+  return controlNumber
+}
+
+/**
+ * Reads a file, making sure every transaction set can be moved to a new envelope.
+ *
+ * @param {object} file - The source file
+ * @returns {object} - The document from X12.parse
+ */
+const readFile = (file) => {
+  const doc = X12.parse(file.body)
+  X12.transactions(doc).forEach(({ transaction }) => {
+    if (!transaction.se) throw new Error(`transaction set ${transaction.st.element(2)} has no SE segment`)
+  })
+  return doc
+}
+
+/**
+ * Builds a document with one interchange around the given functional groups.
+ *
+ * @param {object} doc - The document the segments were read from
+ * @param {Array<string>} isaElements - The elements of the new ISA
+ * @param {Array<object>} groups - { gsElements, transactions, extra } for each functional group
+ * @param {Array<object>} [extra] - Segments outside the functional groups, such as TA1
+ * @returns {object} - A document for X12.serialize
+ */
+const envelope = (doc, isaElements, groups, extra = []) => ({
+  delimiters: doc.delimiters,
+  prefix: '',
+  interchanges: [{
+    isa: X12.segment(doc, [...isaElements]),
+    iea: X12.segment(doc, ['IEA', String(groups.length), isaElements[13]]),
+    extra,
+    groups: groups.map(({ gsElements, transactions, extra = [] }) => {
+      transactions.forEach(({ segments, se }) => {
+        se.setElement(1, String(segments.length))
+        // the SE may have ended its file without a terminator
+        se.terminated = true
+      })
+      return {
+        gs: X12.segment(doc, [...gsElements]),
+        ge: X12.segment(doc, ['GE', String(transactions.length), gsElements[6]]),
+        extra,
+        transactions
+      }
+    })
+  }]
+})
+
+const fileNames = new Set()
+// adds _2, _3, ... before the extension of a name already used
+const uniqueName = (name) => {
+  let candidate = name
+  for (let n = 2; fileNames.has(candidate); n++) candidate = name.replace(/(\.[^.]*)?$/, `_${n}$1`)
+  fileNames.add(candidate)
+  return candidate
+}
+
+// copies ISA or GS elements with a new control number in ISA13 or GS06
+const renumbered = (seg) => {
+  const elements = [...seg.elements]
+  const number = String(nextControlNumber())
+  if (seg.id === 'ISA') elements[13] = number.padStart(9, '0')
+  else elements[6] = number
+  return elements
+}
+
+/**
+ * Splits a file into one file per transaction set.
+ *
+ * @param {object} file - The source file
+ * @param {object} doc - The document read from it
+ * @returns {Array<object>} - The new files
+ */
+const splitFile = (file, doc) => {
+  const extension = file.file_name.match(/\.[^.]*$/)?.[0] || '.edi'
+  const copy = (name, body) => ({ ...file, uuid: uuid(), file_name: uniqueName(name + extension), body })
+  return doc.interchanges.flatMap(interchange => {
+    const sets = interchange.groups.flatMap(group => group.transactions.map(transaction => ({ group, transaction })))
+    if (!sets.length) {
+      return [copy(`interchange_${interchange.isa.element(13)}`, X12.serialize({ ...doc, prefix: '', interchanges: [interchange] }))]
+    }
+    return sets.map(({ group, transaction }, idx) => {
+      const isaElements = renumbered(interchange.isa)
+      const groups = [{
+        gsElements: renumbered(group.gs),
+        transactions: [transaction],
+        extra: transaction === group.transactions[0] ? group.extra : []
+      }]
+      // the TA1s and the groups without transaction sets go with the first file
+      if (idx === 0) {
+        interchange.groups.filter(empty => !empty.transactions.length)
+          .forEach(empty => groups.push({ gsElements: renumbered(empty.gs), transactions: [], extra: empty.extra }))
+      }
+      return copy(`${transaction.st.element(1)}_${group.gs.element(6)}_${transaction.st.element(2)}`,
+        X12.serialize(envelope(doc, isaElements, groups, idx === 0 ? interchange.extra : [])))
+    })
+  })
+}
+
+/**
+ * Merges the transaction sets of the documents into one interchange per sender, receiver,
+ * version, usage indicator and delimiters.
+ *
+ * @param {Array<object>} docs - { file, doc } for each source file
+ * @returns {Array<object>} - The new files
+ */
+const mergeDocs = (docs) => {
+  const batches = {} // key -> { doc, isa, extra, groups: { key -> { gs, transactions, extra } }, files }
+  docs.forEach(({ file, doc }) => {
+    doc.interchanges.forEach(({ isa, extra, groups }) => {
+      // ISA05-ISA08 sender and receiver, ISA12 version, ISA15 usage indicator
+      const key = JSON.stringify([...[5, 6, 7, 8, 12, 15].map(n => isa.element(n).trim()), doc.delimiters])
+      const batch = batches[key] = batches[key] || { doc, isa, extra: [], groups: {}, files: new Set() }
+      batch.files.add(file.file_name)
+      batch.extra.push(...extra)
+      groups.forEach(({ gs, transactions, extra }) => {
+        const groupKey = [1, 2, 3, 8].map(n => gs.element(n)).join('|')
+        batch.groups[groupKey] = batch.groups[groupKey] || { gs, transactions: [], extra: [] }
+        batch.groups[groupKey].transactions.push(...transactions)
+        batch.groups[groupKey].extra.push(...extra)
+      })
+    })
+  })
+
+  const now = DateTime.utc()
+  return Object.values(batches).map(({ doc, isa, extra, groups, files }) => {
+    const isaElements = [...isa.elements]
+    isaElements[9] = now.toFormat('yyMMdd')
+    isaElements[10] = now.toFormat('HHmm')
+    isaElements[13] = String(nextControlNumber()).padStart(9, '0')
+    const merged = Object.values(groups).map(({ gs, transactions, extra }) => {
+      transactions.forEach(({ st, se }, idx) => {
+        const number = String(idx + 1).padStart(4, '0')
+        st.setElement(2, number)
+        se.setElement(2, number)
+      })
+      const gsElements = [...gs.elements]
+      gsElements[4] = now.toFormat('yyyyMMdd')
+      gsElements[5] = now.toFormat('HHmm')
+      gsElements[6] = String(nextControlNumber())
+      return { gsElements, transactions, extra }
+    })
+    const count = lodash.sumBy(merged, group => group.transactions.length)
+    // sender and receiver IDs may hold characters that are not allowed in file names
+    const name = [6, 8].map(n => isa.element(n).trim().replace(/[^\w-]/g, '_')).join('_')
+    const fileName = uniqueName(`${name}_${isaElements[13]}.edi`)
+    userLog.info(`Merged ${count} transaction set(s) from ${files.size} file(s) into ${fileName}`)
+    return {
+      uuid: uuid(),
+      type: 'file',
+      file_name: fileName,
+      format: 'edi',
+      mime_type: 'application/edi-x12',
+      body: X12.serialize(envelope(doc, isaElements, merged, extra))
+    }
+  })
+}
+
+const output = []
+const docs = []
+let failed = 0
+sourceFiles.forEach(file => {
+  if (!X12.parseDelimiters(file.body)) {
+    userLog.info(`${file.file_name} is not X12, passing it on unchanged`)
+    output.push(file)
+    return
+  }
+  try {
+    const doc = readFile(file)
+    if (!X12.transactions(doc).length) {
+      userLog.info(`${file.file_name} has no transaction sets, passing it on unchanged`)
+      output.push(file)
+    } else if (MODE === 'merge') {
+      docs.push({ file, doc })
+    } else {
+      const files = splitFile(file, doc)
+      const interchanges = doc.interchanges.map(({ isa }) => isa.element(13)).join(', ')
+      userLog.info(`Split ${file.file_name} (ISA13 ${interchanges}) into ${files.length} file(s)`)
+      output.push(...files)
+    }
+  } catch (err) {
+    failed++
+    userLog.error(`Could not ${MODE} ${file.file_name}, passing it on unchanged: ${err.message}`)
+    output.push(file)
+  }
+})
+if (docs.length) output.push(...mergeDocs(docs))
+
+if (failed > 0) {
+  returnError(output)
+} else {
+  returnSuccess(output)
+}
@@ -1,23 +1,96 @@
 /**
  * Chain.io Pre-Processor for storing input file values for accessibility in post-processor
  *
+ * Pairs with retrieve_values_in_postprocessor.js.
+ *
  * Features:
- * - Parse the JSON body of each file
- * - Store the reference, order count, total value, and processed timestamp for each order by order number in executionContext
+ * - Parse the JSON body of each file, an order such as
+ *   { "orderNumber": "1001", "reference": "PO-1001", "lines": [{ "value": 25 }] }
+ * - Store the reference, line count, total value, and processed timestamp of each order in
+ *   executionContext, keyed by the file and by the order number
  */
+
+// ---- BEGIN shared/execution_context.js (generated: edit shared/execution_context.js, then run node tools/sync_shared.js) ----
+const ExecutionContext = (() => {
+  const keyOf = (key) => typeof key === 'object' && key !== null ? `uuid:${key.uuid}` : String(key)
+  const describe = (key) => lodash.castArray(key).map(keyOf).join(' / ')
+  const unserializable = (value, path) => {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') return null
+    if (typeof value === 'number') return Number.isFinite(value) ? null : path
+    if (Array.isArray(value)) return value.reduce((found, v, i) => found || unserializable(v, `${path}[${i}]`), null)
+    if (lodash.isPlainObject(value)) {
+      return Object.keys(value).reduce((found, k) => found || unserializable(value[k], `${path}.${k}`), null)
+    }
+    return path
+  }
+  const namespace = (name, { maxBytes = 100 * 1024 } = {}) => {
+    if (executionContext[name] === undefined) executionContext[name] = { entries: {}, aliases: {} }
+    const space = executionContext[name]
+    if (!lodash.isPlainObject(space?.entries) || !lodash.isPlainObject(space?.aliases)) {
+      throw new Error(`executionContext.${name} is already used for something else`)
+    }
+    const find = (key) => lodash.castArray(key).map(keyOf).map(k => space.aliases[k] || k).find(k => space.entries[k])
+    const set = (key, values) => {
+      const keys = lodash.castArray(key).map(keyOf)
+      const bad = unserializable(values, `${name}[${describe(key)}]`)
+      if (bad) throw new Error(`Cannot store ${bad} in executionContext: it would not survive JSON serialization`)
+      const primary = find(key) || keys[0]
+      const previous = space.entries[primary]
+      space.entries[primary] = { ...previous, ...values }
+      const size = JSON.stringify(executionContext).length
+      if (size > maxBytes) {
+        if (previous) space.entries[primary] = previous
+        else delete space.entries[primary]
+        throw new Error(`executionContext would be ${size} characters, over its ${maxBytes} character budget`)
+      }
+      keys.filter(k => k !== primary).forEach(k => { space.aliases[k] = primary })
+      return space.entries[primary]
+    }
+    const get = (key, field, defaultValue) => {
+      const entry = space.entries[find(key)]
+      let missing
+      if (!entry) missing = `Nothing stored in executionContext.${name} for ${describe(key)}`
+      else if (field !== undefined && !(field in entry)) missing = `No ${field} stored in executionContext.${name} for ${describe(key)}`
+      else return field === undefined ? entry : entry[field]
+      userLog.warning(defaultValue === undefined ? missing : `${missing}, using ${JSON.stringify(defaultValue)}`)
+      return defaultValue
+    }
+    return {
+      set,
+      get,
+      has: (key) => Boolean(find(key)),
+      keys: () => Object.keys(space.entries)
+    }
+  }
+  return { namespace }
+})()
+// ---- END shared/execution_context.js ----
+
+const orders = ExecutionContext.namespace('orders')
+
 const storeValues = (file) => {
-  const orders = JSON.parse(file.body)
+  const order = JSON.parse(file.body)
+  const lines = Array.isArray(order.lines) ? order.lines : []
 
-  const orderNumber = orders.orderNumber
+  // the post-processor usually sees new file uuids, so the order number is the key it finds
+  const keys = order.orderNumber ? [file, order.orderNumber] : [file]
+  if (!order.orderNumber) userLog.warning(`${file.file_name} has no orderNumber, storing its values by file only`)
 
-  executionContext[orderNumber].orderReference = orders.reference
-  executionContext[orderNumber].orderCount = orders.length
-  executionContext[orderNumber].totalValue = orders.reduce((sum, order) => sum + (order.value || 0), 0)
-  executionContext[orderNumber].processedAt = new Date().toISOString()
+  orders.set(keys, {
+    orderReference: order.reference ?? null,
+    lineCount: lines.length,
+    totalValue: lines.reduce((sum, line) => sum + (Number(line.value) || 0), 0),
+    processedAt: DateTime.now().toISO()
+  })
 }
 
 for (const sourceFile of sourceFiles) {
-  storeValues(sourceFile)
+  try {
+    storeValues(sourceFile)
+  } catch (err) {
+    userLog.error(`Could not store values for ${sourceFile.file_name}: ${err.message}`)
+  }
 }
 
-returnSuccess(sourceFiles)
\ No newline at end of file
+userLog.info(`Stored values for ${orders.keys().length} order(s)`)
+returnSuccess(sourceFiles)
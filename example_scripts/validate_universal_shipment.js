@@ -0,0 +1,353 @@
+/**
+ * Chain.io Post-Processor that validates CargoWise Universal Shipment XML against PROFILES
+ * of declarative rules, so malformed documents are stopped or reported instead of crashing
+ * a later script or reaching CargoWise unnoticed.
+ *
+ * A profile has a `name`, `rules` and optionally `when` (see below), which limits it to the
+ * shipments where its conditions hold; every profile that applies to a document is checked.
+ * Each rule has a `check`:
+ * - required: { path } the path has a value that is not empty
+ * - count:    { path, min, max } the path occurs min to max times (cardinality)
+ * - codes:    { path, list } every value at the path is in the list, given as an array or
+ *             as the name of a CODE_LISTS entry
+ * - format:   { path, format } every value at the path matches the format, given as a
+ *             regular expression or as the name of a FORMATS entry such as 'unlocode'
+ * - compare:  { path, is, other } or { path, is, value } compares the value at the path to
+ *             the value at `other` or to a constant, with <, <=, =, !=, >= or >. Numbers and
+ *             ISO dates are compared as such, anything else as text
+ * - test:     { test: (scope) => true or a message } for anything else
+ * codes, format and compare pass when a value they need is missing; use required for that.
+ *
+ * Paths are XPaths relative to the rule's `scope`: 'Shipment' (the default) or
+ * 'SubShipment', which checks every SubShipment on its own. `when` limits a rule to the
+ * scopes where a condition holds, or all of a list of them, for cross-field rules such as
+ * "FCL shipments need a container": { path, equals }, { path, in: [...] },
+ * { path, matches: /regex/ } or { path, exists }, as in map_universal_shipment_fields.js.
+ *
+ * A rule's `severity` decides what happens to a document that fails it:
+ * - 'error' (the default): the document is held back and the execution returns with
+ *   returnError
+ * - 'skip': the document is dropped without an error, such as a shipment this flow does
+ *   not handle; when nothing is left, the execution returns Skipped
+ * - 'warning': the document passes and the failure is reported
+ *
+ * Every document with a failure gets one message in the user log and a
+ * <file>_validation.json report listing each failure with its profile, rule, severity and
+ * scope. Reports are returned with the output files, so they reach the destination too;
+ * turn REPORTS off when the destination should only get the documents. The data tags are
+ * the overall 'Validation Result', the 'Invalid Shipment' keys (the DataSource Key, or the
+ * file name without one) of the documents with errors, and the names of the 'Failed
+ * Validation Rule's, published through shared/data_tags.js. Files that are not XML pass
+ * unchanged.
+ */
+
+// Code lists for codes rules
+const CODE_LISTS = {
+  addressType: [
+    'ConsignorDocumentaryAddress', 'ConsigneeDocumentaryAddress', 'ConsignorPickupDeliveryAddress',
+    'ConsigneePickupDeliveryAddress', 'SendersLocalClient', 'ReceiversLocalClient', 'SendingForwarderAddress',
+    'ReceivingForwarderAddress', 'NotifyParty', 'ShippingLineAddress', 'ImportBroker', 'ExportBroker'
+  ],
+  transportMode: ['AIR', 'SEA', 'ROA', 'RAI', 'COU']
+}
+
+// Formats for format rules
+const FORMATS = {
+  // UN/LOCODE: country code and a three character location code (2-9, no 0 or 1)
+  unlocode: /^[A-Z]{2}[A-Z2-9]{3}$/
+}
+
+const PROFILES = [
+  {
+    name: 'Universal Shipment',
+    rules: [
+      { check: 'required', path: 'DataContext/DataSourceCollection/DataSource/Key' },
+      { check: 'required', path: 'PortOfDischarge/Code' },
+      { check: 'format', path: 'PortOfLoading/Code', format: 'unlocode' },
+      { check: 'format', path: 'PortOfDischarge/Code', format: 'unlocode' },
+      { check: 'codes', path: 'TransportMode/Code', list: 'transportMode' },
+      { check: 'codes', path: 'OrganizationAddressCollection/OrganizationAddress/AddressType', list: 'addressType', severity: 'warning' },
+      // what overwrite_output_field_with_mapping.js needs
+      {
+        name: 'One consignee',
+        check: 'count',
+        path: 'OrganizationAddressCollection/OrganizationAddress[AddressType="ConsigneeDocumentaryAddress"]/OrganizationCode',
+        min: 1,
+        max: 1
+      },
+      // what port_of_discharge_to_port_of_destination.js needs
+      { scope: 'SubShipment', check: 'required', path: 'PortOfDischarge/Code', severity: 'warning' },
+      { scope: 'SubShipment', check: 'format', path: 'PortOfDestination/Code', format: 'unlocode' },
+      {
+        name: 'FCL needs a container',
+        check: 'count',
+        path: 'ContainerCollection/Container',
+        min: 1,
+        when: { path: 'ContainerMode/Code', equals: 'FCL' }
+      },
+      {
+        name: 'ETD before ETA',
+        check: 'compare',
+        path: 'DateCollection/Date[Type="Departure"]/Value',
+        is: '<=',
+        other: 'DateCollection/Date[Type="Arrival"]/Value',
+        severity: 'warning'
+      }
+    ]
+  }
+  // more examples:
+  // { name: 'Sea only', rules: [{ check: 'codes', path: 'TransportMode/Code', list: ['SEA'], severity: 'skip' }] },
+  // { name: 'Air', when: { path: 'TransportMode/Code', equals: 'AIR' }, rules: [{ check: 'required', path: 'WayBillNumber' }] }
+]
+
+// Return a <file>_validation.json report for each document with a failure
+const REPORTS = true
+
+// Where the shipment key for the 'Invalid Shipment' tag is read from
+const KEY_PATH = '/UniversalShipment/Shipment/DataContext/DataSourceCollection/DataSource/Key'
+
+// ---- BEGIN shared/utf8.js (generated: edit shared/utf8.js, then run node tools/sync_shared.js) ----
+const Utf8 = (() => {
+  const byteLength = (text) => {
+    let bytes = 0
+    for (const char of text) {
+      const c = char.codePointAt(0)
+      bytes += c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4
+    }
+    return bytes
+  }
+  const truncate = (text, maxBytes, marker = '') => {
+    if (byteLength(text) <= maxBytes) return text
+    let out = ''
+    let bytes = byteLength(marker)
+    for (const char of text) {
+      bytes += byteLength(char)
+      if (bytes > maxBytes) break
+      out += char
+    }
+    return out + marker
+  }
+  return { byteLength, truncate }
+})()
+// ---- END shared/utf8.js ----
+// ---- BEGIN shared/data_tags.js (generated: edit shared/data_tags.js, then run node tools/sync_shared.js) ----
+const DataTags = (() => {
+  const MAX_TAGS = 100
+  const queued = []
+  let published = 0
+  const add = (label, value, { priority = 0 } = {}) => {
+    if ([label, value].some(text => text === undefined || text === null || String(text).trim() === '')) {
+      userLog.warning(`Data tag "${label}" has no label or value and is not published`)
+      return false
+    }
+    const tag = { label: Utf8.truncate(String(label), 50), value: Utf8.truncate(String(value), 255) }
+    if (tag.label !== String(label) || tag.value !== String(value)) userLog.warning(`Data tag "${tag.label}" was cut to fit the byte limits`)
+    if (lodash.some(queued, tag)) return false
+    queued.push({ ...tag, priority })
+    return true
+  }
+  const publish = () => {
+    const sorted = lodash.sortBy(queued, tag => -tag.priority)
+    const room = Math.max(MAX_TAGS - published, 0)
+    const kept = sorted.slice(0, room).map(({ label, value }) => ({ label, value }))
+    if (sorted.length > room) {
+      const left = lodash.uniq(sorted.slice(room).map(tag => tag.label)).join(', ')
+      userLog.warning(`${sorted.length - room} data tag(s) over the ${MAX_TAGS} tag limit were not published: ${left}`)
+    }
+    if (kept.length) publishDataTags(kept)
+    published += kept.length
+    queued.length = 0
+    return kept
+  }
+  return { add, publish, room: () => MAX_TAGS - published - queued.length }
+})()
+// ---- END shared/data_tags.js ----
+
+const SCOPES = {
+  Shipment: '/UniversalShipment/Shipment',
+  SubShipment: '/UniversalShipment/Shipment/SubShipmentCollection/SubShipment'
+}
+
+// worst first
+const SEVERITIES = ['error', 'skip', 'warning']
+const CHECKS = ['required', 'count', 'codes', 'format', 'compare', 'test']
+const COMPARATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '>=': (a, b) => a >= b,
+  '>': (a, b) => a > b
+}
+
+const label = (rule) => rule.name || `${rule.check} ${rule.path || ''}`.trim()
+
+const checkRule = (rule) => {
+  if (!CHECKS.includes(rule.check)) throw new Error(`Unknown check "${rule.check}" in rule ${JSON.stringify(rule)}`)
+  if (!SCOPES[rule.scope || 'Shipment']) throw new Error(`Unknown scope "${rule.scope}" in rule "${label(rule)}"`)
+  if (!SEVERITIES.includes(rule.severity || 'error')) throw new Error(`Unknown severity "${rule.severity}" in rule "${label(rule)}"`)
+  if (rule.check !== 'test' && !rule.path) throw new Error(`Rule "${label(rule)}" has no path`)
+  if (rule.check === 'codes' && !Array.isArray(rule.list) && !CODE_LISTS[rule.list]) throw new Error(`Unknown code list "${rule.list}" in rule "${label(rule)}"`)
+  if (rule.check === 'format' && !(rule.format instanceof RegExp) && !FORMATS[rule.format]) throw new Error(`Unknown format "${rule.format}" in rule "${label(rule)}"`)
+  if (rule.check === 'compare' && !COMPARATORS[rule.is]) throw new Error(`Unknown comparison "${rule.is}" in rule "${label(rule)}"`)
+}
+
+const holds = (scope, condition) => {
+  const value = xml.text(scope, condition.path)
+  if ('exists' in condition) return (value !== undefined) === condition.exists
+  if (value === undefined) return false
+  if ('equals' in condition) return value.trim() === condition.equals
+  if ('in' in condition) return condition.in.includes(value.trim())
+  if ('matches' in condition) return condition.matches.test(value)
+  return true
+}
+const holdAll = (scope, conditions) => lodash.castArray(conditions || []).every(condition => holds(scope, condition))
+
+// the trimmed text of every element or attribute at a path
+const valuesAt = (scope, path) => {
+  const count = xml.evaluate(scope, `count(${path})`).numberValue()
+  return lodash.range(1, count + 1).map(i => xml.evaluate(scope, `string((${path})[${i}])`).stringValue().trim())
+}
+
+// numbers and ISO dates compare as such, anything else as text
+const comparable = (a, b) => {
+  if (!isNaN(a) && !isNaN(b)) return [Number(a), Number(b)]
+  const [dateA, dateB] = [DateTime.fromISO(a), DateTime.fromISO(b)]
+  if (dateA.isValid && dateB.isValid) return [dateA.toMillis(), dateB.toMillis()]
+  return [a, b]
+}
+
+const quoted = (values) => values.map(value => `"${value}"`).join(', ')
+
+/**
+ * Checks one rule against one scope element.
+ *
+ * @param {object} rule - The rule
+ * @param {object} scope - The Shipment or SubShipment element
+ * @returns {string|null} - What is wrong, or null when the rule passes or does not apply
+ */
+const runRule = (rule, scope) => {
+  if (!holdAll(scope, rule.when)) return null
+  if (rule.check === 'test') {
+    const result = rule.test(scope)
+    if (result === true || result === undefined) return null
+    return typeof result === 'string' ? result : `${label(rule)} failed`
+  }
+
+  const values = valuesAt(scope, rule.path)
+  const present = values.filter(value => value !== '')
+  if (rule.check === 'required') return present.length ? null : `${rule.path} is missing or empty`
+  if (rule.check === 'count') {
+    const { min = 0, max = Infinity } = rule
+    if (values.length >= min && values.length <= max) return null
+    const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`
+    return `${rule.path} occurs ${values.length} time(s), expected ${expected}`
+  }
+  if (rule.check === 'codes') {
+    const list = Array.isArray(rule.list) ? rule.list : CODE_LISTS[rule.list]
+    const bad = present.filter(value => !list.includes(value))
+    return bad.length ? `${rule.path} has ${quoted(bad)}, not in ${Array.isArray(rule.list) ? quoted(list) : rule.list}` : null
+  }
+  if (rule.check === 'format') {
+    const format = FORMATS[rule.format] || rule.format
+    const bad = present.filter(value => !format.test(value))
+    return bad.length ? `${rule.path} has ${quoted(bad)}, not in ${FORMATS[rule.format] ? rule.format : format} format` : null
+  }
+
+  const other = 'value' in rule ? String(rule.value) : valuesAt(scope, rule.other).find(value => value !== '')
+  if (!present.length || other === undefined) return null
+  const [a, b] = comparable(present[0], other)
+  if (COMPARATORS[rule.is](a, b)) return null
+  return `${rule.path} "${present[0]}" is not ${rule.is} ${'value' in rule ? '' : `${rule.other} `}"${other}"`
+}
+
+/**
+ * Checks a document against every profile that applies to it.
+ *
+ * @param {object} file - The XML file
+ * @returns {object} - { key, profiles, failures: [{ profile, rule, severity, scope, message }] }
+ */
+const validateFile = (file) => {
+  // namespaces are stripped so the XPaths need no prefixes; the document is only read
+  const document = xml.XmlParser.parseFromString(file.body)
+  const shipment = xml.element(document, SCOPES.Shipment)
+  if (!shipment) {
+    return { key: null, profiles: [], failures: [{ profile: null, rule: 'Universal Shipment', severity: 'error', scope: null, message: `${SCOPES.Shipment} not found` }] }
+  }
+  const profiles = PROFILES.filter(profile => holdAll(shipment, profile.when))
+  const failures = []
+  profiles.forEach(profile => profile.rules.forEach(rule => {
+    const scopeName = rule.scope || 'Shipment'
+    const scopes = xml.elements(document, SCOPES[scopeName])
+    scopes.forEach((scope, idx) => {
+      const message = runRule(rule, scope)
+      if (!message) return
+      failures.push({
+        profile: profile.name,
+        rule: label(rule),
+        severity: rule.severity || 'error',
+        scope: scopes.length > 1 ? `${scopeName} ${idx + 1}` : scopeName,
+        message
+      })
+    })
+  }))
+  return { key: xml.text(document, KEY_PATH)?.trim() || null, profiles: profiles.map(profile => profile.name), failures }
+}
+
+const reportFile = (file, outcome, result) => ({
+  uuid: uuid(),
+  type: 'file',
+  file_name: `${file.file_name.replace(/\.[^.]*$/, '')}_validation.json`,
+  format: 'json',
+  mime_type: 'application/json',
+  body: JSON.stringify({ file_name: file.file_name, shipment: result.key, outcome, ...lodash.pick(result, ['profiles', 'failures']) }, null, 2)
+})
+
+PROFILES.forEach(profile => profile.rules.forEach(checkRule))
+
+const OUTCOMES = { error: 'failed validation and is held back', skip: 'was skipped', warning: 'passed with warnings' }
+const passed = []
+const reports = []
+const invalid = []
+const failedRules = []
+const counts = { error: 0, skip: 0, warning: 0, passed: 0 }
+destinationFiles.forEach(file => {
+  if (!(file.file_name?.match(/\.xml$/i) || file.format === 'xml')) {
+    passed.push(file)
+    return
+  }
+  let result
+  try {
+    result = validateFile(file)
+  } catch (err) {
+    result = { key: null, profiles: [], failures: [{ profile: null, rule: 'XML', severity: 'error', scope: null, message: `not valid XML: ${err.message}` }] }
+  }
+  const outcome = SEVERITIES.find(severity => result.failures.some(failure => failure.severity === severity)) || 'passed'
+  counts[outcome]++
+  if (!['error', 'skip'].includes(outcome)) passed.push(file)
+  if (outcome === 'passed') return
+
+  const lines = result.failures.map(f => `  [${f.severity}] ${f.scope ? `${f.scope}: ` : ''}${f.message}${f.rule !== f.message ? ` (${f.rule})` : ''}`)
+  const level = { error: 'error', skip: 'info', warning: 'warning' }[outcome]
+  userLog[level]([`${file.file_name} ${OUTCOMES[outcome]}:`, ...lines].join('\n'))
+  if (REPORTS) reports.push(reportFile(file, outcome, result))
+  if (outcome === 'error') {
+    invalid.push(result.key || file.file_name)
+    failedRules.push(...result.failures.filter(failure => failure.severity === 'error').map(failure => failure.rule))
+  }
+})
+
+const result = counts.error ? 'Failed' : counts.warning ? 'Passed with warnings' : counts.passed ? 'Passed' : counts.skip ? 'Skipped' : null
+if (result) DataTags.add('Validation Result', result, { priority: 1 })
+invalid.forEach(key => DataTags.add('Invalid Shipment', key))
+failedRules.forEach(rule => DataTags.add('Failed Validation Rule', rule))
+DataTags.publish()
+
+userLog.info(`Validated ${lodash.sum(Object.values(counts))} document(s): ${counts.passed} passed, ${counts.warning} with warnings, ${counts.skip} skipped, ${counts.error} held back`)
+if (counts.error) {
+  returnError([...passed, ...reports])
+} else if (!passed.length) {
+  returnSkipped(reports)
+} else {
+  returnSuccess([...passed, ...reports])
+}
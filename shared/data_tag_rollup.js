@@ -0,0 +1,35 @@
+/**
+ * Roll-up tags for shared/data_tags.js.
+ *
+ * Adds DataTags.addAll(label, values, { max, priority, fileName }) to the publisher in
+ * shared/data_tags.js, which must be embedded first. It queues one tag per distinct value,
+ * leaving blank values out, and returns null. When there are more than `max` (by default,
+ * DataTags.room()), it queues one summary tag such as "152 values: 1001, 1002, ..." with as
+ * many values as fit in 255 bytes, and returns a JSON manifest file listing them all, for
+ * the script to return alongside its output. Scripts that tag one value at a time leave
+ * this module out to save room under the 10,000 character limit.
+ *
+ * Embedded between "BEGIN shared/data_tag_rollup.js" and "END shared/data_tag_rollup.js"
+ * marker comments; edit this file, then run `node tools/sync_shared.js`.
+ */
+DataTags.addAll = (label, list, { max = DataTags.room(), priority = 0, fileName = `${lodash.snakeCase(label)}.json` } = {}) => {
+  const distinct = lodash.uniq(list.filter(value => value !== undefined && value !== null && String(value).trim() !== '').map(String))
+  if (distinct.length <= max) {
+    distinct.forEach(value => DataTags.add(label, value, { priority }))
+    return null
+  }
+  const shown = []
+  for (const value of distinct) {
+    if (Utf8.byteLength(`${distinct.length} values: ${[...shown, value].join(', ')}, ...`) > 255) break
+    shown.push(value)
+  }
+  DataTags.add(label, `${distinct.length} values: ${shown.join(', ')}, ...`, { priority })
+  return {
+    uuid: uuid(),
+    type: 'file',
+    file_name: fileName,
+    format: 'json',
+    mime_type: 'application/json',
+    body: JSON.stringify({ label, values: distinct }, null, 2)
+  }
+}
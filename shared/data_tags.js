@@ -0,0 +1,51 @@
+/**
+ * Checked data tag publishing for custom processors.
+ *
+ * The platform keeps 50 bytes of a label, 255 bytes of a value and the first 100 tags of
+ * an execution. DataTags queues tags and publishes them once, within those limits:
+ *
+ * - add(label, value, { priority }) queues a tag. Labels and values are cut to their byte
+ *   limits on a character boundary, with a warning; a tag without a label or value is
+ *   refused with a warning, and a label/value pair already queued is left out
+ * - publish() publishes the queued tags, highest priority first and otherwise in the order
+ *   they were added, and warns about the tags that did not fit in the 100 tag limit
+ * - room() is the number of tags that can still be queued without going over the limit
+ *
+ * shared/data_tag_rollup.js adds addAll, which rolls more values than fit up into one
+ * summary tag. Tags published with publishDataTags directly are not counted against the
+ * 100. Embedded between "BEGIN shared/data_tags.js" and "END shared/data_tags.js" marker
+ * comments, after shared/utf8.js; edit this file, then run `node tools/sync_shared.js`.
+ */
+const DataTags = (() => {
+  const MAX_TAGS = 100
+  const queued = []
+  let published = 0
+
+  const add = (label, value, { priority = 0 } = {}) => {
+    if ([label, value].some(text => text === undefined || text === null || String(text).trim() === '')) {
+      userLog.warning(`Data tag "${label}" has no label or value and is not published`)
+      return false
+    }
+    const tag = { label: Utf8.truncate(String(label), 50), value: Utf8.truncate(String(value), 255) }
+    if (tag.label !== String(label) || tag.value !== String(value)) userLog.warning(`Data tag "${tag.label}" was cut to fit the byte limits`)
+    if (lodash.some(queued, tag)) return false
+    queued.push({ ...tag, priority })
+    return true
+  }
+
+  const publish = () => {
+    const sorted = lodash.sortBy(queued, tag => -tag.priority)
+    const room = Math.max(MAX_TAGS - published, 0)
+    const kept = sorted.slice(0, room).map(({ label, value }) => ({ label, value }))
+    if (sorted.length > room) {
+      const left = lodash.uniq(sorted.slice(room).map(tag => tag.label)).join(', ')
+      userLog.warning(`${sorted.length - room} data tag(s) over the ${MAX_TAGS} tag limit were not published: ${left}`)
+    }
+    if (kept.length) publishDataTags(kept)
+    published += kept.length
+    queued.length = 0
+    return kept
+  }
+
+  return { add, publish, room: () => MAX_TAGS - published - queued.length }
+})()
@@ -0,0 +1,107 @@
+/**
+ * Shared EDIFACT reader for custom processors.
+ *
+ * EDIFACT.parse(body) returns
+ *   {
+ *     delimiters: { component, element, decimal, release, repetition, segment },
+ *     interchanges: [{ unb, unz, messages: [{ group, unh, unt, segments }] }]
+ *   }
+ * where every segment has `tag`, `elements` (each an array of its components, with
+ * release characters already removed) and `element(n, component)`. element(n) returns the
+ * whole nth data element after the tag, element(n, c) its cth component, and both return
+ * '' when it is missing. A message's `segments` run from UNH to UNT inclusive, so a
+ * segment's position in the message is its index + 1; `group` is the UNG segment of a
+ * message sent in a functional group, otherwise null.
+ *
+ * The delimiters come from the UNA service string advice, or are the defaults
+ * (: + . ? * ') when there is none. EDIFACT.parseDelimiters(body) returns null for a body
+ * that starts with neither UNA nor UNB, so it can tell EDIFACT files from others.
+ */
+const EDIFACT = (() => {
+  const DEFAULT_DELIMITERS = { component: ':', element: '+', decimal: '.', release: '?', repetition: '*', segment: '\'' }
+
+  const parseDelimiters = (body) => {
+    const text = body.replace(/^[\uFEFF\s]+/, '')
+    if (text.startsWith('UNB')) return { ...DEFAULT_DELIMITERS }
+    if (!text.startsWith('UNA') || text.length < 9) return null
+    const [component, element, decimal, release, repetition, segment] = text.slice(3, 9)
+    // a space marks a service character the interchange does not use
+    const optional = (char) => char === ' ' ? null : char
+    return { component, element, decimal, release: optional(release), repetition: optional(repetition), segment }
+  }
+
+  const makeSegment = (tag, elements, delimiters) => ({
+    tag,
+    elements,
+    element (n, component) {
+      const value = this.elements[n - 1] || []
+      return component ? value[component - 1] || '' : value.join(delimiters.component)
+    }
+  })
+
+  // Splits a body into segments, honoring the release character. Line breaks are dropped
+  // wherever they are, as some senders wrap long segments over several lines
+  const tokenize = (body, delimiters) => {
+    const text = body.replace(/^[\uFEFF\s]+/, '').replace(/^UNA....../, '')
+    const segments = []
+    let elements = [['']]
+    const finish = () => {
+      const tag = elements[0][0].trim()
+      if (tag) segments.push(makeSegment(tag, elements.slice(1), delimiters))
+      elements = [['']]
+    }
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i]
+      const element = elements[elements.length - 1]
+      if (char === delimiters.release && i + 1 < text.length) {
+        element[element.length - 1] += text[++i]
+      } else if (char === delimiters.segment) {
+        finish()
+      } else if (char === delimiters.element) {
+        elements.push([''])
+      } else if (char === delimiters.component) {
+        element.push('')
+      } else if (char !== '\r' && char !== '\n') {
+        element[element.length - 1] += char
+      }
+    }
+    finish()
+    return segments
+  }
+
+  const parse = (body) => {
+    const delimiters = parseDelimiters(body)
+    if (!delimiters) throw new Error('No UNA or UNB segment found')
+    const doc = { delimiters, interchanges: [] }
+    let interchange = null
+    let group = null
+    let message = null
+    tokenize(body, delimiters).forEach((seg, idx) => {
+      if (seg.tag !== 'UNB' && !interchange) throw new Error(`${seg.tag} segment at position ${idx + 1} is outside an interchange`)
+      if (seg.tag === 'UNB') {
+        interchange = { unb: seg, unz: null, messages: [] }
+        doc.interchanges.push(interchange)
+        group = message = null
+      } else if (seg.tag === 'UNZ') {
+        interchange.unz = seg
+        interchange = group = message = null
+      } else if (seg.tag === 'UNG') {
+        group = seg
+      } else if (seg.tag === 'UNE') {
+        group = null
+      } else if (seg.tag === 'UNH') {
+        message = { group, unh: seg, unt: null, segments: [seg] }
+        interchange.messages.push(message)
+      } else if (message) {
+        message.segments.push(seg)
+        if (seg.tag === 'UNT') {
+          message.unt = seg
+          message = null
+        }
+      }
+    })
+    return doc
+  }
+
+  return { parseDelimiters, parse }
+})()
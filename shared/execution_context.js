@@ -0,0 +1,94 @@
+/**
+ * Shared executionContext API for custom processors.
+ *
+ * executionContext is the object a pre-processor hands to the post-processor of the same
+ * execution. ExecutionContext.namespace(name) keeps one script's values apart from other
+ * scripts' under executionContext[name]:
+ *
+ *   const orders = ExecutionContext.namespace('orders')
+ *   orders.set([file, orderNumber], { reference: 'PO-1' })      // pre-processor
+ *   orders.get([file, orderNumber], 'reference', 'unknown')     // post-processor
+ *
+ * - Entries are created on first set, and set merges into an existing entry
+ * - A key is a business key (a string or number) or a file object, which stands for its
+ *   uuid. Setting with a list of keys lets each of them find the entry; getting with a list
+ *   uses the first key that has one. Files usually get new uuids between the pre- and
+ *   post-processor, so give a business key as well
+ * - Only strings, finite numbers, booleans, null, arrays and plain objects come through the
+ *   handoff unchanged. set throws for anything else (a Date, undefined, NaN, a function...)
+ *   and when executionContext grows over maxBytes characters, a budget that keeps the
+ *   handoff small (not a documented platform limit)
+ * - get logs a warning and returns the default when a key or field was never stored
+ *
+ * Embedded between "BEGIN shared/execution_context.js" and "END shared/execution_context.js"
+ * marker comments; edit this file, then run `node tools/sync_shared.js`.
+ */
+const ExecutionContext = (() => {
+  const keyOf = (key) => typeof key === 'object' && key !== null ? `uuid:${key.uuid}` : String(key)
+  const describe = (key) => lodash.castArray(key).map(keyOf).join(' / ')
+
+  // the path of the first value JSON would drop or change, or null
+  const unserializable = (value, path) => {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') return null
+    if (typeof value === 'number') return Number.isFinite(value) ? null : path
+    if (Array.isArray(value)) return value.reduce((found, v, i) => found || unserializable(v, `${path}[${i}]`), null)
+    if (lodash.isPlainObject(value)) {
+      return Object.keys(value).reduce((found, k) => found || unserializable(value[k], `${path}.${k}`), null)
+    }
+    return path
+  }
+
+  /**
+   * Returns the accessors for one namespace of executionContext, creating it if needed.
+   *
+   * @param {string} name - The namespace, e.g. 'orders'
+   * @param {object} [options]
+   * @param {number} [options.maxBytes] - Largest JSON size of the whole executionContext
+   * @returns {object} - { set, get, has, keys }
+   */
+  const namespace = (name, { maxBytes = 100 * 1024 } = {}) => {
+    if (executionContext[name] === undefined) executionContext[name] = { entries: {}, aliases: {} }
+    const space = executionContext[name]
+    if (!lodash.isPlainObject(space?.entries) || !lodash.isPlainObject(space?.aliases)) {
+      throw new Error(`executionContext.${name} is already used for something else`)
+    }
+    const find = (key) => lodash.castArray(key).map(keyOf).map(k => space.aliases[k] || k).find(k => space.entries[k])
+
+    const set = (key, values) => {
+      const keys = lodash.castArray(key).map(keyOf)
+      const bad = unserializable(values, `${name}[${describe(key)}]`)
+      if (bad) throw new Error(`Cannot store ${bad} in executionContext: it would not survive JSON serialization`)
+      const primary = find(key) || keys[0]
+      const previous = space.entries[primary]
+      space.entries[primary] = { ...previous, ...values }
+      const size = JSON.stringify(executionContext).length
+      if (size > maxBytes) {
+        if (previous) space.entries[primary] = previous
+        else delete space.entries[primary]
+        throw new Error(`executionContext would be ${size} characters, over its ${maxBytes} character budget`)
+      }
+      keys.filter(k => k !== primary).forEach(k => { space.aliases[k] = primary })
+      return space.entries[primary]
+    }
+
+    // the entry, or one field of it, for the first key that has an entry
+    const get = (key, field, defaultValue) => {
+      const entry = space.entries[find(key)]
+      let missing
+      if (!entry) missing = `Nothing stored in executionContext.${name} for ${describe(key)}`
+      else if (field !== undefined && !(field in entry)) missing = `No ${field} stored in executionContext.${name} for ${describe(key)}`
+      else return field === undefined ? entry : entry[field]
+      userLog.warning(defaultValue === undefined ? missing : `${missing}, using ${JSON.stringify(defaultValue)}`)
+      return defaultValue
+    }
+
+    return {
+      set,
+      get,
+      has: (key) => Boolean(find(key)),
+      keys: () => Object.keys(space.entries)
+    }
+  }
+
+  return { namespace }
+})()
@@ -0,0 +1,102 @@
+/**
+ * Budget-aware access to the execution history APIs for custom processors.
+ *
+ * executionSearchByIntegration, listExecutionFiles and getExecutionFile each allow 10 calls
+ * per execution, every search page included, and the whole processor has 60 seconds.
+ * ExecutionHistory makes every call through one budget:
+ *
+ * - search(integrationId, args, { maxPages, maxResults }) follows cursors until it has
+ *   every record, maxResults records or maxPages pages, or until the budget runs out, and
+ *   resolves with { data, partial }. partial is true when more records were left unread
+ * - listFiles(invocationId) and getFile(meta) resolve with null instead of calling when
+ *   their API has no calls left
+ * - newestFile(integrationId, { pattern, executions, search }) finds the newest file whose
+ *   name matches pattern (a string, regular expression or function) in the newest
+ *   `executions` executions, and resolves with { file, execution, partial }. partial is
+ *   true when the budget ran out before all of those executions were checked
+ * - remaining() returns the calls left for each API
+ *
+ * No call is started once CALL_LIMIT calls were made to its API, or once timeBudgetMs
+ * (45 seconds by default, see configure) passed since the module was loaded, which leaves
+ * the script time to finish. Results are cached, so asking for the same page, listing or
+ * file twice costs one call. Calls the script makes to the APIs directly are not counted.
+ *
+ * Embedded between "BEGIN shared/execution_history.js" and "END shared/execution_history.js"
+ * marker comments; edit this file, then run `node tools/sync_shared.js`.
+ */
+const ExecutionHistory = (() => {
+  const CALL_LIMIT = 10
+  const started = Date.now()
+  const settings = { timeBudgetMs: 45 * 1000 }
+  const calls = { executionSearchByIntegration: 0, listExecutionFiles: 0, getExecutionFile: 0 }
+  const cache = {}
+
+  const canCall = (name) => calls[name] < CALL_LIMIT && Date.now() - started < settings.timeBudgetMs
+
+  // calls an API once per distinct arguments; resolves with null when the budget is spent
+  const call = (name, fn, ...args) => {
+    const key = `${name}:${JSON.stringify(args)}`
+    if (cache[key]) return cache[key]
+    if (!canCall(name)) return Promise.resolve(null)
+    calls[name]++
+    cache[key] = fn(...args)
+    cache[key].catch(() => delete cache[key])
+    return cache[key]
+  }
+
+  const matcher = (pattern) => {
+    if (typeof pattern === 'function') return pattern
+    if (pattern instanceof RegExp) return (name) => pattern.test(name)
+    return (name) => name === pattern
+  }
+
+  const search = async (integrationId, args = {}, { maxPages = CALL_LIMIT, maxResults = Infinity } = {}) => {
+    const data = []
+    let cursor
+    for (let page = 0; page < maxPages; page++) {
+      const results = await call('executionSearchByIntegration', executionSearchByIntegration,
+        integrationId, cursor ? { ...args, cursor } : args)
+      if (!results) return { data, partial: true }
+      data.push(...results.data)
+      if (data.length >= maxResults) return { data: data.slice(0, maxResults), partial: results.hasMoreRecords || data.length > maxResults }
+      if (!results.hasMoreRecords) return { data, partial: false }
+      cursor = results.cursor
+    }
+    return { data, partial: true }
+  }
+
+  const listFiles = (invocationId) => call('listExecutionFiles', listExecutionFiles, invocationId)
+
+  const getFile = (meta) => call('getExecutionFile', getExecutionFile,
+    { invocationId: meta.invocation_id, fileId: meta.file_id })
+
+  const newestFile = async (integrationId, { pattern = () => true, executions = CALL_LIMIT, search: args = {} } = {}) => {
+    const matches = matcher(pattern)
+    const found = await search(integrationId, args, { maxResults: executions })
+    let best = null
+    // fewer executions than asked for and more left unread means the budget ran out
+    let partial = found.partial && found.data.length < executions
+    for (const execution of found.data) {
+      // files are created before their execution ends, so older executions cannot beat best
+      if (best && execution.ended_date && execution.ended_date < best.file.created_time) break
+      const files = await listFiles(execution.invocation_id)
+      if (!files) {
+        partial = true
+        break
+      }
+      files.filter(meta => matches(meta.file_name)).forEach(meta => {
+        if (!best || meta.created_time > best.file.created_time) best = { file: meta, execution }
+      })
+    }
+    return { file: best?.file || null, execution: best?.execution || null, partial }
+  }
+
+  return {
+    search,
+    listFiles,
+    getFile,
+    newestFile,
+    remaining: () => lodash.mapValues(calls, count => CALL_LIMIT - count),
+    configure: (options) => Object.assign(settings, options)
+  }
+})()
@@ -0,0 +1,75 @@
+/**
+ * Buffered user log for custom processors that log a lot.
+ *
+ * userLog keeps 10 KB of each message and 100 KB per execution, then drops everything
+ * after that, so on a big batch the errors at the end are the ones that get lost.
+ * LogBuffer.info/warning/error(message, file) collect messages instead of writing them,
+ * and LogBuffer.flush() writes them when the script is done:
+ *
+ * - identical messages at the same level are written once, with the number of repeats
+ * - messages over 10 KB are cut the way userLog would cut them
+ * - when everything does not fit in 100 KB, errors are kept first, then warnings, then
+ *   info; the messages that fit are written in the order they were logged
+ * - a summary line follows, with the count of messages by level, the number left out,
+ *   and the counts for each file passed as the second argument (a file object or name).
+ *   Nothing is written when nothing was logged
+ *
+ * LogBuffer.entries lists every message ({ level, text, fileName, time }), uncut and in
+ * order; shared/log_buffer_file.js turns it into a file to return with the output. Call
+ * flush() once, before returnSuccess/returnError/returnSkipped; messages written with
+ * userLog directly are not counted against the 100 KB.
+ *
+ * Embedded between "BEGIN shared/log_buffer.js" and "END shared/log_buffer.js" marker
+ * comments, after shared/utf8.js; edit this file, then run `node tools/sync_shared.js`.
+ */
+const LogBuffer = (() => {
+  const TOTAL_BYTES = 100 * 1024
+  const LEVELS = ['error', 'warning', 'info']
+  const entries = []
+  const unique = {} // `${level} ${message}` -> { level, text, count, order }
+  const byFile = {} // file name -> { error, warning, info }
+
+  const cut = (text) => Utf8.truncate(text, 10 * 1024, '... [truncated]')
+
+  const add = (level) => (message, file) => {
+    const text = String(message)
+    const fileName = file?.file_name || file
+    entries.push({ level, text, fileName, time: DateTime.now().toISO() })
+    const key = `${level} ${text}`
+    unique[key] = unique[key] || { level, text, count: 0, order: entries.length }
+    unique[key].count++
+    if (fileName) lodash.update(byFile, [fileName, level], count => (count || 0) + 1)
+  }
+
+  const countsOf = (counts) => LEVELS.filter(level => counts[level]).map(level => `${counts[level]} ${level}`).join(', ')
+
+  const summarize = (omitted) => {
+    const repeats = entries.length - Object.keys(unique).length
+    const notes = [
+      repeats && `${repeats} repeated message(s) collapsed`,
+      omitted.length && `${countsOf(lodash.countBy(omitted, 'level'))} message(s) left out to stay under the log size limit`
+    ].filter(Boolean)
+    return cut([
+      `Log summary: ${countsOf(lodash.countBy(entries, 'level'))}${notes.length ? ` (${notes.join('; ')})` : ''}`,
+      ...Object.entries(byFile).map(([name, counts]) => `${name}: ${countsOf(counts)}`)
+    ].join('\n'))
+  }
+
+  const flush = () => {
+    if (!entries.length) return
+    const messages = Object.values(unique).map(entry =>
+      ({ ...entry, text: cut(entry.count > 1 ? `${entry.text} (logged ${entry.count} times)` : entry.text) }))
+    // leave room for the summary at its longest, as if every message were left out
+    let room = TOTAL_BYTES - Utf8.byteLength(summarize(messages))
+    const [kept, omitted] = lodash.partition(lodash.sortBy(messages, entry => LEVELS.indexOf(entry.level), 'order'), entry => {
+      const bytes = Utf8.byteLength(entry.text)
+      if (bytes > room) return false
+      room -= bytes
+      return true
+    })
+    lodash.sortBy(kept, 'order').forEach(entry => userLog[entry.level](entry.text))
+    userLog.info(summarize(omitted))
+  }
+
+  return { info: add('info'), warning: add('warning'), error: add('error'), flush, entries }
+})()
@@ -0,0 +1,20 @@
+/**
+ * Full log file for shared/log_buffer.js.
+ *
+ * Adds LogBuffer.toFile(fileName) to the buffer in shared/log_buffer.js, which must be
+ * embedded first. It returns a text file with every message, uncut and in order, to return
+ * alongside the output files so nothing is lost to the log size limits. Scripts that do
+ * not attach their log leave this module out to save room under the 10,000 character
+ * limit. Embedded between "BEGIN shared/log_buffer_file.js" and
+ * "END shared/log_buffer_file.js" marker comments; edit this file, then run
+ * `node tools/sync_shared.js`.
+ */
+LogBuffer.toFile = (name = 'processor_log.txt') => ({
+  uuid: uuid(),
+  type: 'file',
+  file_name: name,
+  format: 'txt',
+  mime_type: 'text/plain',
+  body: LogBuffer.entries.map(({ level, text, fileName, time }) =>
+    `${time} ${level.toUpperCase()}${fileName ? ` [${fileName}]` : ''} ${text.replace(/\n/g, '\n  ')}\n`).join('')
+})
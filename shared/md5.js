@@ -0,0 +1,55 @@
+/**
+ * MD5 digest for custom processors, which have no crypto module.
+ *
+ * md5(input) returns the lowercase hex digest of a string (hashed as UTF-8) or of an array
+ * of byte values. MD5 is fine for recognizing content that was seen before, not for
+ * security. Embedded between "BEGIN shared/md5.js" and "END shared/md5.js" marker comments;
+ * edit this file, then run `node tools/sync_shared.js`.
+ */
+const md5 = (() => {
+  const SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21]
+  const CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) | 0)
+
+  const utf8 = (text) => {
+    const bytes = []
+    for (const char of text) {
+      const c = char.codePointAt(0)
+      if (c < 0x80) bytes.push(c)
+      else if (c < 0x800) bytes.push(0xc0 | c >> 6, 0x80 | c & 63)
+      else if (c < 0x10000) bytes.push(0xe0 | c >> 12, 0x80 | c >> 6 & 63, 0x80 | c & 63)
+      else bytes.push(0xf0 | c >> 18, 0x80 | c >> 12 & 63, 0x80 | c >> 6 & 63, 0x80 | c & 63)
+    }
+    return bytes
+  }
+
+  return (input) => {
+    const bytes = typeof input === 'string' ? utf8(input) : Array.from(input)
+    const bits = bytes.length * 8
+    bytes.push(0x80)
+    while (bytes.length % 64 !== 56) bytes.push(0)
+    // the message length in bits, as a little-endian 64-bit number
+    for (let i = 0; i < 8; i++) bytes.push(Math.floor(bits / 2 ** (8 * i)) & 255)
+
+    const state = [0x67452301, 0xefcdab89 | 0, 0x98badcfe | 0, 0x10325476]
+    for (let offset = 0; offset < bytes.length; offset += 64) {
+      const words = Array.from({ length: 16 }, (_, j) => {
+        const at = offset + j * 4
+        return bytes[at] | bytes[at + 1] << 8 | bytes[at + 2] << 16 | bytes[at + 3] << 24
+      })
+      let [a, b, c, d] = state
+      for (let i = 0; i < 64; i++) {
+        let f, g
+        if (i < 16) [f, g] = [(b & c) | (~b & d), i]
+        else if (i < 32) [f, g] = [(d & b) | (~d & c), (5 * i + 1) % 16]
+        else if (i < 48) [f, g] = [b ^ c ^ d, (3 * i + 5) % 16]
+        else [f, g] = [c ^ (b | ~d), (7 * i) % 16]
+        const shift = SHIFTS[(i >> 4) * 4 + i % 4]
+        const sum = (a + f + CONSTANTS[i] + words[g]) | 0
+        ;[a, d, c] = [d, c, b]
+        b = (b + (sum << shift | sum >>> (32 - shift))) | 0
+      }
+      ;[a, b, c, d].forEach((value, i) => { state[i] = (state[i] + value) | 0 })
+    }
+    return state.map(word => [0, 8, 16, 24].map(shift => (word >>> shift & 255).toString(16).padStart(2, '0')).join('')).join('')
+  }
+})()
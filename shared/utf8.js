@@ -0,0 +1,36 @@
+/**
+ * UTF-8 byte counting for custom processors.
+ *
+ * The platform measures log messages, tag labels and tag values in UTF-8 bytes, not
+ * characters. Utf8.byteLength(text) counts the bytes of text, and
+ * Utf8.truncate(text, maxBytes, marker) cuts it to maxBytes without splitting a character,
+ * ending it with marker (counted in maxBytes) when anything was cut.
+ *
+ * Embedded between "BEGIN shared/utf8.js" and "END shared/utf8.js" marker comments, ahead
+ * of shared/log_buffer.js and shared/data_tags.js, which use it; edit this file, then run
+ * `node tools/sync_shared.js`.
+ */
+const Utf8 = (() => {
+  const byteLength = (text) => {
+    let bytes = 0
+    for (const char of text) {
+      const c = char.codePointAt(0)
+      bytes += c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4
+    }
+    return bytes
+  }
+
+  const truncate = (text, maxBytes, marker = '') => {
+    if (byteLength(text) <= maxBytes) return text
+    let out = ''
+    let bytes = byteLength(marker)
+    for (const char of text) {
+      bytes += byteLength(char)
+      if (bytes > maxBytes) break
+      out += char
+    }
+    return out + marker
+  }
+
+  return { byteLength, truncate }
+})()
@@ -0,0 +1,149 @@
+/**
+ * Shared X12 reader for custom processors.
+ *
+ * Custom processors cannot require() modules, so scripts that use this file embed a copy
+ * of it between "BEGIN shared/x12.js" and "END shared/x12.js" marker comments. Edit this
+ * file, then run `node tools/sync_shared.js` to refresh every embedded copy.
+ *
+ * X12.parse(body) returns
+ *   {
+ *     delimiters: { element, component, repetition, segment, lineEnding },
+ *     interchanges: [{ isa, iea, extra, groups: [{ gs, ge, extra, transactions: [{ st, se, segments }] }] }]
+ *   }
+ * where every segment has `id`, `elements` (elements[0] is the id), `position` (counted from
+ * the first ISA, starting at 1), `element(n, component, repetition)` and
+ * `setElement(n, value, component)`; component and repetition count from 1. A
+ * transaction's `segments` run from ST to SE inclusive, so a segment's X12 position in
+ * its transaction set is its index + 1. Segments found between envelope segments but
+ * outside a transaction set (e.g. TA1) are kept in `extra` and written straight after
+ * the ISA or GS.
+ *
+ * Segments are split on the document's own delimiters and keep the line breaks that
+ * followed them, so shared/x12_writer.js can write a document back without changing the
+ * bytes of untouched segments. X12.segment(doc, elements) creates a new segment that uses
+ * the document's delimiters.
+ */
+const X12 = (() => {
+  /**
+   * Reads the delimiters from an ISA segment. The element separator follows "ISA", the
+   * component separator is ISA16 and the segment terminator follows ISA16. The
+   * repetition separator is ISA11 from version 00402 on (earlier versions use "U").
+   */
+  const parseDelimiters = (body, isaStart = body.indexOf('ISA')) => {
+    if (isaStart === -1) return null
+    // the 17th piece starts with ISA16, the segment terminator and any line break
+    const isa = body.slice(isaStart).split(body[isaStart + 3], 17)
+    if (isa.length < 17 || isa[16].length < 2) return null
+    return {
+      element: body[isaStart + 3],
+      component: isa[16][0],
+      repetition: isa[12] >= '00402' && /^[^\w\s]$/.test(isa[11]) ? isa[11] : null,
+      segment: isa[16][1],
+      lineEnding: isa[16].slice(2).match(/^[\r\n]*/)[0]
+    }
+  }
+
+  const makeSegment = (elements, delimiters, suffix = delimiters.lineEnding) => ({
+    id: elements[0],
+    elements,
+    suffix,
+    terminated: true,
+    element (n, component, repetition) {
+      let value = this.elements[n] || ''
+      if (repetition && delimiters.repetition) value = value.split(delimiters.repetition)[repetition - 1] || ''
+      return component ? value.split(delimiters.component)[component - 1] || '' : value
+    },
+    setElement (n, value, component) {
+      while (this.elements.length <= n) this.elements.push('')
+      if (component) {
+        const parts = this.elements[n].split(delimiters.component)
+        while (parts.length < component) parts.push('')
+        parts[component - 1] = value
+        value = parts.join(delimiters.component)
+      }
+      this.elements[n] = value
+    },
+    toString () {
+      return this.elements.join(delimiters.element)
+    }
+  })
+
+  /**
+   * Splits a body into segments without building the envelope hierarchy. Line breaks,
+   * stray whitespace and empty segments are kept in the previous segment's suffix.
+   */
+  const tokenize = (body) => {
+    const isaStart = body.indexOf('ISA')
+    const delimiters = parseDelimiters(body, isaStart)
+    if (!delimiters) throw new Error('No valid ISA segment found')
+    const segments = []
+    body.slice(isaStart).split(delimiters.segment).forEach((chunk, idx, chunks) => {
+      const prev = segments[segments.length - 1]
+      const text = prev ? chunk.trimStart() : chunk
+      const last = idx === chunks.length - 1
+      if (prev) prev.suffix += chunk.slice(0, chunk.length - text.length) + (text || last ? '' : delimiters.segment)
+      if (!text) return
+      const segment = makeSegment(text.split(delimiters.element), delimiters, '')
+      segment.terminated = !last
+      segments.push(segment)
+    })
+    return { delimiters, prefix: body.slice(0, isaStart), segments }
+  }
+
+  const parse = (body) => {
+    const { delimiters, prefix, segments } = tokenize(body)
+    const doc = { delimiters, prefix, interchanges: [] }
+    let interchange = null
+    let group = null
+    let transaction = null
+    segments.forEach((seg, idx) => {
+      seg.position = idx + 1
+      const inside = (parent, what) => {
+        if (!parent) throw new Error(`${seg.id} segment at position ${idx + 1} is outside ${what}`)
+      }
+      if (seg.id !== 'ISA') inside(interchange, 'an interchange')
+      if (['GE', 'ST'].includes(seg.id)) inside(group, 'a functional group')
+      if (seg.id === 'ISA') {
+        interchange = { isa: seg, iea: null, extra: [], groups: [] }
+        doc.interchanges.push(interchange)
+        group = transaction = null
+      } else if (seg.id === 'IEA') {
+        interchange.iea = seg
+        interchange = group = transaction = null
+      } else if (seg.id === 'GS') {
+        group = { gs: seg, ge: null, extra: [], transactions: [] }
+        interchange.groups.push(group)
+        transaction = null
+      } else if (seg.id === 'GE') {
+        group.ge = seg
+        group = transaction = null
+      } else if (seg.id === 'ST') {
+        transaction = { st: seg, se: null, segments: [seg] }
+        group.transactions.push(transaction)
+      } else if (transaction) {
+        transaction.segments.push(seg)
+        if (seg.id === 'SE') {
+          transaction.se = seg
+          transaction = null
+        }
+      } else {
+        (group || interchange).extra.push(seg)
+      }
+    })
+    return doc
+  }
+
+  /**
+   * Lists every transaction set in the document along with its group and interchange.
+   */
+  const transactions = (doc) => doc.interchanges.flatMap(interchange =>
+    interchange.groups.flatMap(group =>
+      group.transactions.map(transaction => ({ interchange, group, transaction }))))
+
+  return {
+    parseDelimiters,
+    parse,
+    transactions,
+    segment: (doc, elements) => makeSegment(elements, doc.delimiters)
+  }
+})()
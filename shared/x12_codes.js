@@ -0,0 +1,109 @@
+/**
+ * X12 997 functional acknowledgment and 999 implementation acknowledgment code lists.
+ *
+ * Shared by the script that reads the 997s and 999s our partners send and the script that
+ * generates the 997s we send, so both describe an error with the same code and text.
+ * Embedded between "BEGIN shared/x12_codes.js" and "END shared/x12_codes.js" marker
+ * comments; edit this file, then run `node tools/sync_shared.js`.
+ */
+
+// AK304 - Segment syntax error code
+const AK3_ERROR_ENUM = {
+  1: 'Unrecognized segment ID',
+  2: 'Unexpected segment',
+  3: 'Mandatory segment missing',
+  4: 'Loop occurs over maximum times',
+  5: 'Segment exceeds maximum use',
+  6: 'Segment not in defined transaction set',
+  7: 'Segment not in proper sequence',
+  8: 'Segment has data element errors'
+}
+
+// AK403 - Data element syntax error code
+const AK4_ERROR_ENUM = {
+  1: 'Mandatory data element missing',
+  2: 'Conditional required data element missing',
+  3: 'Too many data elements',
+  4: 'Data element too short',
+  5: 'Data element too long',
+  6: 'Invalid character in data element',
+  7: 'Invalid code value',
+  8: 'Invalid date',
+  9: 'Invalid time',
+  10: 'Exclusion condition violated',
+  12: 'Too many repetitions',
+  13: 'Too many components',
+  16: 'Composite data structure contains excess trailing delimiters'
+}
+
+// AK501 - Transaction set acknowledgment code
+const AK5_CODE_ENUM = {
+  A: 'Accepted',
+  E: 'Accepted but errors were noted',
+  M: 'Rejected, message authentication code (MAC) failed',
+  R: 'Rejected',
+  W: 'Rejected, assurance failed validity tests',
+  X: 'Rejected, content after decryption could not be analyzed'
+}
+
+// AK502-AK506 - Transaction set syntax error code
+const AK5_ERROR_ENUM = {
+  1: 'Transaction set not supported',
+  2: 'Transaction set trailer missing',
+  3: 'Transaction set control number in header and trailer do not match',
+  4: 'Number of included segments does not match actual count',
+  5: 'One or more segments in error',
+  6: 'Missing or invalid transaction set identifier',
+  7: 'Missing or invalid transaction set control number'
+}
+
+// AK901 - Functional group acknowledge code
+const AK9_CODE_ENUM = {
+  A: 'Accepted',
+  E: 'Accepted but errors were noted',
+  P: 'Partially accepted',
+  R: 'Rejected'
+}
+
+// AK905-AK909 - Functional group syntax error code
+const AK9_ERROR_ENUM = {
+  1: 'Functional group not supported',
+  2: 'Functional group version not supported',
+  3: 'Functional group trailer missing',
+  4: 'Group control number in the functional group header and trailer do not agree',
+  5: 'Number of included transaction sets does not match actual count',
+  6: 'Group control number violates syntax'
+}
+
+// 999 implementation acknowledgments use the same codes plus implementation guide ("I") codes
+
+// IK304 - Implementation segment syntax error code
+const IK3_ERROR_ENUM = {
+  ...AK3_ERROR_ENUM,
+  I4: 'Implementation "Not Used" segment present',
+  I6: 'Implementation dependent segment missing',
+  I7: 'Implementation loop occurs under minimum times',
+  I8: 'Implementation segment below minimum use',
+  I9: 'Implementation dependent "Not Used" segment present'
+}
+
+// IK403 - Implementation data element syntax error code
+const IK4_ERROR_ENUM = {
+  ...AK4_ERROR_ENUM,
+  I6: 'Code value not used in implementation',
+  I9: 'Implementation dependent data element missing',
+  I10: 'Implementation "Not Used" data element present',
+  I11: 'Implementation too few repetitions',
+  I12: 'Implementation pattern match failure',
+  I13: 'Implementation dependent "Not Used" data element present'
+}
+
+// IK502-IK506 - Implementation transaction set syntax error code
+const IK5_ERROR_ENUM = {
+  ...AK5_ERROR_ENUM,
+  18: 'Transaction set not in functional group',
+  19: 'Invalid transaction set implementation convention reference',
+  23: 'Transaction set control number not unique within the functional group',
+  I5: 'Implementation one or more segments in error',
+  I6: 'Implementation convention not supported'
+}
@@ -0,0 +1,31 @@
+/**
+ * Shared X12 writer for custom processors.
+ *
+ * Adds X12.serialize(doc) to the reader in shared/x12.js, which must be embedded first.
+ * Scripts that only read X12 leave this module out to save room under the 10,000
+ * character limit. Embedded between "BEGIN shared/x12_writer.js" and
+ * "END shared/x12_writer.js" marker comments; edit this file, then run
+ * `node tools/sync_shared.js`.
+ *
+ * X12.serialize(doc) writes a document from X12.parse back. Every segment is joined on the
+ * document's delimiters and followed by the line breaks it was read with, so untouched
+ * segments come out byte for byte.
+ */
+X12.serialize = (doc) => {
+  const out = [doc.prefix]
+  const write = (seg) => {
+    if (seg) out.push(seg.toString() + (seg.terminated ? doc.delimiters.segment : '') + seg.suffix)
+  }
+  doc.interchanges.forEach(interchange => {
+    write(interchange.isa)
+    interchange.extra.forEach(write)
+    interchange.groups.forEach(group => {
+      write(group.gs)
+      group.extra.forEach(write)
+      group.transactions.forEach(transaction => transaction.segments.forEach(write))
+      write(group.ge)
+    })
+    write(interchange.iea)
+  })
+  return out.join('')
+}
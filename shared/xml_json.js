@@ -0,0 +1,170 @@
+/**
+ * XML <-> JSON conversion for custom processors, built on the xml library.
+ *
+ * XmlJson.toJson(body, options) parses an XML string and returns an object whose one key is
+ * the root element. Each element becomes:
+ * - its text, when it has no attributes and no child elements ('' when it is empty)
+ * - otherwise an object with its attributes under '@name', its child elements under their
+ *   names, and its own text, when there is any besides whitespace, under '#text'
+ * A child element repeated under the same parent becomes an array, and so does every
+ * element whose path matches `arrays` however often it appears, so a shipment with one
+ * OrganizationAddress has the same shape as one with five.
+ *
+ * XmlJson.toXml(json, options) writes such an object back to an XML string with
+ * xml.Document, attributes and text first, then the child elements in key order.
+ *
+ * Options, all optional:
+ * - arrays: paths of the elements that are always arrays
+ * - types: { path: 'integer' | 'decimal' | 'date' | 'boolean' } reads the values at those
+ *   paths with xml.integer, xml.decimal (as a number), xml.date (as an ISO string) or
+ *   xml.boolean; a value they cannot read stays text. toXml writes typed values with
+ *   String(), so leave types out where the text must round-trip exactly
+ * - namespaces: 'local' (the default) keys elements by local name and records an '@xmlns'
+ *   attribute wherever the namespace changes; 'qualified' keys them by prefixed name and
+ *   records the '@xmlns:prefix' declarations they need. Either way an element keeps its
+ *   namespace through a round trip. Attributes keep their prefixed names
+ * - attributePrefix ('@'), textKey ('#text') and pretty (true: toXml indents its output)
+ *
+ * A path is the element names from the root joined with '/', such as
+ * 'UniversalShipment/Shipment/OrganizationAddressCollection/OrganizationAddress', and an
+ * attribute's path ends in '/@name'. A pattern that starts with '/' must match the whole
+ * path, other patterns match its end, and '*' matches any characters within a step, so
+ * '*Collection/*' matches every child of a CargoWise collection.
+ *
+ * Element order is kept, except that the occurrences of a repeated element are grouped
+ * where the first one was. Comments, processing instructions and the position of text
+ * between child elements (mixed content) are not kept.
+ *
+ * Embedded between "BEGIN shared/xml_json.js" and "END shared/xml_json.js" marker
+ * comments; edit this file, then run `node tools/sync_shared.js`.
+ */
+const XmlJson = (() => {
+  const DEFAULTS = { arrays: [], types: {}, namespaces: 'local', attributePrefix: '@', textKey: '#text', pretty: true }
+
+  // xml helpers for each type; they return null or undefined for a value they cannot read
+  const READERS = {
+    integer: (node, expression) => xml.integer(node, expression),
+    decimal: (node, expression) => xml.decimal(node, expression)?.toNumber(),
+    date: (node, expression) => xml.date(node, expression)?.toISO(),
+    boolean: (node, expression) => xml.boolean(node, expression)
+  }
+
+  const compile = (pattern) => {
+    const steps = pattern.replace(/^\//, '').split('/').map(step => lodash.escapeRegExp(step).replace(/\\\*/g, '[^/]*'))
+    return new RegExp(`${pattern.startsWith('/') ? '^' : '(^|/)'}${steps.join('/')}$`)
+  }
+
+  const prepare = (options) => {
+    const settings = { ...DEFAULTS, ...options }
+    if (!['local', 'qualified'].includes(settings.namespaces)) throw new Error(`Unknown namespaces option "${settings.namespaces}"`)
+    if (!settings.attributePrefix) throw new Error('attributePrefix cannot be empty')
+    const arrays = settings.arrays.map(compile)
+    const types = Object.entries(settings.types).map(([pattern, type]) => {
+      if (!READERS[type]) throw new Error(`Unknown type "${type}" for ${pattern}`)
+      return [compile(pattern), READERS[type]]
+    })
+    return {
+      ...settings,
+      isArray: (path) => arrays.some(re => re.test(path)),
+      readerFor: (path) => types.find(([re]) => re.test(path))?.[1]
+    }
+  }
+
+  const stringOf = (node, expression) => xml.evaluate(node, expression).stringValue()
+
+  const coerce = (settings, path, node, expression, text) => {
+    const reader = settings.readerFor(path)
+    const value = reader ? reader(node, expression) : null
+    return value === null || value === undefined ? text : value
+  }
+
+  /**
+   * Reads an element and everything below it.
+   *
+   * @param {object} settings - The prepared options
+   * @param {object} element - The element
+   * @param {string} parentPath - The path of its parent, '' for the root
+   * @param {object} scope - Namespace prefix -> URI declared on its ancestors
+   * @returns {object} - { name, path, value }
+   */
+  const readElement = (settings, element, parentPath, scope) => {
+    const qualifiedName = stringOf(element, 'name()')
+    const name = settings.namespaces === 'qualified' ? qualifiedName : element.localName()
+    const path = parentPath ? `${parentPath}/${name}` : name
+    const value = {}
+    const inScope = { ...scope }
+    const declare = (prefix, uri) => {
+      if (prefix === 'xml' || (inScope[prefix] || '') === uri) return
+      inScope[prefix] = uri
+      value[`${settings.attributePrefix}${prefix ? `xmlns:${prefix}` : 'xmlns'}`] = uri
+    }
+    const elementPrefix = settings.namespaces === 'qualified' && qualifiedName.includes(':') ? qualifiedName.split(':')[0] : ''
+    declare(elementPrefix, stringOf(element, 'namespace-uri()'))
+
+    const attributeCount = xml.evaluate(element, 'count(@*)').numberValue()
+    for (let i = 1; i <= attributeCount; i++) {
+      const attribute = `@*[${i}]`
+      const attributeName = stringOf(element, `name(${attribute})`)
+      // declarations are written from the names that need them
+      if (attributeName === 'xmlns' || attributeName.startsWith('xmlns:')) continue
+      if (attributeName.includes(':')) declare(attributeName.split(':')[0], stringOf(element, `namespace-uri(${attribute})`))
+      value[`${settings.attributePrefix}${attributeName}`] =
+        coerce(settings, `${path}/@${attributeName}`, element, attribute, stringOf(element, `string(${attribute})`))
+    }
+
+    const children = xml.elements(element, '*')
+    if (!children.length) {
+      const text = coerce(settings, path, element, '.', stringOf(element, 'string(.)'))
+      if (lodash.isEmpty(value)) return { name, path, value: text }
+      if (text !== '') value[settings.textKey] = text
+      return { name, path, value }
+    }
+
+    const textCount = xml.evaluate(element, 'count(text())').numberValue()
+    const ownText = lodash.range(1, textCount + 1).map(i => stringOf(element, `string(text()[${i}])`)).join('').trim()
+    if (ownText) value[settings.textKey] = ownText
+    children.forEach(child => {
+      const read = readElement(settings, child, path, inScope)
+      if (Array.isArray(value[read.name])) value[read.name].push(read.value)
+      else if (read.name in value) value[read.name] = [value[read.name], read.value]
+      else value[read.name] = settings.isArray(read.path) ? [read.value] : read.value
+    })
+    return { name, path, value }
+  }
+
+  const writeElement = (settings, element, value) => {
+    if (value === null || value === undefined) return
+    if (typeof value !== 'object') {
+      element.setTextContent(String(value))
+      return
+    }
+    if (Array.isArray(value)) throw new Error('An array must be the value of an element name')
+    const entries = Object.entries(value)
+    const isAttribute = (key) => key.startsWith(settings.attributePrefix)
+    entries.filter(([key]) => isAttribute(key))
+      .forEach(([key, attribute]) => element.setAttribute(key.slice(settings.attributePrefix.length), String(attribute)))
+    // text goes in before the children, as setting it replaces the element's content
+    if (value[settings.textKey] !== undefined && value[settings.textKey] !== null) element.setTextContent(String(value[settings.textKey]))
+    entries.filter(([key]) => key !== settings.textKey && !isAttribute(key)).forEach(([key, child]) => {
+      lodash.castArray(child).forEach(item => writeElement(settings, element.appendChild(key), item))
+    })
+  }
+
+  const toJson = (body, options = {}) => {
+    const settings = prepare(options)
+    const document = xml.XmlParser.parseFromString(body, { strip_namespaces: false })
+    const { name, value } = readElement(settings, document.rootElement(), '', {})
+    return { [name]: value }
+  }
+
+  const toXml = (json, options = {}) => {
+    const settings = prepare(options)
+    const names = Object.keys(json || {})
+    if (names.length !== 1) throw new Error(`Expected one root element, found ${names.length}`)
+    const document = xml.Document.createDocument(names[0])
+    writeElement(settings, document.rootElement(), json[names[0]])
+    return new xml.XmlSerializer(settings.pretty ? { format: {} } : undefined).serializeToString(document)
+  }
+
+  return { toJson, toXml }
+})()
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * Statically checks processor scripts against the platform limits before they are deployed.
+ * A script over the character limit is checked together with its packed copy (packed/ next
+ * to the script), which is what gets deployed.
+ *
+ * Example:
+ *   node tools/check_limits.js example_scripts/*.js
+ */
+const fs = require('fs')
+const { checkScript, formatProblem, packedPath } = require('./limits')
+
+const paths = process.argv.slice(2)
+if (!paths.length || paths.includes('--help')) {
+  console.log('Usage: node tools/check_limits.js <script> [<script> ...]')
+  process.exit(paths.length ? 0 : 2)
+}
+
+let errors = 0
+paths.forEach(scriptPath => {
+  const packed = fs.existsSync(packedPath(scriptPath)) ? fs.readFileSync(packedPath(scriptPath), 'utf8') : undefined
+  const problems = checkScript(fs.readFileSync(scriptPath, 'utf8'), { packed })
+  errors += problems.filter(p => p.severity === 'error').length
+  if (!problems.length) {
+    console.log(`${scriptPath}: ok`)
+    return
+  }
+  problems.forEach(problem => console.log(`${scriptPath}: ${formatProblem(problem)}`))
+})
+
+process.exit(errors ? 1 : 0)
@@ -0,0 +1,168 @@
+/**
+ * Fixture-backed stand-ins for executionSearchByIntegration, listExecutionFiles and
+ * getExecutionFile.
+ *
+ * A fixture directory holds recorded executions and the files they produced:
+ *
+ *   history/
+ *     executions.json            Array of execution records (see EXECUTION_SEARCH.md)
+ *     files/
+ *       <invocation_id>/
+ *         orders.xml             One file per file the execution produced
+ *
+ * An execution record may list its files as `files: [{ file_name, created_time, file_tags }]`.
+ * When it doesn't, every file in its folder is listed with the execution's start_date as
+ * its created_time.
+ */
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { toFileObject } = require('./files')
+
+const CALL_LIMIT = 10
+const DEFAULT_PAGE_SIZE = 50
+
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64')
+
+const decodeCursor = (cursor) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'))
+    if (Number.isInteger(offset) && offset >= 0) return offset
+  } catch (err) {
+    // fall through to the error below
+  }
+  throw new Error(`Invalid cursor "${cursor}"`)
+}
+
+const parseDate = (value, name) => {
+  const time = Date.parse(value)
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} "${value}", expected an ISO 8601 date-time string`)
+  }
+  return time
+}
+
+/**
+ * Wraps an API function so it throws once it has been called more than `limit` times,
+ * the same way the platform rejects an execution that exceeds its per-API budget.
+ */
+const limitCalls = (name, limit, calls, fn) => async (...args) => {
+  calls[name] = (calls[name] || 0) + 1
+  if (calls[name] > limit) {
+    throw new Error(`${name} rate limit exceeded: maximum ${limit} calls per execution`)
+  }
+  return fn(...args)
+}
+
+/**
+ * Loads a fixture directory and returns the three history API functions, bound to a
+ * fresh per-execution call budget.
+ *
+ * @param {string} dir - The fixture directory
+ * @param {object} [options]
+ * @param {number} [options.pageSize] - Records per executionSearchByIntegration page
+ * @param {number} [options.callLimit] - Calls allowed per API per execution
+ * @returns {object} - { executionSearchByIntegration, listExecutionFiles, getExecutionFile, calls }
+ */
+const createExecutionHistory = (dir, { pageSize = DEFAULT_PAGE_SIZE, callLimit = CALL_LIMIT } = {}) => {
+  const executionsPath = path.join(dir, 'executions.json')
+  const executions = JSON.parse(fs.readFileSync(executionsPath, 'utf8'))
+  if (!Array.isArray(executions)) {
+    throw new Error(`${executionsPath} must contain an array of execution records`)
+  }
+
+  const records = executions
+    .map(execution => {
+      const invocationId = execution.invocation_id || execution.invocation_uuid
+      if (!invocationId) throw new Error(`Execution record without invocation_id in ${executionsPath}`)
+      return { ...execution, invocation_id: invocationId, invocation_uuid: invocationId }
+    })
+    .sort((a, b) => Date.parse(b.start_date) - Date.parse(a.start_date))
+
+  const filesDir = (invocationId) => path.join(dir, 'files', path.basename(invocationId))
+
+  const fileMetadata = (execution) => {
+    const folder = filesDir(execution.invocation_id)
+    const listed = execution.files || (fs.existsSync(folder)
+      ? fs.readdirSync(folder).filter(name => fs.statSync(path.join(folder, name)).isFile()).sort().map(file_name => ({ file_name }))
+      : [])
+
+    return listed.map(({ file_name, created_time, file_tags }) => {
+      const content = fs.readFileSync(path.join(folder, path.basename(file_name)))
+      const fileHash = crypto.createHash('md5').update(content).digest('hex')
+      const createdTime = created_time || execution.start_date
+      const fileId = `${createdTime}~${fileHash}`
+      return {
+        invocation_id: execution.invocation_id,
+        invocation_uuid: execution.invocation_id,
+        file_name,
+        created_time: createdTime,
+        file_id: fileId,
+        time_and_hash: fileId,
+        file_hash: fileHash,
+        file_size: content.length,
+        file_tags: file_tags || []
+      }
+    })
+  }
+
+  const findExecution = (invocationId) => records.find(r => r.invocation_id === invocationId)
+
+  const search = async (integrationId, args = {}) => {
+    if (!integrationId) throw new Error('executionSearchByIntegration requires an integrationId')
+    const { startDateAfter, startDateBefore, dataTag, flow_id: flowId, cursor } = args
+    const after = startDateAfter ? parseDate(startDateAfter, 'startDateAfter') : null
+    const before = startDateBefore ? parseDate(startDateBefore, 'startDateBefore') : null
+
+    const matches = records.filter(r => {
+      const started = Date.parse(r.start_date)
+      if (r.integration_id !== integrationId) return false
+      if (flowId && r.flow_id !== flowId) return false
+      if (after !== null && !(started > after)) return false
+      if (before !== null && !(started < before)) return false
+      if (dataTag && !(r.data_tags || []).some(tag => tag.value === dataTag)) return false
+      return true
+    })
+
+    const offset = cursor ? decodeCursor(cursor) : 0
+    const data = matches.slice(offset, offset + pageSize).map(({ files, ...record }) => record)
+    const hasMoreRecords = offset + pageSize < matches.length
+    return {
+      data,
+      hasMoreRecords,
+      cursor: hasMoreRecords ? encodeCursor(offset + pageSize) : null
+    }
+  }
+
+  const list = async (invocationId) => {
+    if (!invocationId) throw new Error('listExecutionFiles requires an invocation id')
+    const execution = findExecution(invocationId)
+    return execution ? fileMetadata(execution) : []
+  }
+
+  const get = async (args = {}) => {
+    const invocationId = args.invocationId || args.invocation_id || args.invocation_uuid
+    const fileId = args.fileId || args.file_id || args.time_and_hash
+    if (!invocationId || !fileId) {
+      throw new Error('getExecutionFile requires { invocationId, fileId } (or { invocation_uuid, time_and_hash })')
+    }
+    const execution = findExecution(invocationId)
+    const meta = execution && fileMetadata(execution).find(f => f.file_id === fileId)
+    if (!meta) throw new Error(`File ${fileId} not found for invocation ${invocationId}`)
+    return toFileObject(meta.file_name, fs.readFileSync(path.join(filesDir(invocationId), path.basename(meta.file_name))))
+  }
+
+  const calls = {}
+  return {
+    executionSearchByIntegration: limitCalls('executionSearchByIntegration', callLimit, calls, search),
+    listExecutionFiles: limitCalls('listExecutionFiles', callLimit, calls, list),
+    getExecutionFile: limitCalls('getExecutionFile', callLimit, calls, get),
+    calls
+  }
+}
+
+module.exports = {
+  CALL_LIMIT,
+  DEFAULT_PAGE_SIZE,
+  createExecutionHistory
+}
@@ -0,0 +1,79 @@
+/**
+ * Converts between files on disk and the file objects processors receive.
+ */
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const MIME_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  xml: 'application/xml',
+  txt: 'text/plain',
+  html: 'text/html',
+  edi: 'application/edi-x12',
+  x12: 'application/edi-x12',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  xlsm: 'application/vnd.ms-excel.sheet.macroEnabled.12',
+  xlsb: 'application/vnd.ms-excel.sheet.binary.macroEnabled.12',
+  xls: 'application/vnd.ms-excel',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif'
+}
+
+/**
+ * Formats whose body is carried as a base64 string, matching how the platform hands
+ * binary files to processors.
+ */
+const BINARY_FORMATS = new Set(['xlsx', 'xlsm', 'xlsb', 'xls', 'ods', 'pdf', 'zip', 'png', 'jpg', 'jpeg', 'gif'])
+
+const formatOf = (fileName) => path.extname(fileName || '').slice(1).toLowerCase()
+
+const isBinary = (fileName) => BINARY_FORMATS.has(formatOf(fileName))
+
+/**
+ * Builds a standard file object from a file name and its raw content.
+ *
+ * @param {string} fileName - The file name including extension
+ * @param {Buffer} content - The raw file content
+ * @returns {object} - A file object as seen in sourceFiles/destinationFiles
+ */
+const toFileObject = (fileName, content) => {
+  const format = formatOf(fileName)
+  return {
+    uuid: crypto.randomUUID(),
+    type: 'file',
+    file_name: fileName,
+    format,
+    mime_type: MIME_TYPES[format] || 'application/octet-stream',
+    body: isBinary(fileName) ? content.toString('base64') : content.toString('utf8')
+  }
+}
+
+/**
+ * Reads every regular file in a directory (not recursive) into file objects, sorted by name.
+ *
+ * @param {string} dir - The input directory
+ * @returns {Array<object>} - The file objects
+ */
+const loadInputFiles = (dir) => {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+    .map(entry => entry.name)
+    .sort()
+    .map(name => toFileObject(name, fs.readFileSync(path.join(dir, name))))
+}
+
+module.exports = {
+  MIME_TYPES,
+  BINARY_FORMATS,
+  formatOf,
+  isBinary,
+  toFileObject,
+  loadInputFiles
+}
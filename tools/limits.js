@@ -0,0 +1,612 @@
+/**
+ * Checks processor scripts and their run output against the platform limits listed in
+ * README.md#limitations-to-remember.
+ *
+ * Every check returns a list of problems shaped { severity, rule, message, line? } where
+ * severity is 'error' (the platform rejects or drops data) or 'warning' (the platform
+ * truncates data but the execution continues).
+ */
+
+const path = require('path')
+const { LIBRARY_MODULES, HISTORY_FUNCTIONS } = require('./sandbox')
+
+const LIMITS = {
+  scriptCharacters: 10000,
+  timeoutMs: 60 * 1000,
+  logMessageBytes: 10 * 1024,
+  logTotalBytes: 100 * 1024,
+  dataTagLabelBytes: 50,
+  dataTagValueBytes: 255,
+  dataTagsPerExecution: 100
+}
+
+const LOG_TRUNCATION_MARKER = '... [truncated]'
+
+const REQUIRED_FILE_FIELDS = ['uuid', 'type', 'file_name', 'body']
+
+/**
+ * Constructs the sandbox does not allow, matched against code with comments and string
+ * contents blanked out so mentions in a comment or a log message don't count.
+ */
+const FORBIDDEN_CONSTRUCTS = [
+  { rule: 'no-require', pattern: /\brequire\s*\(/g, message: 'require() is not available, only the built-in libraries can be used' },
+  { rule: 'no-import', pattern: /(^|[^.\w$])import\s*[\w${*('"]/gm, message: 'import is not available, only the built-in libraries can be used' },
+  { rule: 'no-symbol', pattern: /(^|[^.\w$])Symbol\b/gm, message: 'Symbol access is blocked by the sandbox' }
+]
+
+// Words after which a slash starts a regular expression rather than a division
+const REGEX_KEYWORDS = ['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'void', 'yield', 'await', 'throw', 'delete', 'new']
+
+// Punctuation that needs no surrounding whitespace in packed code
+const PACK_PUNCTUATION = '{}()[];,:=<>!?&|+-*/%^~'
+
+const byteLength = (str) => Buffer.byteLength(str, 'utf8')
+
+/**
+ * Truncates a string to at most maxBytes of UTF-8 without splitting a character.
+ *
+ * @param {string} str - The string to truncate
+ * @param {number} maxBytes - The maximum size in bytes
+ * @returns {string} - The original string, or its longest prefix that fits
+ */
+const truncateBytes = (str, maxBytes) => {
+  if (byteLength(str) <= maxBytes) return str
+  let bytes = 0
+  let out = ''
+  for (const char of str) {
+    bytes += byteLength(char)
+    if (bytes > maxBytes) break
+    out += char
+  }
+  return out
+}
+
+/**
+ * Labels every character of a JavaScript source as code ('c'), comment ('x') or the
+ * contents of a string, template or regular expression literal ('s'). Quotes, slashes and
+ * template ${} expressions count as code.
+ *
+ * A slash starts a regular expression when the code before it cannot end an expression
+ * (an operator, an opening bracket, a keyword such as return, or nothing at all).
+ *
+ * @param {string} source - JavaScript source
+ * @returns {string} - One label per source character
+ */
+const classifySource = (source) => {
+  const kinds = new Array(source.length).fill('c')
+  const mark = (from, to, kind) => {
+    for (let i = from; i < to; i++) kinds[i] = kind
+  }
+  // each entry is the brace depth at which a template literal's ${ was opened
+  const templateStack = []
+  let braceDepth = 0
+  let i = 0
+
+  const skipString = (quote, start) => {
+    let j = start + 1
+    while (j < source.length && source[j] !== quote && source[j] !== '\n') {
+      j += source[j] === '\\' ? 2 : 1
+    }
+    mark(start + 1, Math.min(j, source.length), 's')
+    return j + 1
+  }
+
+  const skipRegex = (start) => {
+    let j = start + 1
+    let inClass = false
+    while (j < source.length && source[j] !== '\n' && (inClass || source[j] !== '/')) {
+      if (source[j] === '[') inClass = true
+      if (source[j] === ']') inClass = false
+      j += source[j] === '\\' ? 2 : 1
+    }
+    mark(start + 1, Math.min(j, source.length), 's')
+    return j + 1
+  }
+
+  const startsRegex = (pos) => {
+    let j = pos - 1
+    while (j >= 0 && /\s/.test(source[j])) j--
+    if (j < 0 || '(,=:[!&|?{};+-*%<>~^'.includes(source[j])) return true
+    const word = source.slice(0, j + 1).match(/[\w$]+$/)
+    return !!word && REGEX_KEYWORDS.includes(word[0])
+  }
+
+  const skipTemplate = (start) => {
+    let j = start
+    while (j < source.length && source[j] !== '`') {
+      if (source[j] === '\\') {
+        j += 2
+      } else if (source[j] === '$' && source[j + 1] === '{') {
+        mark(start, j, 's')
+        templateStack.push(braceDepth)
+        braceDepth++
+        return j + 2
+      } else {
+        j++
+      }
+    }
+    mark(start, Math.min(j, source.length), 's')
+    return j + 1
+  }
+
+  while (i < source.length) {
+    const char = source[i]
+    const next = source[i + 1]
+    if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', i)
+      const stop = end === -1 ? source.length : end
+      mark(i, stop, 'x')
+      i = stop
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2)
+      const stop = end === -1 ? source.length : end + 2
+      mark(i, stop, 'x')
+      i = stop
+    } else if (char === '/' && startsRegex(i)) {
+      i = skipRegex(i)
+    } else if (char === '\'' || char === '"') {
+      i = skipString(char, i)
+    } else if (char === '`') {
+      i = skipTemplate(i + 1)
+    } else if (char === '{') {
+      braceDepth++
+      i++
+    } else if (char === '}') {
+      braceDepth--
+      if (templateStack.length && templateStack[templateStack.length - 1] === braceDepth) {
+        templateStack.pop()
+        i = skipTemplate(i + 1)
+      } else {
+        i++
+      }
+    } else {
+      i++
+    }
+  }
+  return kinds.join('')
+}
+
+/**
+ * Replaces comments and the contents of string and template literals with spaces,
+ * keeping newlines, so offsets still map to lines.
+ *
+ * @param {string} source - JavaScript source
+ * @returns {string} - The source with only code left
+ */
+const blankNonCode = (source) => {
+  const kinds = classifySource(source)
+  return source.replace(/[^\n]/g, (char, idx) => kinds[idx] === 'c' ? char : ' ')
+}
+
+/**
+ * Drops the whitespace of a packed line that sits next to punctuation.
+ *
+ * @param {string} line - One line of code
+ * @param {string} kinds - The classifySource labels of its characters
+ * @returns {string} - The line without the spaces it does not need
+ */
+const collapseSpaces = (line, kinds) => {
+  let out = ''
+  for (let i = 0; i < line.length; i++) {
+    if (kinds[i] === 'c' && (line[i] === ' ' || line[i] === '\t')) {
+      let end = i
+      while (end < line.length && kinds[end] === 'c' && (line[end] === ' ' || line[end] === '\t')) end++
+      const prev = out[out.length - 1]
+      const next = line[end]
+      const joinable = PACK_PUNCTUATION.includes(prev) || PACK_PUNCTUATION.includes(next)
+      // keep "a - -b", "a + +b" and "a / /re/" apart
+      const merges = '+-/'.includes(prev) && '+-/'.includes(next)
+      if (!(prev && next && joinable && !merges)) out += line.slice(i, end)
+      i = end - 1
+    } else {
+      out += line[i]
+    }
+  }
+  return out
+}
+
+/**
+ * Shrinks a script for deployment by removing comments and blank lines and, unless
+ * keepIndentation is set, indentation, the spaces around punctuation and the line breaks
+ * next to brackets. Text inside string, template and regular expression literals is never
+ * touched, and every line break that could end a statement stays, so automatic semicolon
+ * insertion behaves the same.
+ *
+ * @param {string} source - JavaScript source
+ * @param {object} [options]
+ * @param {boolean} [options.keepIndentation] - Keep each line's leading whitespace
+ * @returns {string} - The packed source
+ */
+const packScript = (source, { keepIndentation = false } = {}) => {
+  const sourceKinds = classifySource(source)
+  let code = ''
+  let kinds = ''
+  for (let i = 0; i < source.length; i++) {
+    if (sourceKinds[i] !== 'x' || source[i] === '\n') {
+      code += source[i]
+      kinds += sourceKinds[i] === 'x' ? 'c' : sourceKinds[i]
+    }
+  }
+
+  const lines = []
+  let offset = 0
+  let prevEndsInCode = false
+  code.split('\n').forEach(line => {
+    const start = offset
+    offset += line.length + 1
+    if (kinds[start] === 's') {
+      // the line starts inside a multi-line template literal
+      lines.push(line)
+      prevEndsInCode = kinds[start + line.length - 1] === 'c'
+      return
+    }
+    const from = keepIndentation ? 0 : line.length - line.trimStart().length
+    const to = line.length && kinds[start + line.length - 1] === 'c' ? line.trimEnd().length : line.length
+    const packed = keepIndentation
+      ? line.slice(from, to)
+      : collapseSpaces(line.slice(from, to), kinds.slice(start + from, start + to))
+    if (packed.trim() === '') return
+    const prev = lines[lines.length - 1]
+    // a line break after an opening bracket or comma, or before a closing bracket, never
+    // ends a statement, so the lines can be joined
+    if (!keepIndentation && prev && prevEndsInCode && ('{([,'.includes(prev[prev.length - 1]) || '})]'.includes(packed[0]))) {
+      lines[lines.length - 1] += packed
+    } else {
+      lines.push(packed)
+    }
+    prevEndsInCode = kinds[start + line.length - 1] === 'c'
+  })
+  return lines.join('\n') + '\n'
+}
+
+// Words that cannot be used as a shortened name
+const RESERVED_WORDS = ['as', 'do', 'if', 'in', 'is', 'of', 'for', 'let', 'new', 'try', 'var', 'case', 'else', 'enum', 'eval', 'null', 'this', 'true', 'void', 'with', 'await', 'break', 'catch', 'class', 'const', 'false', 'super', 'throw', 'while', 'yield', 'delete', 'export', 'import', 'return', 'static', 'switch', 'typeof', 'default', 'extends', 'finally', 'continue', 'debugger', 'function', 'arguments', 'instanceof', 'undefined']
+
+// Keywords whose parentheses hold expressions rather than parameters
+const CONTROL_KEYWORDS = ['if', 'for', 'while', 'switch', 'with', 'return', 'typeof', 'await']
+
+// The globals a custom processor is given, which a script uses without declaring them
+const PLATFORM_GLOBALS = ['sourceFiles', 'destinationFiles', 'executionContext', 'userLog', 'publishDataTags', 'returnSuccess', 'returnError', 'returnSkipped', 'uuid', ...Object.keys(LIBRARY_MODULES), ...HISTORY_FUNCTIONS]
+
+const SHORT_NAME_CHARACTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'
+
+/**
+ * Gives the names a packed script declares (variables, functions and parameters) the
+ * shortest names it does not use, the most used first. Every use of a name gets the same
+ * new name, so scopes and shadowing work as before. Property names are left alone, and a
+ * name that is also written as a shorthand property or method, such as `{ label, value }`,
+ * keeps its name, as do the platform and JavaScript globals.
+ *
+ * @param {string} source - Packed JavaScript source
+ * @returns {string} - The source with shorter names
+ */
+const shortenNames = (source) => {
+  const kinds = classifySource(source)
+  const before = (offset) => {
+    let i = offset - 1
+    while (i >= 0 && /\s/.test(source[i])) i--
+    return i
+  }
+  const after = (offset) => source.slice(offset, offset + 3).trimStart()
+
+  // every name in the code, with the kind of bracket it sits in: '(', '[', '{' or '$' for
+  // a template literal's ${}
+  const tokens = []
+  const open = []
+  const parens = [] // [offset of '(', offset of its ')']
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (kinds[i] !== 'c') continue
+    if ('([{'.includes(char)) {
+      open.push({ at: i, kind: char === '{' && source[i - 1] === '$' ? '$' : char })
+    } else if (')]}'.includes(char)) {
+      const opened = open.pop()
+      if (char === ')') parens.push([opened.at, i])
+    } else if (/[A-Za-z_$]/.test(char) && !/[\w$]/.test(source[i - 1] || '')) {
+      const name = source.slice(i).match(/^[\w$]+/)[0]
+      const prev = before(i)
+      // a regular expression flag, such as the g of /x/g, is not a name
+      const isFlag = source[prev] === '/' && prev === i - 1 && kinds[i - 2] === 's'
+      if (!isFlag) {
+        tokens.push({
+          name,
+          start: i,
+          end: i + name.length,
+          prev: source[prev] || '',
+          spread: source.slice(prev - 2, prev + 1) === '...',
+          inside: open.length ? open[open.length - 1].kind : ''
+        })
+      }
+      i += name.length - 1
+    }
+  }
+
+  const closing = Object.fromEntries(parens)
+  const declared = new Set()
+  const uses = []
+  tokens.forEach((token, idx) => {
+    const last = tokens[idx - 1]
+    const next = after(token.end)
+    if (last && ['const', 'let', 'var', 'function'].includes(last.name) && source.slice(last.end, token.start) === ' ') declared.add(token.name)
+    if (next.startsWith('=>')) declared.add(token.name)
+    if (token.prev === '.' && !token.spread) return // a property
+    const inObject = token.inside === '{' && '{,'.includes(token.prev)
+    if (inObject && next[0] === ':') return // an object key
+    const call = source.indexOf('(', token.end)
+    if (inObject && next[0] === '(' && after(closing[call] + 1)[0] === '{') return // a method
+    // a shorthand property, { name } or { name = fallback }, is written out as { name: short }
+    token.shorthand = inObject && /^([,}]|=[^=>])/.test(next)
+    uses.push(token)
+  })
+
+  // parameters: the names starting a parameter list or following one of its commas,
+  // including those destructured from an argument
+  parens.forEach(([from, to]) => {
+    const next = after(to + 1)
+    const callee = tokens.find(token => token.end === from)
+    if (!next.startsWith('=>') && !(next[0] === '{' && callee && !CONTROL_KEYWORDS.includes(callee.name))) return
+    tokens.filter(token => token.start > from && token.start < to && '(,[{:.'.includes(token.prev) && /^([,)\]}]|=[^=>])/.test(after(token.end)))
+      .forEach(token => declared.add(token.name))
+  })
+
+  const isGlobal = (name) => name in globalThis || PLATFORM_GLOBALS.includes(name) || RESERVED_WORDS.includes(name)
+  // the characters each name would save if it were one character long
+  const saved = {}
+  uses.filter(token => declared.has(token.name) && !isGlobal(token.name))
+    .forEach(token => { saved[token.name] = (saved[token.name] || 0) + (token.shorthand ? -2 : token.name.length - 1) })
+  const taken = new Set(tokens.map(token => token.name))
+  const shortNames = (function * () {
+    const base = SHORT_NAME_CHARACTERS.length
+    for (let length = 1; ; length++) {
+      for (let n = 0; n < base ** length; n++) {
+        let name = ''
+        for (let rest = n, i = 0; i < length; i++, rest = Math.floor(rest / base)) name = SHORT_NAME_CHARACTERS[rest % base] + name
+        if (!taken.has(name) && !isGlobal(name)) yield name
+      }
+    }
+  })()
+  const renames = {}
+  Object.keys(saved).filter(name => saved[name] > 0).sort((a, b) => saved[b] - saved[a] || (a < b ? -1 : 1)).forEach(name => {
+    const short = shortNames.next().value
+    if (short.length < name.length) renames[name] = short
+  })
+
+  let out = ''
+  let from = 0
+  uses.filter(token => renames[token.name]).forEach(token => {
+    out += source.slice(from, token.start) + (token.shorthand ? `${token.name}:` : '') + renames[token.name]
+    from = token.end
+  })
+  return out + source.slice(from)
+}
+
+/**
+ * Builds the copy of a script to deploy: packed, with shortened names when packing alone
+ * leaves it over the character limit.
+ *
+ * @param {string} source - JavaScript source
+ * @returns {string} - The packed copy
+ */
+const packForDeploy = (source) => {
+  const packed = packScript(source)
+  return packed.length > LIMITS.scriptCharacters ? shortenNames(packed) : packed
+}
+
+const lineOf = (source, offset) => source.slice(0, offset).split('\n').length
+
+/**
+ * Where the packed copy of a script is kept: packed/<name>.js next to the script.
+ *
+ * @param {string} scriptPath - Path of the script
+ * @returns {string} - Path of its packed copy
+ */
+const packedPath = (scriptPath) => path.join(path.dirname(scriptPath), 'packed', path.basename(scriptPath))
+
+/**
+ * Statically checks a processor script before it is deployed.
+ *
+ * A script over the character limit passes only when it has a packed copy, as written by
+ * `node tools/pack_script.js --write`, that is up to date and fits; that copy is what
+ * gets deployed.
+ *
+ * @param {string} source - The processor source code
+ * @param {object} [options]
+ * @param {string} [options.packed] - The script's packed copy, when it has one
+ * @returns {Array<object>} - Problems found
+ */
+const checkScript = (source, { packed } = {}) => {
+  const problems = []
+  if (source.length > LIMITS.scriptCharacters) {
+    const expected = packForDeploy(source)
+    const problem = (severity, message) => problems.push({ severity, rule: 'script-length', message })
+    const size = `Script is ${source.length} characters, the limit is ${LIMITS.scriptCharacters}`
+    if (expected.length > LIMITS.scriptCharacters) {
+      problem('error', `${size}, and ${expected.length} packed`)
+    } else if (packed === undefined) {
+      problem('error', `${size}; write its ${expected.length} character packed copy with node tools/pack_script.js --write and deploy that`)
+    } else if (packed !== expected) {
+      problem('error', `${size} and its packed copy is out of date; refresh it with node tools/pack_script.js --write`)
+    } else {
+      problem('warning', `${size}; deploy its ${packed.length} character packed copy from packed/`)
+    }
+  }
+
+  const code = blankNonCode(source)
+  FORBIDDEN_CONSTRUCTS.forEach(({ rule, pattern, message }) => {
+    for (const match of code.matchAll(pattern)) {
+      const offset = match.index + (match[1] ? match[1].length : 0)
+      problems.push({ severity: 'error', rule, message, line: lineOf(source, offset) })
+    }
+  })
+
+  return problems.sort((a, b) => (a.line || 0) - (b.line || 0))
+}
+
+/**
+ * Applies the per-message and per-execution user log caps the way the platform does.
+ *
+ * @param {Array<object>} logs - Log entries { level, message }
+ * @returns {{ logs: Array<object>, problems: Array<object> }}
+ */
+const checkLogs = (logs) => {
+  const problems = []
+  const kept = []
+  let total = 0
+  let dropped = 0
+
+  logs.forEach((entry, idx) => {
+    let message = entry.message
+    const size = byteLength(message)
+    if (size > LIMITS.logMessageBytes) {
+      message = truncateBytes(message, LIMITS.logMessageBytes - byteLength(LOG_TRUNCATION_MARKER)) + LOG_TRUNCATION_MARKER
+      problems.push({
+        severity: 'warning',
+        rule: 'log-message-size',
+        message: `Log message ${idx + 1} is ${size} bytes, truncated to ${LIMITS.logMessageBytes}`
+      })
+    }
+    const messageBytes = byteLength(message)
+    if (total + messageBytes > LIMITS.logTotalBytes) {
+      dropped++
+      return
+    }
+    total += messageBytes
+    kept.push({ ...entry, message })
+  })
+
+  if (dropped) {
+    problems.push({
+      severity: 'warning',
+      rule: 'log-total-size',
+      message: `User log reached ${LIMITS.logTotalBytes} bytes, ${dropped} later message(s) were not recorded`
+    })
+  }
+  return { logs: kept, problems }
+}
+
+/**
+ * Applies the data tag limits. Tags that are not { label, value } strings are rejected,
+ * oversize labels and values are truncated and tags past the 100th are dropped.
+ *
+ * @param {Array<object>} tags - Published data tags
+ * @returns {{ data_tags: Array<object>, problems: Array<object> }}
+ */
+const checkDataTags = (tags) => {
+  const problems = []
+  const valid = []
+
+  tags.forEach((tag, idx) => {
+    const { label, value } = tag || {}
+    if (typeof label !== 'string' || !label.length || typeof value !== 'string') {
+      problems.push({
+        severity: 'error',
+        rule: 'data-tag-shape',
+        message: `Data tag ${idx + 1} must have a non-empty string label and a string value, got ${JSON.stringify(tag)}`
+      })
+      return
+    }
+    let outLabel = label
+    let outValue = value
+    if (byteLength(label) > LIMITS.dataTagLabelBytes) {
+      outLabel = truncateBytes(label, LIMITS.dataTagLabelBytes)
+      problems.push({
+        severity: 'warning',
+        rule: 'data-tag-label-size',
+        message: `Data tag label "${label}" is ${byteLength(label)} bytes, truncated to ${LIMITS.dataTagLabelBytes}`
+      })
+    }
+    if (byteLength(value) > LIMITS.dataTagValueBytes) {
+      outValue = truncateBytes(value, LIMITS.dataTagValueBytes)
+      problems.push({
+        severity: 'warning',
+        rule: 'data-tag-value-size',
+        message: `Data tag "${outLabel}" value is ${byteLength(value)} bytes, truncated to ${LIMITS.dataTagValueBytes}`
+      })
+    }
+    valid.push({ label: outLabel, value: outValue })
+  })
+
+  if (valid.length > LIMITS.dataTagsPerExecution) {
+    const dropped = valid.length - LIMITS.dataTagsPerExecution
+    problems.push({
+      severity: 'warning',
+      rule: 'data-tag-count',
+      message: `${valid.length} data tags published, the last ${dropped} were dropped (limit ${LIMITS.dataTagsPerExecution})`
+    })
+    return { data_tags: valid.slice(0, LIMITS.dataTagsPerExecution), problems }
+  }
+  return { data_tags: valid, problems }
+}
+
+/**
+ * Checks that every returned file is a complete file object.
+ *
+ * @param {Array<object>} files - The files passed to a return function
+ * @returns {Array<object>} - Problems found
+ */
+const checkFiles = (files) => {
+  const problems = []
+  files.forEach((file, idx) => {
+    const name = file?.file_name ? `"${file.file_name}"` : `#${idx + 1}`
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+      problems.push({ severity: 'error', rule: 'file-object', message: `Returned file ${name} is not a file object` })
+      return
+    }
+    // an empty body is a valid (empty) file, an empty uuid, type or file_name is not
+    const missing = REQUIRED_FILE_FIELDS.filter(field =>
+      file[field] === undefined || file[field] === null || (field !== 'body' && file[field] === ''))
+    if (missing.length) {
+      problems.push({ severity: 'error', rule: 'file-fields', message: `Returned file ${name} is missing ${missing.join(', ')}` })
+    }
+    if (file.type !== undefined && file.type !== 'file') {
+      problems.push({ severity: 'error', rule: 'file-type', message: `Returned file ${name} has type "${file.type}", expected "file"` })
+    }
+    if (file.file_name !== undefined && typeof file.file_name !== 'string') {
+      problems.push({ severity: 'error', rule: 'file-fields', message: `Returned file ${name} has a non-string file_name` })
+    }
+    if (file.body !== undefined && file.body !== null && typeof file.body !== 'string' && typeof file.body !== 'object') {
+      problems.push({ severity: 'error', rule: 'file-body', message: `Returned file ${name} body must be a string, object or array, got ${typeof file.body}` })
+    }
+  })
+  return problems
+}
+
+/**
+ * Checks a run's output (as resolved by runner.runProcessor) and returns the logs and
+ * data tags as the platform would have recorded them.
+ *
+ * @param {object} result - The run result
+ * @returns {{ problems: Array<object>, logs: Array<object>, data_tags: Array<object> }}
+ */
+const checkResult = (result) => {
+  const logCheck = checkLogs(result.logs || [])
+  const tagCheck = checkDataTags(result.data_tags || [])
+  const problems = [...logCheck.problems, ...tagCheck.problems, ...checkFiles(result.files || [])]
+  if (result.duration_ms > LIMITS.timeoutMs) {
+    problems.push({ severity: 'error', rule: 'timeout', message: `Run took ${result.duration_ms} ms, the limit is ${LIMITS.timeoutMs}` })
+  }
+  return { problems, logs: logCheck.logs, data_tags: tagCheck.data_tags }
+}
+
+const formatProblem = ({ severity, rule, message, line }) =>
+  `${severity}${line ? ` line ${line}` : ''}: ${message} (${rule})`
+
+module.exports = {
+  LIMITS,
+  LOG_TRUNCATION_MARKER,
+  REQUIRED_FILE_FIELDS,
+  byteLength,
+  truncateBytes,
+  classifySource,
+  blankNonCode,
+  packScript,
+  shortenNames,
+  packForDeploy,
+  packedPath,
+  checkScript,
+  checkLogs,
+  checkDataTags,
+  checkFiles,
+  checkResult,
+  formatProblem
+}
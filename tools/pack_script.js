@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Packs a processor script: removes comments, blank lines, indentation and the spaces
+ * around punctuation, so well documented examples still fit the 10,000 character limit.
+ * A script still over the limit also gets shorter names for what it declares.
+ *
+ * Without --write the packed copy is printed. With --write it is saved as packed/<name>.js
+ * next to each script, which is where check_limits.js looks for the copy to deploy.
+ *
+ * Example:
+ *   node tools/pack_script.js example_scripts/process_x12_997_files.js > deploy.js
+ *   node tools/pack_script.js --write example_scripts/*.js
+ */
+const fs = require('fs')
+const path = require('path')
+const { LIMITS, packForDeploy, packedPath } = require('./limits')
+
+const args = process.argv.slice(2)
+const write = args.includes('--write')
+const scriptPaths = args.filter(arg => !arg.startsWith('--'))
+if (!scriptPaths.length || args.includes('--help') || (!write && scriptPaths.length > 1)) {
+  console.log('Usage: node tools/pack_script.js <script>\n       node tools/pack_script.js --write <script> [<script> ...]')
+  process.exit(args.includes('--help') ? 0 : 2)
+}
+
+let tooLong = 0
+scriptPaths.forEach(scriptPath => {
+  const source = fs.readFileSync(scriptPath, 'utf8')
+  const packed = packForDeploy(source)
+  if (packed.length > LIMITS.scriptCharacters) tooLong++
+  if (!write) {
+    process.stdout.write(packed)
+  } else if (source.length > LIMITS.scriptCharacters) {
+    fs.mkdirSync(path.dirname(packedPath(scriptPath)), { recursive: true })
+    fs.writeFileSync(packedPath(scriptPath), packed)
+  } else {
+    // a script that fits is deployed as written
+    if (fs.existsSync(packedPath(scriptPath))) fs.unlinkSync(packedPath(scriptPath))
+    return
+  }
+  console.error(`${scriptPath}: ${source.length} -> ${packed.length} characters (limit ${LIMITS.scriptCharacters})`)
+})
+process.exit(tooLong ? 1 : 0)
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Command line wrapper around runner.js.
+ *
+ * Example:
+ *   node tools/run_processor.js example_scripts/process_x12_997_files.js \
+ *     --mode pre --input ./samples/997 --output ./out
+ */
+const fs = require('fs')
+const path = require('path')
+const { parseArgs } = require('util')
+const { loadInputFiles, runProcessor, writeOutput } = require('./runner')
+const { DEFAULT_PAGE_SIZE, createExecutionHistory } = require('./execution_history')
+const { checkScript, checkResult, formatProblem, packedPath } = require('./limits')
+
+const USAGE = `Usage: node tools/run_processor.js <script> [options]
+
+Options:
+  --mode <pre|post>       Inject files as sourceFiles (pre, default) or destinationFiles (post)
+  --input <dir>           Directory of input files (default: no files)
+  --output <dir>          Write returned files and result.json here
+  --context <file>        JSON file holding executionContext; read before the run and
+                          written back after it, so a pre and post run can share it
+  --history <dir>         Execution history fixtures backing executionSearchByIntegration,
+                          listExecutionFiles and getExecutionFile
+  --page-size <n>         Records per executionSearchByIntegration page (default: 50)
+  --library <name=path>   Load a library global from a module path, e.g. xml=./chainio-xml
+                          (repeatable)
+  --timeout <seconds>     Abort the run after this many seconds (default: 60)
+  --check                 Check the script and its output against the platform limits;
+                          logs and data tags are truncated the way the platform would
+  --quiet                 Do not echo userLog messages
+  --help                  Show this message`
+
+const fail = (message) => {
+  console.error(`${message}\n\n${USAGE}`)
+  process.exit(2)
+}
+
+const main = async () => {
+  let parsed
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        mode: { type: 'string', default: 'pre' },
+        input: { type: 'string' },
+        output: { type: 'string' },
+        context: { type: 'string' },
+        history: { type: 'string' },
+        'page-size': { type: 'string' },
+        library: { type: 'string', multiple: true, default: [] },
+        timeout: { type: 'string', default: '60' },
+        check: { type: 'boolean', default: false },
+        quiet: { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false }
+      }
+    })
+  } catch (err) {
+    fail(err.message)
+  }
+  const { values, positionals } = parsed
+
+  if (values.help) {
+    console.log(USAGE)
+    return 0
+  }
+  if (positionals.length !== 1) fail('Expected exactly one script path')
+
+  const scriptPath = path.resolve(positionals[0])
+  const timeout = Number(values.timeout) * 1000
+  if (!(timeout > 0)) fail(`Invalid --timeout "${values.timeout}"`)
+
+  const libraries = {}
+  values.library.forEach(spec => {
+    const [name, modulePath] = spec.split('=')
+    if (!name || !modulePath) fail(`Invalid --library "${spec}", expected name=path`)
+    libraries[name] = modulePath.startsWith('.') ? path.resolve(modulePath) : modulePath
+  })
+
+  const pageSize = Number(values['page-size'] || DEFAULT_PAGE_SIZE)
+  if (!(Number.isInteger(pageSize) && pageSize > 0)) fail(`Invalid --page-size "${values['page-size']}"`)
+
+  const executionContext = values.context && fs.existsSync(values.context)
+    ? JSON.parse(fs.readFileSync(values.context, 'utf8'))
+    : {}
+
+  const script = fs.readFileSync(scriptPath, 'utf8')
+  const packed = fs.existsSync(packedPath(scriptPath)) ? fs.readFileSync(packedPath(scriptPath), 'utf8') : undefined
+  const problems = values.check ? checkScript(script, { packed }) : []
+
+  const result = await runProcessor({
+    script,
+    scriptPath,
+    mode: values.mode,
+    files: values.input ? loadInputFiles(values.input) : [],
+    executionContext,
+    libraries,
+    history: values.history ? createExecutionHistory(values.history, { pageSize }) : undefined,
+    timeout,
+    onLog: values.quiet ? undefined : ({ level, message }) => console.error(`[${level}] ${message}`)
+  })
+
+  if (values.check) {
+    const checked = checkResult(result)
+    result.logs = checked.logs
+    result.data_tags = checked.data_tags
+    result.problems = problems.concat(checked.problems)
+  }
+
+  if (values.context) {
+    fs.writeFileSync(values.context, JSON.stringify(result.executionContext, null, 2))
+  }
+  if (values.output) {
+    const resultPath = writeOutput(values.output, result)
+    console.error(`Wrote ${result.files.length} file(s) and ${resultPath}`)
+  }
+
+  result.data_tags.forEach(tag => console.error(`[tag] ${tag.label}: ${tag.value}`))
+  Object.entries(result.history_calls).forEach(([name, count]) => console.error(`[history] ${name}: ${count} call(s)`))
+  if (result.error) console.error(`[runner] ${result.error}`)
+  const checkProblems = result.problems || []
+  checkProblems.forEach(problem => console.error(`[check] ${formatProblem(problem)}`))
+  console.log(`Status: ${result.status} (${result.files.length} file(s), ${result.duration_ms} ms)`)
+
+  const limitErrors = checkProblems.filter(problem => problem.severity === 'error')
+  return result.status === 'error' || limitErrors.length ? 1 : 0
+}
+
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error(err.stack || err.message)
+    process.exit(2)
+  }
+)
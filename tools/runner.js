@@ -0,0 +1,198 @@
+/**
+ * Runs a custom processor script locally against a set of input files.
+ *
+ * The script is executed in a fresh vm context holding the same globals the Chain.io
+ * sandbox provides (see sandbox.js). Both plain scripts and the async IIFE pattern are
+ * supported: the run ends when the script calls one of the return functions, when its
+ * promise settles, or when the timeout expires, which also stops code running after an
+ * await.
+ */
+const fs = require('fs')
+const path = require('path')
+const vm = require('vm')
+const { HISTORY_FUNCTIONS, createSandbox } = require('./sandbox')
+const { createExecutionHistory } = require('./execution_history')
+const { MIME_TYPES, BINARY_FORMATS, isBinary, toFileObject, loadInputFiles } = require('./files')
+
+const DEFAULT_TIMEOUT_MS = 60 * 1000
+
+/**
+ * Runs a processor script and resolves with everything it produced.
+ *
+ * @param {object} options
+ * @param {string} options.script - The processor source code
+ * @param {string} [options.scriptPath] - Used as the file name in stack traces
+ * @param {string} [options.mode] - 'pre' (sourceFiles) or 'post' (destinationFiles)
+ * @param {Array<object>} [options.files] - Input file objects
+ * @param {object} [options.executionContext] - Shared pre/post processor values, mutated in place
+ * @param {object} [options.libraries] - Overrides for library globals
+ * @param {object} [options.globals] - Extra globals to inject
+ * @param {string|object} [options.history] - Execution history fixture directory, or the
+ *   value returned by createExecutionHistory, backing the three history API functions
+ * @param {number} [options.timeout] - Milliseconds before the run is aborted
+ * @param {function} [options.onLog] - Called with each log entry as it is written
+ * @returns {Promise<object>} - { status, files, logs, data_tags, executionContext, error, duration_ms, history_calls }
+ */
+const runProcessor = async ({
+  script,
+  scriptPath = 'processor.js',
+  mode = 'pre',
+  files = [],
+  executionContext = {},
+  libraries,
+  globals = {},
+  history,
+  timeout = DEFAULT_TIMEOUT_MS,
+  onLog
+}) => {
+  if (mode !== 'pre' && mode !== 'post') {
+    throw new Error(`mode must be "pre" or "post", got "${mode}"`)
+  }
+
+  const historyApi = typeof history === 'string' ? createExecutionHistory(history) : history
+  const historyGlobals = {}
+  if (historyApi) {
+    HISTORY_FUNCTIONS.forEach(name => { historyGlobals[name] = historyApi[name] })
+  }
+
+  const { sandbox, record, returned } = createSandbox({
+    mode,
+    files,
+    executionContext,
+    libraries,
+    globals: { ...historyGlobals, ...globals },
+    onLog
+  })
+  const started = Date.now()
+
+  const timedOut = () => new Error(`Processor timed out after ${timeout / 1000} seconds`)
+  const remaining = () => Math.max(timeout - (Date.now() - started), 1)
+  // The script's promise jobs run in the context's own queue, drained after each
+  // runInContext under the timeout, so a loop after an await is stopped like any other
+  const context = vm.createContext(sandbox, { microtaskMode: 'afterEvaluate' })
+  const drain = new vm.Script('')
+
+  let outcome = {}
+  try {
+    const completion = new vm.Script(script, { filename: scriptPath }).runInContext(context, { timeout })
+
+    outcome = await new Promise((resolve) => {
+      let settled = false
+      const timer = setTimeout(() => done({ error: timedOut() }), remaining())
+      const done = (value) => {
+        if (settled) return
+        settled = true
+        clearTimeout(timer)
+        resolve(value)
+      }
+      // jobs queued later, when a history call or library resolves, wait in the context's
+      // queue until it is drained again
+      const pump = () => {
+        if (settled) return
+        try {
+          drain.runInContext(context, { timeout: remaining() })
+        } catch (error) {
+          return done({ error: error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ? timedOut() : error })
+        }
+        setTimeout(pump, 1)
+      }
+      returned.then(() => done({}))
+      if (completion && typeof completion.then === 'function') {
+        Promise.resolve(completion).then(() => done({}), (error) => done({ error }))
+        pump()
+      } else {
+        done({})
+      }
+    })
+  } catch (error) {
+    outcome = { error: error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ? timedOut() : error }
+  }
+
+  if (!record.status) {
+    record.status = 'error'
+    record.files = []
+    if (!outcome.error) {
+      outcome.error = new Error('Processor finished without calling returnSuccess, returnError or returnSkipped')
+    }
+  }
+
+  return {
+    status: record.status,
+    files: record.files,
+    logs: record.logs,
+    data_tags: record.data_tags,
+    executionContext: record.executionContext,
+    error: outcome.error ? outcome.error.message : null,
+    duration_ms: Date.now() - started,
+    history_calls: historyApi ? { ...historyApi.calls } : {}
+  }
+}
+
+const summarizeFile = (file) => {
+  if (!file || typeof file !== 'object') return { invalid: true, value: file }
+  const { body, ...rest } = file
+  return rest
+}
+
+/**
+ * Writes a run's output files and a result.json summary to a directory.
+ *
+ * Files go to <outDir>/files; base64 bodies of binary formats are decoded and
+ * object/array bodies are written as JSON.
+ *
+ * @param {string} outDir - The output directory, created if missing
+ * @param {object} result - The value resolved by runProcessor
+ * @returns {string} - The path of the result.json file
+ */
+const writeOutput = (outDir, result) => {
+  const filesDir = path.join(outDir, 'files')
+  fs.mkdirSync(filesDir, { recursive: true })
+
+  const used = new Set()
+  const fileSummaries = result.files.map((file, idx) => {
+    const summary = summarizeFile(file)
+    if (!file || typeof file !== 'object') return summary
+
+    const baseName = path.basename(String(file.file_name || `file_${idx}`))
+    let outName = baseName
+    for (let n = 1; used.has(outName); n++) {
+      const ext = path.extname(baseName)
+      outName = `${path.basename(baseName, ext)}_${n}${ext}`
+    }
+    used.add(outName)
+
+    const { body } = file
+    let content
+    if (typeof body === 'string') {
+      content = isBinary(baseName) ? Buffer.from(body, 'base64') : body
+    } else {
+      content = JSON.stringify(body, null, 2)
+    }
+    fs.writeFileSync(path.join(filesDir, outName), content ?? '')
+    return { ...summary, path: path.join('files', outName) }
+  })
+
+  const resultPath = path.join(outDir, 'result.json')
+  fs.writeFileSync(resultPath, JSON.stringify({
+    status: result.status,
+    error: result.error,
+    duration_ms: result.duration_ms,
+    history_calls: result.history_calls,
+    problems: result.problems,
+    files: fileSummaries,
+    data_tags: result.data_tags,
+    logs: result.logs
+  }, null, 2))
+  return resultPath
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  MIME_TYPES,
+  BINARY_FORMATS,
+  isBinary,
+  toFileObject,
+  loadInputFiles,
+  runProcessor,
+  writeOutput
+}
@@ -0,0 +1,144 @@
+/**
+ * Builds the global scope a custom processor sees when it runs on Chain.io.
+ *
+ * The built-in libraries are loaded lazily from node_modules the first time a script
+ * touches them, so a script that only uses lodash does not need XLSX installed.
+ */
+const crypto = require('crypto')
+
+/**
+ * Maps each library global to the npm package that provides it and how to pull the
+ * global out of the package's exports.
+ */
+const LIBRARY_MODULES = {
+  lodash: { module: 'lodash', pick: (m) => m },
+  DateTime: { module: 'luxon', pick: (m) => m.DateTime },
+  XLSX: { module: 'xlsx', pick: (m) => m },
+  xmldom: { module: '@xmldom/xmldom', pick: (m) => m },
+  xpath: { module: 'xpath', pick: (m) => m },
+  // not published on npm, so it has to be provided with --library xml=<path>
+  xml: { module: '@chain.io/xml', pick: (m) => m, localOnly: true }
+}
+
+const HISTORY_FUNCTIONS = ['executionSearchByIntegration', 'listExecutionFiles', 'getExecutionFile']
+
+const capitalize = (str) => str.charAt(0).toUpperCase() + str.slice(1)
+
+/**
+ * Loads a library global, resolving modules relative to the working directory first
+ * so a project can install the libraries next to its scripts.
+ *
+ * @param {string} name - The global name, e.g. 'DateTime'
+ * @param {string|object} [override] - A module path or an already loaded value
+ * @returns {*} - The value to expose under that global name
+ */
+const loadLibrary = (name, override) => {
+  if (override !== undefined && typeof override !== 'string') return override
+  const spec = LIBRARY_MODULES[name]
+  const moduleName = override || spec.module
+  let resolved
+  try {
+    resolved = require.resolve(moduleName, { paths: [process.cwd(), __dirname] })
+  } catch (err) {
+    if (spec.localOnly && !override) throw new Error(`The ${name} global is only available on Chain.io; pass --library ${name}=<path> to a module that provides it`)
+    throw new Error(`The ${name} global needs the "${moduleName}" package. Install it with npm or pass --library ${name}=<path>`)
+  }
+  const loaded = require(resolved)
+  return override ? loaded : spec.pick(loaded)
+}
+
+/**
+ * Creates the sandbox globals for one execution and the record the runner reads back.
+ *
+ * @param {object} options
+ * @param {string} options.mode - 'pre' or 'post'
+ * @param {Array<object>} options.files - The input file objects
+ * @param {object} [options.executionContext] - Values shared between pre and post processors
+ * @param {object} [options.libraries] - Overrides for library globals (module path or value)
+ * @param {object} [options.globals] - Extra globals, e.g. the execution history functions
+ * @param {function} [options.onLog] - Called with each log entry as it is written
+ * @returns {{ sandbox: object, record: object, returned: Promise<void> }}
+ */
+const createSandbox = ({ mode, files, executionContext = {}, libraries = {}, globals = {}, onLog }) => {
+  const record = {
+    status: null,
+    files: [],
+    logs: [],
+    data_tags: [],
+    executionContext
+  }
+
+  let settle
+  const returned = new Promise((resolve) => { settle = resolve })
+
+  const log = (level) => (message) => {
+    const entry = { level, message: String(message), time: new Date().toISOString() }
+    record.logs.push(entry)
+    if (onLog) onLog(entry)
+  }
+  const userLog = {
+    info: log('info'),
+    warning: log('warning'),
+    error: log('error')
+  }
+
+  const finish = (status) => (outputFiles) => {
+    if (record.status) {
+      userLog.warning(`return${capitalize(status)} called after the processor already returned ${record.status}, ignoring`)
+      return
+    }
+    record.status = status
+    record.files = outputFiles == null ? [] : [].concat(outputFiles)
+    settle()
+  }
+
+  const publishDataTags = (tags) => {
+    const list = Array.isArray(tags) ? tags : [tags]
+    list.forEach(tag => record.data_tags.push({ label: tag?.label, value: tag?.value }))
+  }
+
+  const sandbox = {
+    [mode === 'post' ? 'destinationFiles' : 'sourceFiles']: files,
+    executionContext,
+    userLog,
+    publishDataTags,
+    returnSuccess: finish('success'),
+    returnError: finish('error'),
+    returnSkipped: finish('skipped'),
+    uuid: () => crypto.randomUUID()
+  }
+
+  HISTORY_FUNCTIONS.forEach(name => {
+    sandbox[name] = async () => {
+      throw new Error(`${name} is not available offline without execution history fixtures (--history <dir>)`)
+    }
+  })
+
+  Object.keys(LIBRARY_MODULES).forEach(name => {
+    let value
+    let loaded = false
+    Object.defineProperty(sandbox, name, {
+      enumerable: true,
+      configurable: true,
+      get () {
+        if (!loaded) {
+          value = loadLibrary(name, libraries[name])
+          loaded = true
+        }
+        return value
+      }
+    })
+  })
+
+  Object.entries(globals).forEach(([name, value]) => {
+    Object.defineProperty(sandbox, name, { value, enumerable: true, configurable: true, writable: true })
+  })
+
+  return { sandbox, record, returned }
+}
+
+module.exports = {
+  LIBRARY_MODULES,
+  HISTORY_FUNCTIONS,
+  createSandbox
+}
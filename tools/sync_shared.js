@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Refreshes the copies of shared/ modules embedded in the example scripts.
+ *
+ * Custom processors cannot require() anything, so a script that uses a shared module
+ * carries its own copy between marker comments:
+ *
+ *   // ---- BEGIN shared/x12.js (generated: edit shared/x12.js, then run node tools/sync_shared.js) ----
+ *   ...
+ *   // ---- END shared/x12.js ----
+ *
+ * A module made of top-level declarations can be embedded in part by listing the names
+ * the script needs after the module path:
+ *
+ *   // ---- BEGIN shared/x12_codes.js [AK5_CODE_ENUM, AK9_CODE_ENUM] (generated: ...) ----
+ *
+ * The embedded copy drops comments and blank lines to save room under the 10,000
+ * character limit; shared/ keeps the documented source. A script still over the limit
+ * gets a packed copy in example_scripts/packed/, the one to deploy, which is refreshed too.
+ *
+ * Usage:
+ *   node tools/sync_shared.js           Rewrite stale copies
+ *   node tools/sync_shared.js --check   Exit 1 if any copy is stale, without writing
+ */
+const fs = require('fs')
+const path = require('path')
+const { LIMITS, packScript, packForDeploy, packedPath } = require('./limits')
+
+const ROOT = path.join(__dirname, '..')
+const SCRIPTS_DIR = path.join(ROOT, 'example_scripts')
+
+const REGION = /^([ \t]*)\/\/ ---- BEGIN (shared\/[\w.-]+\.js)(?: \[([\w$, ]*)\])?[^\n]*\n[\s\S]*?^[ \t]*\/\/ ---- END \2 ----[ \t]*$/gm
+
+/**
+ * Keeps only the named top-level declarations of a packed module.
+ *
+ * @param {string} source - Packed module source
+ * @param {Array<string>} names - Names of the declarations to keep
+ * @returns {string} - The selected declarations, in module order
+ */
+const selectDeclarations = (source, names) => {
+  const chunks = source.split(/^(?=(?:const|let|function) )/m)
+  const nameOf = (chunk) => chunk.match(/^(?:const|let|function) ([\w$]+)/)?.[1]
+  const missing = names.filter(name => !chunks.some(chunk => nameOf(chunk) === name))
+  if (missing.length) throw new Error(`Not declared at the top level: ${missing.join(', ')}`)
+  return chunks.filter(chunk => names.includes(nameOf(chunk))).join('')
+}
+
+/**
+ * Builds the marked region for a shared module.
+ *
+ * @param {string} modulePath - Path relative to the repository root, e.g. 'shared/x12.js'
+ * @param {string} [indent] - Indentation of the marker comments
+ * @param {Array<string>} [names] - Embed only these top-level declarations
+ * @returns {string} - The region, markers included
+ */
+const region = (modulePath, indent = '', names = null) => {
+  let source = packScript(fs.readFileSync(path.join(ROOT, modulePath), 'utf8'), { keepIndentation: true })
+  if (names) source = selectDeclarations(source, names)
+  source = source.trimEnd()
+  const selection = names ? ` [${names.join(', ')}]` : ''
+  return [
+    `${indent}// ---- BEGIN ${modulePath}${selection} (generated: edit ${modulePath}, then run node tools/sync_shared.js) ----`,
+    source.split('\n').map(line => line ? indent + line : line).join('\n'),
+    `${indent}// ---- END ${modulePath} ----`
+  ].join('\n')
+}
+
+/**
+ * Returns the script with every embedded region rebuilt from shared/.
+ *
+ * @param {string} script - The example script source
+ * @returns {string} - The updated source
+ */
+const syncScript = (script) => script.replace(REGION, (match, indent, modulePath, names) =>
+  region(modulePath, indent, names === undefined ? null : names.split(',').map(name => name.trim()).filter(Boolean)))
+
+const listScripts = (dir) => fs.readdirSync(dir, { withFileTypes: true })
+  .flatMap(entry => {
+    const full = path.join(dir, entry.name)
+    if (entry.isDirectory()) return entry.name === 'packed' ? [] : listScripts(full)
+    return entry.name.endsWith('.js') ? [full] : []
+  })
+
+// the packed copy a script is deployed from, or null when it fits as written
+const packedCopy = (script) => script.length > LIMITS.scriptCharacters ? packForDeploy(script) : null
+
+const main = () => {
+  const check = process.argv.includes('--check')
+  let stale = 0
+  const refresh = (filePath, current, wanted, what) => {
+    if (current === wanted) return
+    stale++
+    const name = path.relative(ROOT, filePath)
+    if (check) {
+      console.log(`${name}: ${what} is out of date`)
+      return
+    }
+    if (wanted === null) {
+      fs.unlinkSync(filePath)
+      console.log(`${name}: removed`)
+      return
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, wanted)
+    console.log(`${name}: updated`)
+  }
+  listScripts(SCRIPTS_DIR).forEach(scriptPath => {
+    const script = fs.readFileSync(scriptPath, 'utf8')
+    const synced = syncScript(script)
+    refresh(scriptPath, script, synced, 'embedded shared code')
+    const copyPath = packedPath(scriptPath)
+    const copy = fs.existsSync(copyPath) ? fs.readFileSync(copyPath, 'utf8') : null
+    refresh(copyPath, copy, packedCopy(synced), 'packed copy')
+  })
+  if (!stale) console.log('All embedded shared code and packed copies are up to date')
+  process.exit(check && stale ? 1 : 0)
+}
+
+if (require.main === module) main()
+
+module.exports = {
+  region,
+  syncScript
+}